@@ -0,0 +1,333 @@
+/**
+ * 6551 Asynchronous Communications Interface Adapter
+ *
+ * A bus device of four registers, mapped at offsets 0-3:
+ *
+ *   0  data: read the received byte, write a byte to transmit
+ *   1  status (read); writing any value is a programmed reset
+ *   2  command
+ *   3  control
+ *
+ * Status bits: 7 IRQ, 6 DSR (1 while not ready), 5 DCD (1 while no carrier),
+ * 4 transmit data register empty, 3 receive data register full, 2 overrun,
+ * 1 framing error, 0 parity error. The error bits are never set: bytes arrive
+ * intact, and received bytes wait in a queue until the program has read the
+ * previous one, as if the sender obeyed flow control.
+ *
+ * Command bits: 0 DTR (enables the receiver and its interrupts), 1 receive
+ * interrupts disabled, 2-3 transmitter control (01 enables transmit interrupts),
+ * 4 echo received bytes, 5-7 parity (counted in the frame length only).
+ *
+ * Control bits: 0-3 baud rate (0 selects the external clock, here taken to
+ * transfer without delay), 4 receiver clock source, 5-6 word length (8 - n bits),
+ * 7 two stop bits.
+ *
+ * Bytes take the time of a frame (start bit, data bits, parity and stop bits at
+ * the baud rate) to transmit and receive. IRQ is asserted while a byte waits in
+ * the receive data register with receive interrupts enabled, while the transmit
+ * data register is empty with transmit interrupts enabled, or after DCD or DSR
+ * changed, until the status register is read.
+ *
+ * The ACIA is clocked from the CPU's cycle counter (see CPU6502).
+ *
+ * @param {CPU6502} cpu CPU whose cycles clock the ACIA and whose IRQ line it drives
+ * @param {Object} options Optional settings:
+ *     input: readable stream whose data the ACIA receives
+ *     output: writable stream the ACIA transmits to
+ *     clock: CPU clock rate in Hz, to time frames at the baud rate (default 1000000)
+ *     name: interrupt source name (default 'acia')
+ */
+
+var devices = require('./devices');
+
+var BAUD_RATES = [0, 50, 75, 109.92, 134.58, 150, 300, 600, 1200, 1800, 2400, 3600, 4800, 7200, 9600, 19200];
+
+module.exports = function ACIA6551(cpu, options) {
+
+	"use strict";
+
+	options = options || {};
+
+	var acia = this,
+		clock = options.clock || 1000000,
+		input = options.input,
+		output = options.output,
+		irq = devices.irq_output(cpu, options.name || 'acia'),
+		s = {
+			cycle: cpu.cycles, // CPU cycle the ACIA has caught up with
+			command: 0x02,
+			control: 0,
+			rdr: 0,
+			tdr: 0,
+			rdrf: false,
+			tdre: true,
+			tx_busy_until: 0, // cycle the byte being shifted out is done
+			rx_ready_at: 0, // first cycle the next received byte can be complete
+			dcd: true, // modem lines, true while asserted
+			dsr: true,
+			status_changed: false, // DCD or DSR changed since the status register was read
+			queue: [] // received bytes waiting for the receive data register
+		};
+
+	/**
+	 * @return {Number} CPU cycles a frame takes, 0 with the external clock
+	 */
+	function frame_cycles() {
+		var baud = BAUD_RATES[s.control & 0x0f],
+			bits = 1 + word_bits() + ((s.command & 0x20) ? 1 : 0) + ((s.control & 0x80) ? 2 : 1);
+
+		return baud ? Math.round(clock * bits / baud) : 0;
+	}
+
+	/**
+	 * @return {Number} data bits per word
+	 */
+	function word_bits() {
+		return 8 - ((s.control >> 5) & 3);
+	}
+
+	/**
+	 * @return {Boolean} whether the IRQ output is asserted
+	 */
+	function irq_level() {
+		return (s.rdrf && (s.command & 0x03) === 0x01) ||
+			(s.tdre && (s.command & 0x0c) === 0x04) ||
+			s.status_changed;
+	}
+
+	/**
+	 * Assert or release the CPU IRQ line
+	 */
+	function update_irq() {
+		irq.set(irq_level());
+	}
+
+	/**
+	 * Send a byte down the line
+	 */
+	function send(value) {
+		if (output) {
+			output.write(Buffer.from([value & (0xff >> (8 - word_bits()))]));
+		}
+	}
+
+	/**
+	 * Move the transmit data register to the shift register, which is idle
+	 */
+	function start_transmit() {
+		s.tdre = true;
+		s.tx_busy_until = s.cycle + frame_cycles();
+		// Sending BRK transmits nothing
+		if ((s.command & 0x0c) !== 0x0c) {
+			send(s.tdr);
+		}
+	}
+
+	/**
+	 * Catch up with the CPU's cycle counter
+	 */
+	this.sync = function () {
+		s.cycle = cpu.cycles;
+
+		if (!s.tdre && s.cycle >= s.tx_busy_until) {
+			start_transmit();
+		}
+
+		if (s.queue.length && !s.rdrf && (s.command & 0x01) && s.cycle >= s.rx_ready_at) {
+			s.rdr = s.queue.shift() & (0xff >> (8 - word_bits()));
+			s.rdrf = true;
+			s.rx_ready_at = s.cycle + frame_cycles();
+			if (s.command & 0x10) {
+				send(s.rdr);
+			}
+		}
+
+		update_irq();
+	};
+
+	/**
+	 * Queue bytes for the receiver
+	 * @param {Buffer|Array|String} data Bytes, or a string of 8-bit characters
+	 */
+	this.receive = function (data) {
+		var i;
+
+		if (typeof data === 'string') {
+			data = Buffer.from(data, 'latin1');
+		}
+		// A byte arriving at an idle receiver takes a frame from now
+		if (!s.queue.length && s.rx_ready_at <= cpu.cycles) {
+			s.rx_ready_at = cpu.cycles + frame_cycles();
+		}
+		for (i = 0; i < data.length; i++) {
+			s.queue.push(data[i] & 0xff);
+		}
+		this.sync();
+	};
+
+	function on_data(data) {
+		acia.receive(data);
+	}
+
+	function on_clock() {
+		acia.sync();
+	}
+
+	cpu.on('clock', on_clock);
+	if (input) {
+		input.on('data', on_data);
+	}
+
+	/**
+	 * Stop following the CPU and the input stream. The IRQ line is released.
+	 */
+	this.detach = function () {
+		cpu.off('clock', on_clock);
+		if (input) {
+			input.removeListener('data', on_data);
+		}
+		irq.set(false);
+	};
+
+	/**
+	 * Read a register
+	 * @param {Number} offset Register, 0-3
+	 * @return {Number} value
+	 */
+	this.read = function (offset) {
+		var value;
+
+		this.sync();
+
+		switch (offset & 3) {
+			case 0:
+				value = s.rdr;
+				s.rdrf = false;
+				break;
+			case 1:
+				value = (irq_level() ? 0x80 : 0) |
+					(s.dsr ? 0 : 0x40) |
+					(s.dcd ? 0 : 0x20) |
+					(s.tdre ? 0x10 : 0) |
+					(s.rdrf ? 0x08 : 0);
+				s.status_changed = false;
+				break;
+			case 2:
+				value = s.command;
+				break;
+			case 3:
+				value = s.control;
+				break;
+		}
+
+		update_irq();
+		return value;
+	};
+
+	/**
+	 * Write a register
+	 * @param {Number} offset Register, 0-3
+	 * @param {Number} value Value
+	 */
+	this.write = function (offset, value) {
+		this.sync();
+
+		switch (offset & 3) {
+			case 0:
+				s.tdr = value;
+				s.tdre = false;
+				if (s.cycle >= s.tx_busy_until) {
+					start_transmit();
+				}
+				break;
+			case 1:
+				// Programmed reset: clears command bits 0-4, leaving parity and control alone
+				s.command &= 0xe0;
+				break;
+			case 2:
+				s.command = value;
+				break;
+			case 3:
+				s.control = value;
+				break;
+		}
+
+		update_irq();
+	};
+
+	/**
+	 * Drive the DCD input
+	 * @param {Boolean} asserted true while a carrier is detected
+	 */
+	this.dcd = function (asserted) {
+		this.sync();
+		if (s.dcd !== !!asserted) {
+			s.dcd = !!asserted;
+			s.status_changed = (s.command & 0x03) === 0x01;
+		}
+		update_irq();
+	};
+
+	/**
+	 * Drive the DSR input
+	 * @param {Boolean} asserted true while the modem is ready
+	 */
+	this.dsr = function (asserted) {
+		this.sync();
+		if (s.dsr !== !!asserted) {
+			s.dsr = !!asserted;
+			s.status_changed = (s.command & 0x03) === 0x01;
+		}
+		update_irq();
+	};
+
+	/**
+	 * Assert RES: the command register disables receive interrupts and everything
+	 * else, the control register selects the external clock and 8 data bits. Bytes
+	 * in transit are lost; queued input is kept.
+	 */
+	this.reset = function () {
+		this.sync();
+		s.command = 0x02;
+		s.control = 0;
+		s.rdrf = false;
+		s.tdre = true;
+		s.tx_busy_until = s.cycle;
+		s.status_changed = false;
+		update_irq();
+	};
+
+	/**
+	 * Capture the registers and queued input, for Bus save states
+	 * @return {Object} JSON-serializable state
+	 */
+	this.saveState = function () {
+		this.sync();
+		return Object.assign({}, s, { queue: s.queue.slice() });
+	};
+
+	/**
+	 * Check that a state can be restored, throwing if not
+	 * @param {Object} state State
+	 */
+	this.validateState = function (state) {
+		devices.check_state(state, Object.keys(s), 'ACIA');
+		if (!Array.isArray(state.queue)) {
+			throw new Error('ACIA save state queue is not a list');
+		}
+	};
+
+	/**
+	 * Restore a state captured by saveState()
+	 * @param {Object} state State
+	 */
+	this.loadState = function (state) {
+		this.validateState(state);
+		Object.keys(s).forEach(function (key) {
+			s[key] = state[key];
+		});
+		s.queue = s.queue.slice();
+		irq.restore(irq_level());
+	};
+
+}
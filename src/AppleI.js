@@ -0,0 +1,308 @@
+/**
+ * Apple I
+ *
+ * A CPU6502 with RAM from $0000, Steve Wozniak's monitor (WozMon) in ROM at
+ * $FF00 and the 6821 PIA at $D010-$D013 that connects the keyboard and display:
+ *
+ *   $D010  KBD    keyboard data, bit 7 always set
+ *   $D011  KBDCR  bit 7 set when a key was pressed; cleared by reading KBD
+ *   $D012  DSP    display data; bit 7 reads as set while the display is busy
+ *   $D013  DSPCR
+ *
+ * The PIA address lines are only partly decoded, so the registers repeat
+ * through $D000-$DFFF. The PIA's interrupt outputs are not connected.
+ *
+ * The display is an uppercase 40 column terminal: it prints $20-$5F, wraps at
+ * the end of a line and starts a new one on CR. Lowercase characters are shown
+ * in uppercase.
+ *
+ * Keystrokes are queued with type() and fed to the PIA one at a time as the
+ * program reads them. attach_terminal() bridges the machine to Node streams,
+ * such as process.stdin and process.stdout, and runs it in real time.
+ *
+ * Run from the command line, this file starts an Apple I on the terminal after
+ * loading the program files given (see loaders.js; raw binaries take their load
+ * address after an @, e.g. basic.bin@e000):
+ *
+ *   node src/AppleI.js [file[@address]...]
+ *
+ * @param {Object} options Optional settings:
+ *     ram_size: bytes of RAM from $0000 (default 4K, at most 52K)
+ *     expansion: true to add the 4K of RAM at $E000 that Integer BASIC runs from
+ *     variant: CPU variant (default '6502')
+ *     clock: clock rate in Hz when running on a terminal (default 1022727, the
+ *         Apple I's 14.31818 MHz / 14); 0 runs as fast as possible
+ *     output: called with the text the display prints, CR becoming '\n'
+ */
+
+var Bus = require('./Bus');
+var CPU6502 = require('./CPU6502');
+var PIA6821 = require('./PIA6821');
+var loaders = require('./loaders');
+
+var WOZMON = Buffer.from(
+	'd858a07f8c12d0a9a78d11d08d13d0c9dff013c99bf003c8100fa9dc20efffa98d20efffa0018830f6' +
+	'ad11d010fbad10d099000220efffc98dd0d4a0ffa900aa0a852bc8b90002c98df0d4c9ae90f4f0f0c9ba' +
+	'f0ebc9d2f03b86288629842ab9000249b0c90a90066988c9fa90110a0a0a0aa2040a26282629cad0f8c8' +
+	'd0e0c42af097242b5010a5288126e626d0b5e6274c44ff6c2400302ba202b527952595' +
+	'23cad0f7d014a98d20efffa52520dcffa52420dcffa9ba20efffa9a020efffa12420dcff862ba524c528' +
+	'a525e529b0c1e624d002e625a524290710c8484a4a4a4a20e5ff68290f09b0c9ba900269062c12d030fb' +
+	'8d12d0600000000f00ff0000', 'hex');
+
+var COLUMNS = 40;
+
+function AppleI(options) {
+
+	"use strict";
+
+	options = options || {};
+
+	var machine = this,
+		ram_size = options.ram_size || 0x1000,
+		clock = (undefined !== options.clock) ? options.clock : 1022727,
+		keys = [], // keystrokes not yet read
+		display_data = 0, // port B output pins
+		column = 0,
+		terminal = null;
+
+	if (ram_size > 0xd000) {
+		throw new Error('Apple I RAM ends below the PIA at $D000');
+	}
+
+	this.bus = new Bus();
+	this.ram = this.bus.map_ram(0, ram_size).data;
+	if (options.expansion) {
+		this.bus.map_ram(0xe000, 0x1000);
+	}
+	this.bus.map_rom(0xff00, new Uint8Array(WOZMON));
+
+	this.cpu = new CPU6502(this.bus, undefined, { variant: options.variant });
+
+	this.pia = new PIA6821({
+		read_a: function () {
+			return 0x80 | (keys.length ? keys[0] : 0);
+		},
+		read_b: function () {
+			return 0; // the display is ready again by the time the program looks
+		},
+		write_b: function (value) {
+			display_data = value;
+		},
+		cb2: function (level) {
+			// The PIA strobes CB2 low for each character written; the display acknowledges on CB1
+			if (!level) {
+				display(display_data & 0x7f);
+				machine.pia.cb1(1);
+				machine.pia.cb1(0);
+			}
+		}
+	});
+	this.bus.map_device(0xd000, 0xdfff, {
+		read: function (offset) {
+			// Reading KBD takes the key, and the keyboard strobes the next one in
+			var taken = (offset & 3) === 0 && (machine.pia.read(1) & 0x84) === 0x84,
+				value = machine.pia.read(offset & 3);
+
+			if (taken) {
+				keys.shift();
+				strobe_key();
+			}
+			return value;
+		},
+		write: function (offset, value) {
+			machine.pia.write(offset & 3, value);
+			if ((offset & 3) === 1) {
+				strobe_key(); // keys typed before the program set up the keyboard
+			}
+		},
+		saveState: function () {
+			return machine.pia.saveState();
+		},
+		validateState: function (state) {
+			machine.pia.validateState(state);
+		},
+		loadState: function (state) {
+			machine.pia.loadState(state);
+		}
+	}, 'pia');
+
+	/**
+	 * Tell the PIA a key is waiting, unless it has not taken the last one yet
+	 */
+	function strobe_key() {
+		if (keys.length && !(machine.pia.read(1) & 0x80)) {
+			machine.pia.ca1(1);
+			machine.pia.ca1(0);
+		}
+	}
+
+	/**
+	 * Print a character on the display
+	 */
+	function display(code) {
+		var text = '';
+
+		if (code === 0x0d) {
+			text = '\n';
+			column = 0;
+		} else if (code >= 0x20) {
+			text = String.fromCharCode((code >= 0x60) ? code - 0x20 : code);
+			if (++column === COLUMNS) {
+				text += '\n';
+				column = 0;
+			}
+		}
+
+		if (text) {
+			if (options.output) {
+				options.output(text);
+			}
+			if (terminal) {
+				terminal.output.write(terminal.raw ? text.replace(/\n/g, '\r\n') : text);
+			}
+		}
+	}
+
+	/**
+	 * Queue keystrokes. Newlines become RETURN, backspace and delete become the
+	 * Apple I's rubout ('_') and lowercase letters are typed in uppercase.
+	 * @param {String} text Keystrokes
+	 */
+	this.type = function (text) {
+		var i, code;
+
+		for (i = 0; i < text.length; i++) {
+			code = text.charCodeAt(i) & 0x7f;
+			if (code === 0x0a) {
+				// A CR LF pair is one RETURN
+				if (i > 0 && text.charCodeAt(i - 1) === 0x0d) {
+					continue;
+				}
+				code = 0x0d;
+			} else if (code === 0x08 || code === 0x7f) {
+				code = 0x5f;
+			} else if (code >= 0x61 && code <= 0x7a) {
+				code -= 0x20;
+			}
+			keys.push(code);
+		}
+		strobe_key();
+	};
+
+	/**
+	 * Press RESET: the monitor restarts, memory is kept
+	 */
+	this.reset = function () {
+		keys = [];
+		column = 0;
+		this.pia.reset();
+		this.cpu.reset();
+	};
+
+	/**
+	 * Run for a number of cycles
+	 * @param {Number} cycles Cycles to run; the last instruction may overrun them
+	 */
+	this.run = function (cycles) {
+		var end = this.cpu.cycles + cycles;
+
+		while (this.cpu.cycles < end && !this.cpu.stopped) {
+			this.cpu.step();
+		}
+	};
+
+	/**
+	 * Load a program file into memory
+	 * @param {String} file Path of the file
+	 * @param {Object} settings Options of loaders.load_file()
+	 * @return {Number} entry point, undefined if the file has none
+	 */
+	this.load_file = function (file, settings) {
+		return loaders.load_file(file, this.bus, settings);
+	};
+
+	/**
+	 * Connect the keyboard and display to streams and run the machine in real time.
+	 * On a TTY the input is switched to raw mode; Ctrl-C then detaches.
+	 * @param {stream.Readable} input Keyboard input
+	 * @param {stream.Writable} output Display output
+	 */
+	this.attach_terminal = function (input, output) {
+		var slice_ms = 10,
+			last = Date.now();
+
+		if (terminal) {
+			throw new Error('A terminal is already attached');
+		}
+
+		terminal = {
+			input: input,
+			output: output,
+			raw: !!(input.isTTY && input.setRawMode),
+			timer: null,
+			on_data: function (data) {
+				var text = data.toString('latin1');
+
+				if (terminal.raw && text.indexOf('\x03') !== -1) {
+					machine.detach_terminal();
+					return;
+				}
+				machine.type(text);
+			}
+		};
+
+		if (terminal.raw) {
+			input.setRawMode(true);
+		}
+		input.on('data', terminal.on_data);
+		input.resume();
+
+		(function run_slice() {
+			var now = Date.now();
+
+			// Catch up on at most a few slices after the event loop was held up
+			machine.run(clock ? Math.min(now - last, 5 * slice_ms) * clock / 1000 : 100000);
+			last = now;
+			if (terminal) {
+				terminal.timer = clock ? setTimeout(run_slice, slice_ms) : setImmediate(run_slice);
+			}
+		})();
+	};
+
+	/**
+	 * Disconnect the terminal streams and stop running
+	 */
+	this.detach_terminal = function () {
+		if (!terminal) {
+			return;
+		}
+		clearTimeout(terminal.timer);
+		clearImmediate(terminal.timer);
+		terminal.input.removeListener('data', terminal.on_data);
+		if (terminal.raw) {
+			terminal.input.setRawMode(false);
+		}
+		terminal.input.pause();
+		terminal = null;
+	};
+
+	this.reset();
+
+}
+
+module.exports = AppleI;
+
+if (require.main === module) {
+	(function () {
+		"use strict";
+
+		var machine = new AppleI({ expansion: true });
+
+		process.argv.slice(2).forEach(function (arg) {
+			var match = /^(.*?)(?:@([0-9a-f]{1,4}))?$/i.exec(arg);
+			machine.load_file(match[1], { offset: match[2] ? parseInt(match[2], 16) : undefined });
+		});
+
+		machine.attach_terminal(process.stdin, process.stdout);
+	})();
+}
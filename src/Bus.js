@@ -0,0 +1,390 @@
+/**
+ * Memory bus for CPU6502
+ *
+ * RAM, ROM, mirrors, banked memory and memory-mapped devices are each mapped to
+ * an address range. A later mapping takes precedence over an earlier one where
+ * they overlap, so a machine can map RAM over the whole address space and then
+ * place its I/O on top.
+ *
+ * A device is any object with read(offset) and write(offset, value) methods;
+ * offset is relative to the start of the device's range. Devices that have
+ * state of their own can implement saveState() and loadState(state) to be
+ * included in save states, and validateState(state), which throws if a state
+ * cannot be loaded, so that a bad save state is rejected before any of the bus
+ * is restored.
+ *
+ * @param {Object} [options] Optional settings:
+ *     unmapped: what to do on an access to an address nothing is mapped to:
+ *         'open' (default) reads return the last value seen on the bus, writes are ignored
+ *         'warn' as 'open', but also report the access through console.warn
+ *         'throw' throw an Error
+ */
+module.exports = function Bus(options) {
+
+	"use strict";
+
+	options = options || {};
+
+	var unmapped = options.unmapped || 'open',
+		regions = [null], // region 0 means nothing is mapped
+		address_map = new Uint16Array(65536), // region index of every address
+		bus = this;
+
+	if (['open', 'warn', 'throw'].indexOf(unmapped) === -1) {
+		throw new Error('Invalid unmapped access policy ' + unmapped);
+	}
+
+	this.last_value = 0; // last value read or written, returned by unmapped reads
+
+	/**
+	 * Check that an address range lies within the 64K address space
+	 */
+	function check_range(start, end) {
+		if (start < 0 || end > 0xffff || start > end) {
+			throw new Error('Invalid address range $' + start.toString(16) + '-$' + end.toString(16));
+		}
+	}
+
+	/**
+	 * Add a region covering start..end inclusive
+	 * @return {Object} the region
+	 */
+	function add_region(region) {
+		var addr;
+
+		check_range(region.start, region.end);
+		if (regions.length > 0xffff) {
+			throw new Error('Too many regions mapped');
+		}
+
+		regions.push(region);
+		for (addr = region.start; addr <= region.end; addr++) {
+			address_map[addr] = regions.length - 1;
+		}
+
+		return region;
+	}
+
+	/**
+	 * Encode memory contents as base64
+	 */
+	function encode(data) {
+		return Buffer.from(data.buffer, data.byteOffset, data.length).toString('base64');
+	}
+
+	/**
+	 * Check that base64 memory contents fit an existing array
+	 */
+	function check_encoded(text, data) {
+		var length = (typeof text === 'string') ? Buffer.byteLength(text, 'base64') : 0;
+
+		if (!data || length !== data.length) {
+			throw new Error('Save state holds ' + length + ' bytes for a ' + (data ? data.length : 0) + ' byte region');
+		}
+	}
+
+	/**
+	 * Decode base64 memory contents into an existing array
+	 */
+	function decode(text, data) {
+		data.set(Buffer.from(text, 'base64'));
+	}
+
+	/**
+	 * Handle an access to an address nothing is mapped to
+	 */
+	function unmapped_access(kind, addr) {
+		var message = 'Unmapped ' + kind + ' at $' + addr.toString(16);
+
+		if (unmapped === 'throw') {
+			throw new Error(message);
+		}
+		if (unmapped === 'warn') {
+			console.warn(message);
+		}
+	}
+
+	/**
+	 * Read a byte. Bound to the bus so that it can be handed to CPU6502 on its own.
+	 * @param {Number} addr Address
+	 * @return {Number} value
+	 */
+	this.read_byte = function (addr) {
+		var region;
+
+		if (addr > 0xffff || addr < 0) {
+			throw new Error('Invalid read address ' + addr);
+		}
+
+		region = regions[address_map[addr]];
+		if (region === null) {
+			unmapped_access('read', addr);
+			return bus.last_value;
+		}
+
+		bus.last_value = region.read(addr - region.start) & 0xff;
+		return bus.last_value;
+	};
+
+	/**
+	 * Write a byte. Bound to the bus so that it can be handed to CPU6502 on its own.
+	 * @param {Number} addr Address
+	 * @param {Number} value Value
+	 */
+	this.write_byte = function (addr, value) {
+		var region;
+
+		if (addr > 0xffff || addr < 0) {
+			throw new Error('Invalid write address ' + addr);
+		}
+
+		bus.last_value = value & 0xff;
+		region = regions[address_map[addr]];
+		if (region === null) {
+			unmapped_access('write', addr);
+			return;
+		}
+
+		region.write(addr - region.start, value & 0xff);
+	};
+
+	/**
+	 * Map RAM
+	 * @param {Number} start First address
+	 * @param {Number} size Number of bytes
+	 * @param {Uint8Array} [data] Initial contents, used as the backing store
+	 * @return {Object} region, whose data property holds the RAM contents
+	 */
+	this.map_ram = function (start, size, data) {
+		data = data || new Uint8Array(size);
+
+		return add_region({
+			type: 'ram',
+			start: start,
+			end: start + size - 1,
+			data: data,
+			read: function (offset) {
+				return data[offset];
+			},
+			write: function (offset, value) {
+				data[offset] = value;
+			}
+		});
+	};
+
+	/**
+	 * Map ROM. Writes to it are ignored.
+	 * @param {Number} start First address
+	 * @param {Uint8Array} data Contents
+	 * @return {Object} region
+	 */
+	this.map_rom = function (start, data) {
+		return add_region({
+			type: 'rom',
+			start: start,
+			end: start + data.length - 1,
+			data: data,
+			read: function (offset) {
+				return data[offset];
+			},
+			write: function () {
+			}
+		});
+	};
+
+	/**
+	 * Mirror another address range, e.g. because the hardware does not decode every address line
+	 * @param {Number} start First address of the mirror
+	 * @param {Number} end Last address of the mirror
+	 * @param {Number} source_start First address of the mirrored range
+	 * @param {Number} source_size Size of the mirrored range; the mirror repeats it as needed
+	 * @return {Object} region
+	 */
+	this.map_mirror = function (start, end, source_start, source_size) {
+		return add_region({
+			type: 'mirror',
+			start: start,
+			end: end,
+			read: function (offset) {
+				return bus.read_byte(source_start + (offset % source_size));
+			},
+			write: function (offset, value) {
+				bus.write_byte(source_start + (offset % source_size), value);
+			}
+		});
+	};
+
+	/**
+	 * Map a memory-mapped device
+	 * @param {Number} start First address
+	 * @param {Number} end Last address
+	 * @param {Object} device Object with read(offset) and write(offset, value) methods
+	 * @param {String} [name] Name used in save states
+	 * @return {Object} region
+	 */
+	this.map_device = function (start, end, device, name) {
+		return add_region({
+			type: 'device',
+			name: name,
+			start: start,
+			end: end,
+			device: device,
+			read: function (offset) {
+				return device.read(offset);
+			},
+			write: function (offset, value) {
+				device.write(offset, value);
+			}
+		});
+	};
+
+	/**
+	 * Map a window onto one of several banks of memory
+	 * @param {Number} start First address of the window
+	 * @param {Array} banks Uint8Arrays, each at least as large as the window
+	 * @param {Object} [options] Optional settings:
+	 *     size: size of the window (defaults to the size of the first bank)
+	 *     writable: true for banked RAM, false (default) for banked ROM
+	 * @return {Object} region; call its select(index) method to switch banks
+	 */
+	this.map_banked = function (start, banks, options) {
+		options = options || {};
+
+		var region = add_region({
+			type: 'banked',
+			start: start,
+			end: start + (options.size || banks[0].length) - 1,
+			banks: banks,
+			bank: 0,
+			writable: !!options.writable,
+			read: function (offset) {
+				return banks[region.bank][offset];
+			},
+			write: function (offset, value) {
+				if (options.writable) {
+					banks[region.bank][offset] = value;
+				}
+			},
+			select: function (index) {
+				if (index < 0 || index >= banks.length) {
+					throw new Error('Invalid bank ' + index);
+				}
+				region.bank = index;
+			}
+		});
+
+		return region;
+	};
+
+	/**
+	 * Find the region an address is mapped to
+	 * @param {Number} addr Address
+	 * @return {Object} region, or null if nothing is mapped there
+	 */
+	this.region_at = function (addr) {
+		return regions[address_map[addr & 0xffff]];
+	};
+
+	/**
+	 * Capture the contents of RAM, the selected banks and the state of devices. ROM is
+	 * not included; the bus a snapshot is loaded into must have the same mappings.
+	 * @return {Object} JSON-serializable snapshot
+	 */
+	this.saveState = function () {
+		return {
+			last_value: this.last_value,
+			regions: regions.map(function (region) {
+				if (region === null) {
+					return null;
+				}
+				switch (region.type) {
+					case 'ram':
+						return { type: region.type, data: encode(region.data) };
+					case 'banked':
+						return {
+							type: region.type,
+							bank: region.bank,
+							banks: region.writable ? region.banks.map(encode) : undefined
+						};
+					case 'device':
+						return {
+							type: region.type,
+							name: region.name,
+							state: region.device.saveState ? region.device.saveState() : undefined
+						};
+					default:
+						return { type: region.type };
+				}
+			})
+		};
+	};
+
+	/**
+	 * Restore a snapshot taken by saveState()
+	 * @param {Object} state Snapshot
+	 */
+	this.loadState = function (state) {
+		if (!state || !Array.isArray(state.regions) || state.regions.length !== regions.length) {
+			throw new Error('Save state has ' + (state && state.regions ? state.regions.length - 1 : 'no') +
+				' regions, bus has ' + (regions.length - 1));
+		}
+
+		// Check every region before restoring any
+		state.regions.forEach(function (saved, index) {
+			var region = regions[index];
+
+			if (saved === null) {
+				return;
+			}
+			if (saved.type !== region.type || saved.name !== region.name) {
+				throw new Error('Save state region ' + index + ' (' + saved.type + ') does not match the bus');
+			}
+			if (saved.type === 'ram') {
+				check_encoded(saved.data, region.data);
+			} else if (saved.type === 'banked') {
+				if (!Number.isInteger(saved.bank) || saved.bank < 0 || saved.bank >= region.banks.length) {
+					throw new Error('Save state region ' + index + ' selects bank ' + saved.bank + ' of ' + region.banks.length);
+				}
+				if (saved.banks) {
+					if (saved.banks.length !== region.banks.length) {
+						throw new Error('Save state region ' + index + ' has ' + saved.banks.length + ' banks, bus has ' + region.banks.length);
+					}
+					saved.banks.forEach(function (data, bank) {
+						check_encoded(data, region.banks[bank]);
+					});
+				}
+			} else if (saved.type === 'device' && undefined !== saved.state && region.device.validateState) {
+				region.device.validateState(saved.state);
+			}
+		});
+
+		state.regions.forEach(function (saved, index) {
+			var region = regions[index];
+
+			if (saved === null) {
+				return;
+			}
+			switch (saved.type) {
+				case 'ram':
+					decode(saved.data, region.data);
+					break;
+				case 'banked':
+					region.select(saved.bank);
+					if (saved.banks) {
+						saved.banks.forEach(function (data, bank) {
+							decode(data, region.banks[bank]);
+						});
+					}
+					break;
+				case 'device':
+					if (undefined !== saved.state && region.device.loadState) {
+						region.device.loadState(saved.state);
+					}
+					break;
+			}
+		});
+
+		this.last_value = state.last_value;
+	};
+
+}
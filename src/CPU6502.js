@@ -1,36 +1,330 @@
-module.exports = function CPU6502(read_byte, write_byte, symbol_table_lookup) {
+var opcodes = require('./opcodes');
+
+var SAVE_STATE_VERSION = 4;
+
+// Bits of the status register, by flag letter. B and bit 5 are not flags: bit 5 always
+// reads as 1, and B only exists in the copies of the status register pushed on the stack.
+var FLAGS = { N: 128, V: 64, D: 8, I: 4, Z: 2, C: 1 };
+var B = 16, BIT_5 = 32;
+
+// Instructions that read, modify and write back their operand
+var RMW_INSTRUCTIONS = ['ASL', 'LSR', 'ROL', 'ROR', 'INC', 'DEC', 'TSB', 'TRB',
+	'SLO', 'RLA', 'SRE', 'RRA', 'DCP', 'ISC'];
+
+// Thrown to suspend an instruction at its next bus access in cycle-exact mode
+var SUSPEND = {};
+
+/**
+ * 6502 CPU, either the NMOS original or one of the CMOS 65C02 variants
+ *
+ * Either new CPU6502(read_byte, write_byte, symbol_table_lookup, options)
+ * or new CPU6502(bus, symbol_table_lookup, options) with a Bus.
+ *
+ * @param {Function|Bus} read_byte Called with an address to read a byte from the bus, or a Bus,
+ *     in which case the other arguments move up one place
+ * @param {Function} [write_byte] Called with an address and a value to write a byte to the bus;
+ *     symbol_table_lookup when read_byte is a Bus
+ * @param {Function|Object} [symbol_table_lookup] Called with an address, returns its symbol name
+ *     or undefined; options when read_byte is a Bus
+ * @param {Object} [options] Optional settings:
+ *     tracer: function called with an event after every instruction (see tracers.js)
+ *     variant: '6502' (default), '65c02', 'r65c02' (Rockwell) or 'w65c02' (WDC); see opcodes.js
+ *     undocumented: true to execute the undocumented opcodes of the NMOS 6502 instead of
+ *         treating them as invalid
+ *     unstable: what the undocumented opcodes that vary between chips (opcodes.UNSTABLE) do:
+ *         'emulate' (default) the commonly observed behaviour, 'nop' or 'throw' as invalid
+ *     magic: constant ANE & LXA OR into A before ANDing (default 0xee)
+ *     cycle_exact: true for each tick() to make exactly the one bus access the 6502 makes
+ *         on that cycle, including the dummy reads and writes (see tick())
+ *     bus_log: true to record every bus access in cpu.bus_log, as
+ *         { cycle, address, value, type: 'read' or 'write' }
+ *
+ * Listeners registered with on(name, listener) are told about:
+ *     'instruction' every instruction executed, with the same event a tracer receives
+ *     'access' every bus access, with { type: 'read' or 'write', address, value, cycle }
+ *     'interrupt' every IRQ or NMI taken, with { type: 'irq' or 'nmi', address, handler, vector }
+ *         where address is the return address pushed and handler the address jumped to;
+ *         an IRQ hijacked by an NMI is reported as an NMI
+ *     'halt' the CPU locking up on STP or an undocumented JAM opcode, with
+ *         { reason: 'stp' or 'jam', address, opcode }; it stays halted until reset
+ *     'clock' the cycle counter advancing, with its new value: after every step(),
+ *         tick() and reset(), so also while the CPU waits after WAI or is halted
+ *
+ * Devices with timers of their own, such as VIA6522 and ACIA6551, are clocked by
+ * the cycle counter: they catch up with it on every register access and on every
+ * 'clock' event. Outside cycle-exact mode an instruction makes all its bus
+ * accesses before its cycles are counted, so a device sees them a few cycles
+ * early; in cycle-exact mode they are made on the exact cycle.
+ *
+ * The registers are A, X, Y, PC, SP (stack pointer) and S (status register, P). The
+ * status register is best accessed through getP()/setP() or the individual flags, as
+ * booleans: cpu.flags.C = true.
+ */
+module.exports = function CPU6502(read_byte, write_byte, symbol_table_lookup, options) {
 
 	"use strict";
 
+	this.bus = null;
+
+	if (typeof read_byte === 'object') {
+		this.bus = read_byte;
+		options = symbol_table_lookup;
+		symbol_table_lookup = write_byte;
+		read_byte = this.bus.read_byte;
+		write_byte = this.bus.write_byte;
+	}
+
+	symbol_table_lookup = symbol_table_lookup || function () {
+		return undefined;
+	};
+	options = options || {};
+
+	var cpu = this,
+		variant = options.variant || '6502',
+		cmos = (variant !== '6502'),
+		unstable = options.unstable || 'emulate',
+		magic = (undefined === options.magic) ? 0xee : options.magic,
+		bus_read = read_byte,
+		bus_write = write_byte,
+		cycle_exact = !!options.cycle_exact,
+		replay = null, // bus accesses of the instruction being run in cycle-exact mode
+		rmw_dummy = false, // true until the dummy access of a read-modify-write instruction
+		last_read = 0, // value of the last byte read
+		listeners = { instruction: [], access: [], interrupt: [], halt: [], clock: [] };
+
+	/**
+	 * Call every listener registered for an event
+	 */
+	function emit(name, event) {
+		var list = listeners[name],
+			i;
+
+		for (i = 0; i < list.length; i++) {
+			list[i](event);
+		}
+	}
+
+	/**
+	 * Advance the cycle counter and tell the clock listeners
+	 */
+	function advance(cycles) {
+		cpu.cycles += cycles;
+		if (listeners.clock.length) {
+			emit('clock', cpu.cycles);
+		}
+	}
+
+	/**
+	 * Read from the bus, telling the access listeners and the bus log while there are any
+	 */
+	function access_read(addr) {
+		var value = bus_read(addr);
+		if (listeners.access.length || cpu.bus_log) {
+			record_access({ type: 'read', address: addr, value: value, cycle: cpu.cycles });
+		}
+		return value;
+	}
+
+	/**
+	 * Write to the bus, telling the access listeners and the bus log while there are any
+	 */
+	function access_write(addr, value) {
+		if (listeners.access.length || cpu.bus_log) {
+			record_access({ type: 'write', address: addr, value: value, cycle: cpu.cycles });
+		}
+		bus_write(addr, value);
+	}
+
+	/**
+	 * Add an access to the bus log and pass it to the access listeners
+	 */
+	function record_access(event) {
+		if (cpu.bus_log) {
+			cpu.bus_log.push(event);
+		}
+		emit('access', event);
+	}
+
+	/**
+	 * Make a bus access of the instruction tick() is running in cycle-exact mode. Accesses
+	 * made on earlier cycles are replayed from the log without touching the bus, the first
+	 * new one is made for real, and the one after that suspends the instruction until the
+	 * next cycle.
+	 */
+	function replay_access(type, addr, value) {
+		if (replay.index < replay.log.length) {
+			return replay.log[replay.index++];
+		}
+		if (replay.done) {
+			throw SUSPEND;
+		}
+
+		if (type === 'read') {
+			value = access_read(addr);
+		} else {
+			access_write(addr, value);
+		}
+		replay.log.push(value);
+		replay.index++;
+		replay.done = true;
+		return value;
+	}
+
+	read_byte = function (addr) {
+		last_read = replay ? replay_access('read', addr, 0) : access_read(addr);
+		return last_read;
+	};
+
+	write_byte = function (addr, value) {
+		if (!replay) {
+			access_write(addr, value);
+			return;
+		}
+		if (rmw_dummy) {
+			// Read-modify-write instructions spend a cycle between the read and the write: the
+			// 6502 writes the unmodified value back, the 65C02 reads the address again
+			rmw_dummy = false;
+			if (cmos) {
+				read_byte(addr);
+			} else {
+				write_byte(addr, last_read);
+			}
+		}
+		replay_access('write', addr, value);
+	};
+
+	/**
+	 * Read a byte only to keep the bus activity of cycle-exact mode faithful
+	 */
+	function dummy_read(addr) {
+		if (cycle_exact) {
+			read_byte(addr & 0xffff);
+		}
+	}
+
+	/**
+	 * Register a listener
+	 * @param {String} name 'instruction', 'access', 'interrupt', 'halt' or 'clock'
+	 * @param {Function} listener Called with the event
+	 */
+	this.on = function (name, listener) {
+		if (!listeners[name]) {
+			throw new Error('Unknown CPU event ' + name);
+		}
+		listeners[name].push(listener);
+	};
+
+	/**
+	 * Remove a listener registered with on()
+	 */
+	this.off = function (name, listener) {
+		var index = listeners[name] ? listeners[name].indexOf(listener) : -1;
+		if (index !== -1) {
+			listeners[name].splice(index, 1);
+		}
+	};
+
+	if (options.tracer) {
+		this.on('instruction', options.tracer);
+	}
+
+	if (!opcodes.VARIANTS[variant]) {
+		throw new Error('Unknown CPU variant ' + variant);
+	}
+	if (options.undocumented && cmos) {
+		throw new Error('Undocumented opcodes are only available on the NMOS 6502');
+	}
+	if (['emulate', 'nop', 'throw'].indexOf(unstable) === -1) {
+		throw new Error('Invalid unstable opcode behaviour ' + unstable);
+	}
+
+	this.variant = variant;
+	this.cycle_exact = cycle_exact;
+	this.bus_log = options.bus_log ? [] : null;
+	this.symbol_table_lookup = symbol_table_lookup;
+
 	this.A = 0;
 	this.X = 0;
 	this.Y = 0;
-	this.S = 32 /* bit 5 set */;
-	this.SP = 0;
+	this.S = BIT_5;
+	this.SP = 0; // the stack grows downwards from $01FF; reset leaves SP at $FD
 	this.PC = 0;
 	this.opcode = 0;
 	this.opcode_name = '';
 	this.opcode_cycle = 0;
+	this.opcode_cycles = 0; // total number of cycles the current instruction takes
 	this.addr_mode = '';
 	this.operand = 0;
 	this.instruction_addr = 0;
-	this.do_irq = false; // true if IRQ processing needs to happen after current instruction
-	this.do_nmi = false;
+	this.irq_sources = {}; // names of the devices holding the IRQ line asserted
+	this.irq_request = false; // IRQ asserted by irq() without a source, until it is taken
+	this.nmi_sources = {}; // names of the devices holding the NMI line asserted
+	this.nmi_edge = false; // true once the NMI line has been asserted, until the NMI is taken
+	this.irq_pending = false; // true if the last interrupt poll found an IRQ to take
+	this.nmi_pending = false; // true if the last interrupt poll found an NMI to take
+	this.interrupt_mask = 0; // I flag as seen by the interrupt poll, which CLI, SEI & PLP change too late for
+	this.interrupt = null; // 'irq' or 'nmi' while the interrupt sequence runs instead of an instruction
+	this.page_crossed = false; // true if indexing the current operand crossed a page boundary
+	this.extra_cycles = 0; // cycles added by a taken branch
+	this.cycles = 0; // total number of cycles executed
+	this.instruction_cycle = 0; // value of the cycle counter when the current instruction started
+	this.waiting = false; // true after WAI until an interrupt is signalled
+	this.stopped = false; // true after STP or JAM until reset
+
+	/**
+	 * Status flags as booleans, by letter: N, V, D, I, Z and C
+	 */
+	this.flags = {};
+	Object.keys(FLAGS).forEach(function (name) {
+		Object.defineProperty(cpu.flags, name, {
+			enumerable: true,
+			get: function () {
+				return !!(cpu.S & FLAGS[name]);
+			},
+			set: function (value) {
+				cpu.S = value ? (cpu.S | FLAGS[name]) : (cpu.S & ~FLAGS[name]);
+			}
+		});
+	});
 
+	/**
+	 * @return {Number} value of the status register, with bit 5 set and B clear
+	 */
+	this.getP = function () {
+		return (this.S & ~B) | BIT_5;
+	};
+
+	/**
+	 * Load the status register. B and bit 5 cannot be changed.
+	 * @param {Number} value New value
+	 */
+	this.setP = function (value) {
+		this.S = (value & ~B) | BIT_5;
+	};
+
+	/**
+	 * Run the 7-cycle reset sequence. Like an interrupt, it moves the stack pointer down
+	 * three bytes, but reads instead of writing, sets I and loads PC from the vector at
+	 * $FFFC. The other registers keep their values.
+	 */
 	this.reset = function () {
-		this.A = this.X = this.Y = 0;
-		this.S = 32; /* bit 5 set */
-		this.SP = 0;
-		this.PC = 0xFFFC;
-		console.log("CPU initialized");
-		var reset_vector = this.read_word(this.PC);
-		console.log("Read reset vector " + reset_vector + " from location " + this.PC);
-		this.PC = reset_vector;
-	}
+		this.SP = (this.SP - 3) & 0xff;
+		this.S = (this.S | FLAGS.I | BIT_5) & ~B;
+		if (cmos) {
+			this.S &= ~FLAGS.D; // the 65C02 also clears D
+		}
+		this.waiting = this.stopped = false;
+		this.irq_pending = this.nmi_pending = this.nmi_edge = this.irq_request = false;
+		this.interrupt = null;
+		this.interrupt_mask = FLAGS.I;
+		this.opcode_cycle = 0;
+		this.PC = this.read_word(0xFFFC);
+		advance(7);
+	};
 
 	this.read_word = function (addr) {
-		var hi = (read_byte(addr + 1) * 256);
 		var lo = read_byte(addr);
+		var hi = (read_byte((addr + 1) & 0xffff) * 256);
 		return hi + lo;
 	};
 
@@ -39,20 +333,23 @@ module.exports = function CPU6502(read_byte, write_byte, symbol_table_lookup) {
 	 */
 	this.setz = function (result) {
 		// Zero flag
-		if (result === 0) {
-			this.S |= 2;
+		if ((result & 0xff) === 0) {
+			this.S |= FLAGS.Z;
 		}
 		else {
-			this.S ^= 2;
+			this.S &= ~FLAGS.Z;
 		}
 	};
 
 	/**
 	 * Set/Reset the overflow flag
 	 */
-	this.setv = function (result) {
-		if (result === 0) {
-			this.S |= 64;
+	this.setv = function (overflow) {
+		if (overflow) {
+			this.S |= FLAGS.V;
+		}
+		else {
+			this.S &= ~FLAGS.V;
 		}
 	};
 
@@ -62,7 +359,10 @@ module.exports = function CPU6502(read_byte, write_byte, symbol_table_lookup) {
 	this.setn = function (result) {
 		// Negative flag
 		if (result & 128) {
-			this.S |= 128;
+			this.S |= FLAGS.N;
+		}
+		else {
+			this.S &= ~FLAGS.N;
 		}
 	};
 
@@ -88,8 +388,8 @@ module.exports = function CPU6502(read_byte, write_byte, symbol_table_lookup) {
 	/**
 	 * Set/reset the carry flag
 	 */
-	this.setc = function (result) {
-		this.S = (this.S & 254) + (result >= 0);
+	this.setc = function (carry) {
+		this.S = (this.S & ~FLAGS.C) | (carry ? FLAGS.C : 0);
 	}
 
 	/**
@@ -99,9 +399,18 @@ module.exports = function CPU6502(read_byte, write_byte, symbol_table_lookup) {
 	 * @return {Number} address
 	 */
 	function calculate_branch(pc, operand) {
-		return pc + (operand - ((operand < 0x80) ? 0 : 256));
+		return (pc + (operand - ((operand < 0x80) ? 0 : 256))) & 0xffff;
 	};
 
+	/**
+	 * Interpret a byte as a two's complement number
+	 * @param {Number} value Byte value
+	 * @return {Number} value in the range -128..127
+	 */
+	function signed_byte(value) {
+		return (value & 128) ? value - 256 : value;
+	}
+
 	/**
 	 * Implements the BIT opcode
 	 */
@@ -112,913 +421,1279 @@ module.exports = function CPU6502(read_byte, write_byte, symbol_table_lookup) {
 	};
 
 	/**
-	 * Push a byte onto the stack
+	 * Implements the conditional branch (BR*, BBR & BBS) opcodes
+	 * @param {Boolean} condition true if the branch is taken
+	 * @param {Number} offset Branch offset, defaults to the operand
+	 */
+	this.do_branch = function (condition, offset) {
+		var target;
+
+		if (condition) {
+			// A taken branch costs a cycle, and another if it lands in a different page
+			target = calculate_branch(this.PC, (undefined === offset) ? this.operand : offset);
+			this.extra_cycles = ((target & 0xff00) !== (this.PC & 0xff00)) ? 2 : 1;
+			dummy_read(this.PC);
+			if (this.extra_cycles === 2) {
+				// The low byte of PC is updated first
+				dummy_read((this.PC & 0xff00) | (target & 0xff));
+			}
+			this.PC = target;
+		}
+	};
+
+	/**
+	 * Implements the CMP, CPX & CPY opcodes
+	 * @param {Number} register Value of the register being compared
+	 * @param {Number} operand Value it is compared against
+	 */
+	this.do_compare = function (register, operand) {
+		this.set_nz((register - operand) & 0xff);
+		this.setc(register >= operand);
+	};
+
+	/**
+	 * Implements the ADC opcode
+	 */
+	this.do_adc = function (operand) {
+		var carry = this.S & FLAGS.C,
+			result = this.A + operand + carry,
+			lo, signed_result;
+
+		// Z always reflects the binary sum, even in decimal mode
+		this.set_nz(result & 0xff);
+		// Overflow if both inputs have the same sign and the result does not
+		this.setv(~(this.A ^ operand) & (this.A ^ result) & 128);
+
+		if (this.S & FLAGS.D) {
+			// Decimal mode, see http://www.6502.org/tutorials/decimal_mode.html#A
+			lo = (this.A & 0x0f) + (operand & 0x0f) + carry;
+			if (lo >= 0x0a) {
+				lo = ((lo + 0x06) & 0x0f) + 0x10;
+			}
+			result = (this.A & 0xf0) + (operand & 0xf0) + lo;
+
+			// V is taken from the sum before the high digit is adjusted, and so is N on the NMOS 6502
+			signed_result = signed_byte(this.A & 0xf0) + signed_byte(operand & 0xf0) + lo;
+			this.setn(result);
+			this.setv(signed_result < -128 || signed_result > 127);
+
+			if (result >= 0xa0) {
+				result += 0x60;
+			}
+
+			if (cmos) {
+				// The 65C02 takes an extra cycle to set N & Z from the decimal result
+				this.set_nz(result & 0xff);
+				this.extra_cycles += 1;
+				dummy_read(this.PC);
+			}
+		}
+
+		this.setc(result > 255);
+		this.A = result & 0xff;
+	};
+
+	/**
+	 * Implements the SBC opcode
+	 */
+	this.do_sbc = function (operand) {
+		var borrow = 1 - (this.S & FLAGS.C),
+			result, lo;
+
+		if (!(this.S & FLAGS.D)) {
+			this.do_adc(operand ^ 0xff);
+			return;
+		}
+
+		// Decimal mode, see http://www.6502.org/tutorials/decimal_mode.html#A
+		// The NMOS 6502 sets every flag from the binary difference
+		result = this.A - operand - borrow;
+		this.set_nz(result & 0xff);
+		this.setv((this.A ^ operand) & (this.A ^ result) & 128);
+		this.setc(result >= 0);
+
+		lo = (this.A & 0x0f) - (operand & 0x0f) - borrow;
+
+		if (cmos) {
+			// The 65C02 adjusts the binary difference, and sets N & Z from the decimal result
+			if (result < 0) {
+				result -= 0x60;
+			}
+			if (lo < 0) {
+				result -= 0x06;
+			}
+			this.set_nz(result & 0xff);
+			this.extra_cycles += 1;
+			dummy_read(this.PC);
+		} else {
+			if (lo < 0) {
+				lo = ((lo - 0x06) & 0x0f) - 0x10;
+			}
+			result = (this.A & 0xf0) - (operand & 0xf0) + lo;
+			if (result < 0) {
+				result -= 0x60;
+			}
+		}
+
+		this.A = result & 0xff;
+	};
+
+	/**
+	 * Push a byte onto the stack. The stack grows downwards: SP points at the next free byte.
 	 */
 	this.push_byte = function (value) {
 		write_byte(this.SP + 0x100, value);
-		this.SP = (this.SP + 1) & 0xff;
+		this.SP = (this.SP - 1) & 0xff;
 	};
 
 	/**
-	 * Push a word onto the stack
+	 * Push a word onto the stack, high byte first so that it ends up little endian
 	 */
 	this.push_word = function (value) {
-		this.push_byte(value & 0x00ff);
 		this.push_byte((value & 0xff00) >> 8);
+		this.push_byte(value & 0x00ff);
 	};
 
 	/**
 	 * Pop a value off the stack
 	 */
 	this.pop_byte = function () {
-		this.SP = (this.SP - 1) & 0xff;
+		this.SP = (this.SP + 1) & 0xff;
 		return read_byte(this.SP + 0x100);
 	};
 
 	/**
 	 * Pop a word off the stack
 	 */
-	this.pop_word = function (value) {
-		var word = this.pop_byte() << 8;
-		word += this.pop_byte();
+	this.pop_word = function () {
+		var word = this.pop_byte();
+		word += this.pop_byte() << 8;
 		return word;
 	};
 
-	this.irq = function () {
-		if (!(this.S & 4)) {
-			this.do_irq = true;
+	/**
+	 * Assert or release the IRQ line. IRQ is level triggered: it is taken whenever the
+	 * line is asserted and I is clear, so each device keeps it asserted until its
+	 * interrupt has been acknowledged. Without a source, the IRQ is requested once and
+	 * released when the CPU takes it.
+	 * @param {String} source Name of the device driving the line
+	 * @param {Boolean} asserted false to release the line (default true)
+	 */
+	this.irq = function (source, asserted) {
+		if (undefined === source) {
+			this.irq_request = true;
+		} else if (asserted === false) {
+			delete this.irq_sources[source];
+		} else {
+			this.irq_sources[source] = true;
 		}
+
+		wake(this);
 	};
 
-	this.nmi = function () {
-		this.do_nmi = true;
+	/**
+	 * @return {Boolean} true if any source asserts the IRQ line
+	 */
+	this.irq_asserted = function () {
+		return this.irq_request || Object.keys(this.irq_sources).length > 0;
 	};
 
-	this.tick = function () {
-		function format_operand(operand, addr_mode) {
-			var operand_symbol = symbol_table_lookup(operand);
-			switch (addr_mode) {
-				case 'implied':
-				case 'accumulator':
-					return '';
-				case 'immediate':
-					return (undefined !== operand_symbol) ? operand_symbol : '#$' + operand.toString(16);
-				case 'absolute':
-				case 'zeropage':
-					return (undefined !== operand_symbol) ? operand_symbol : ('$' + operand.toString(16));
-				case 'absolute,x':
-				case 'zeropage,x':
-					return (undefined !== operand_symbol) ? operand_symbol : ('$' + operand.toString(16)) + ',X';
-				case 'absolute,y':
-				case 'zeropage,y':
-					return (undefined !== operand_symbol) ? operand_symbol : ('$' + operand.toString(16)) + ',Y';
-				case 'relative':
-					if (operand & 128) {
-						return '*-' + (~operand & 127).toString(10);
-					} else {
-						return '*+' + (operand & 127).toString(10);
-					}
-					break;
-				case 'indirect':
-					return '(' + operand.toString(16) + ')';
-				case 'indexedindirect':
-					return '(' + operand.toString(16) + ',X)';
-				case 'indirectindexed':
-					return '(' + operand.toString(16) + '),Y';
-				default:
-					throw new Error('Cannot format invalid address mode ' + addr_mode);
-			}
+	/**
+	 * Assert or release the NMI line. NMI is edge triggered: one NMI is taken each time
+	 * the line goes from released to asserted. Without a source, a single edge is signalled.
+	 * @param {String} source Name of the device driving the line
+	 * @param {Boolean} asserted false to release the line (default true)
+	 */
+	this.nmi = function (source, asserted) {
+		var was_asserted = Object.keys(this.nmi_sources).length > 0;
+
+		if (undefined === source) {
+			this.nmi_edge = true;
+		} else if (asserted === false) {
+			delete this.nmi_sources[source];
+		} else {
+			this.nmi_sources[source] = true;
+			this.nmi_edge = this.nmi_edge || !was_asserted;
 		}
 
-		if (this.opcode_cycle === 0) {
-			if (this.do_irq) {
-				this.push_word(this.PC);
-				this.push_byte(this.S);
-				this.S &= 251; // disable interrupts
-				this.PC = this.read_word(0xfffe);
-			}
+		wake(this);
+	};
 
-			if (this.do_nmi) {
-				this.push_word(this.PC);
-				this.push_byte(this.S);
-				this.S &= 251; // disable interrupts
-				this.PC = this.read_word(0xffea);
-			}
+	/**
+	 * End WAI if an interrupt is signalled, which also happens when the IRQ line was
+	 * already asserted as WAI ran. An IRQ ends WAI even while interrupts are disabled,
+	 * and execution then continues after WAI.
+	 * @param {CPU6502} cpu CPU to wake
+	 */
+	function wake(cpu) {
+		if (cpu.waiting && (cpu.irq_asserted() || cpu.nmi_edge)) {
+			cpu.waiting = false;
+			cpu.poll_interrupts();
+		}
+	}
 
-			this.instruction_addr = this.PC;
-			this.opcode = read_byte(this.instruction_addr);
-			this.addr_mode = 'immediate';
-			this.PC += 1;
-			this.opcode_cycle += 1;
-			return;
+	/**
+	 * Sample the interrupt lines, as the CPU does before the last cycle of each instruction
+	 */
+	this.poll_interrupts = function () {
+		this.nmi_pending = this.nmi_edge;
+		this.irq_pending = !this.interrupt_mask && this.irq_asserted();
+	};
+
+	/**
+	 * Push PC and the status register, disable interrupts and jump through a vector.
+	 * An NMI signalled before the vector is read hijacks IRQ and BRK, which then
+	 * continue at the NMI handler; the caller acknowledges the NMI once the sequence
+	 * has completed.
+	 * @param {Number} status Value of the status register to push
+	 * @param {Number} vector Address of the vector
+	 * @return {Number} address of the vector used
+	 */
+	this.do_interrupt = function (status, vector) {
+		this.push_word(this.PC);
+		this.push_byte(status);
+		this.S |= FLAGS.I;
+		if (cmos) {
+			this.S &= ~FLAGS.D; // the 65C02 also clears D
 		}
 
-		// Decode the opcode
-		// see http://www.llx.com/~nparker/a2/opcodes.html
-		var aaa = (this.opcode & 224) >> 5,
-			bbb = (this.opcode & 28) >> 2,
-			cc = this.opcode & 3;
+		if (vector === 0xfffe && this.nmi_edge) {
+			vector = 0xfffa;
+		}
+
+		this.PC = this.read_word(vector);
+		return vector;
+	};
+
+	/**
+	 * Lock up the CPU until it is reset
+	 * @param {String} reason 'stp' or 'jam'
+	 */
+	this.halt = function (reason) {
+		this.stopped = true;
+		emit('halt', { reason: reason, address: this.instruction_addr, opcode: this.opcode });
+	};
 
-		if (cc == 3) {
-			throw new Error('Invalid 11 opcode ' + this.opcode.toString(2));
+	/**
+	 * Implements the SHA, SHX, SHY & TAS opcodes, which store a register ANDed with the
+	 * high byte of the base address plus one. When indexing crosses a page, the value
+	 * stored also replaces the high byte of the address written to.
+	 * @param {Number} addr Effective address
+	 * @param {Number} value Register value
+	 * @param {Number} index Value of the index register
+	 */
+	this.do_unstable_store = function (addr, value, index) {
+		value &= (((addr - index) >> 8) + 1) & 0xff;
+		if (this.page_crossed) {
+			addr = (value << 8) | (addr & 0xff);
 		}
-		var opcode_done = false;
-
-		switch (this.opcode) {
-			// Single-byte instructions
-			case 0x00:
-				this.opcode_name = 'BRK'
-				this.addr_mode = 'implied'
-				if (this.opcode_cycle === 7) {
-					this.PC += 1
-					this.nmi()
-					this.opcode_done = true
-				}
-				break;
-			case 0x08:
-				this.opcode_name = 'PHP';
-				this.addr_mode = 'implied';
-				throw "Unimplemented opcode " + this.opcode_name;
-				break;
-			case 0x28:
-				this.opcode_name = 'PLP';
-				this.addr_mode = 'implied';
-				throw "Unimplemented opcode " + this.opcode_name;
-				break;
-			case 0x48:
-				this.opcode_name = 'PHA';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 3) {
-					this.SP = (this.SP - 1) & 0x00ff;
-					write_byte(0x0100 + this.SP, this.A);
-					opcode_done = true;
-				}
-				break;
-			case 0x68:
-				this.opcode_name = 'PLA';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 4) {
-					this.A = read_byte(0x0100 + this.SP);
-					this.SP = (this.SP + 1) & 0x00ff;
-					opcode_done = true;
-				}
-				break;
-			case 0x88:
-				this.opcode_name = 'DEY';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 1) {
-					this.Y -= 1;
-					this.set_nz(this.Y);
-					opcode_done = true;
-				}
-				break;
-			case 0xa8:
-				this.opcode_name = 'TAY';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 2) {
-					this.Y = this.A;
-					opcode_done = true;
-				}
-				break;
-			case 0xc8:
-				this.opcode_name = 'INY';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 1) {
-					this.Y += 1;
-					this.set_nz(this.Y);
-					opcode_done = true;
-				}
-				break;
-			case 0xe8:
-				this.opcode_name = 'INX';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 1) {
-					this.X += 1;
-					this.set_nz(this.X);
-					opcode_done = true;
-				}
-				break;
-			case 0x18:
-				this.opcode_name = 'CLC';
-				this.addr_mode = 'implied';
-				this.setc(-1)
-				break;
-			case 0x38:
-				this.opcode_name = 'SEC';
-				this.addr_mode = 'implied';
-				this.setc(1)
-				break;
-			case 0x58:
-				this.opcode_name = 'CLI';
-				this.addr_mode = 'implied';
-				// Clear bit 2 of status
-				this.S &= 251;
-				opcode_done = true;
-				break;
-			case 0x78:
-				this.opcode_name = 'SEI';
-				this.addr_mode = 'implied';
-				// Set bit 2 of status
-				this.S |= 4;
-				opcode_done = true;
-				break;
-			case 0x98:
-				this.opcode_name = 'TYA';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 2) {
-					this.A = this.Y;
-					opcode_done = true;
+		write_byte(addr, value);
+	};
+
+	/**
+	 * Format the operand of an instruction the way it would be written in assembly source
+	 * @param {Number} operand Raw operand value
+	 * @param {String} addr_mode Addressing mode
+	 * @return {String} formatted operand
+	 */
+	function format_operand(operand, addr_mode) {
+		var operand_symbol = symbol_table_lookup(operand);
+		switch (addr_mode) {
+			case 'implied':
+			case 'accumulator':
+				return '';
+			case 'immediate':
+				return (undefined !== operand_symbol) ? operand_symbol : '#$' + operand.toString(16);
+			case 'absolute':
+			case 'zeropage':
+				return (undefined !== operand_symbol) ? operand_symbol : ('$' + operand.toString(16));
+			case 'absolute,x':
+			case 'zeropage,x':
+				return (undefined !== operand_symbol) ? operand_symbol : ('$' + operand.toString(16)) + ',X';
+			case 'absolute,y':
+			case 'zeropage,y':
+				return (undefined !== operand_symbol) ? operand_symbol : ('$' + operand.toString(16)) + ',Y';
+			case 'relative':
+				if (operand & 128) {
+					return '*-' + (~operand & 127).toString(10);
+				} else {
+					return '*+' + (operand & 127).toString(10);
 				}
 				break;
-			case 0xb8:
-				this.opcode_name = 'CLV';
-				this.addr_mode = 'implied';
-				throw "Unimplemented opcode " + this.opcode_name;
-				break;
-			case 0xd8:
-				this.opcode_name = 'CLD';
-				this.addr_mode = 'implied';
-				// Clear bit 5 of status
-				this.S &= 247;
-				opcode_done = true;
-				break;
-			case 0xf8:
-				this.opcode_name = 'SED';
-				this.addr_mode = 'implied';
-				throw "Unimplemented opcode " + this.opcode_name;
-				break;
-			case 0x8a:
-				this.opcode_name = 'TXA';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 2) {
-					this.A = this.X;
-					opcode_done = true;
-				}
+			case 'indirect':
+				return '(' + operand.toString(16) + ')';
+			case 'indexedindirect':
+				return '(' + operand.toString(16) + ',X)';
+			case 'indirectindexed':
+				return '(' + operand.toString(16) + '),Y';
+			case 'zeropageindirect':
+				return '(' + operand.toString(16) + ')';
+			case 'absoluteindexedindirect':
+				return '(' + operand.toString(16) + ',X)';
+			case 'zeropagerelative':
+				return '$' + (operand & 0xff).toString(16) + ',' + format_operand(operand >> 8, 'relative');
+			default:
+				throw new Error('Cannot format invalid address mode ' + addr_mode);
+		}
+	}
+
+	/**
+	 * Render a status register value as flag letters, upper case when set
+	 * @param {Number} p Status register value
+	 * @return {String} e.g. 'nv-BdIzc'
+	 */
+	function format_flags(p) {
+		return 'NV-BDIZC'.split('').map(function (letter, i) {
+			return (p & (128 >> i)) ? letter : letter.toLowerCase();
+		}).join('');
+	}
+
+	/**
+	 * Build the event passed to the tracer for the instruction that just executed
+	 * @param {CPU6502} cpu CPU that executed it
+	 * @param {Object} entry Decoder table entry of the instruction
+	 * @param {Object} registers Register values before the instruction executed
+	 * @return {Object} trace event (see tracers.js)
+	 */
+	function trace_event(cpu, entry, registers) {
+		var bytes = [cpu.opcode];
+
+		switch (opcodes.operand_length(entry.mode)) {
+			case 1:
+				bytes.push(cpu.operand & 0xff);
 				break;
-			case 0x9a:
-				this.opcode_name = 'TXS';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 2) {
-					this.S = this.X;
-					opcode_done = true;
-				}
+			case 2:
+				bytes.push(cpu.operand & 0xff, cpu.operand >> 8);
 				break;
-			case 0xaa:
-				this.opcode_name = 'TAX';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 2) {
-					this.X = this.A;
-					opcode_done = true;
+		}
+
+		return {
+			address: cpu.instruction_addr,
+			bytes: bytes,
+			mnemonic: entry.mnemonic,
+			mode: entry.mode,
+			operand: format_operand(cpu.operand, entry.mode),
+			registers: registers,
+			flags: format_flags(registers.P),
+			cycles: cpu.instruction_cycle
+		};
+	}
+
+	/**
+	 * Instruction implementations, called with the CPU as this and the effective address
+	 * of the operand (see fetch_operand) as their only argument
+	 */
+	var instructions = {
+		ADC: function (addr) {
+			this.do_adc(read_byte(addr));
+		},
+		AND: function (addr) {
+			this.A &= read_byte(addr);
+			this.set_nz(this.A);
+		},
+		ASL: function (addr) {
+			var value = this.read_operand(addr);
+			this.setc(value & 128);
+			this.write_operand(addr, (value << 1) & 0xff);
+		},
+		BCC: function () {
+			this.do_branch(!(this.S & FLAGS.C));
+		},
+		BCS: function () {
+			this.do_branch(this.S & FLAGS.C);
+		},
+		BEQ: function () {
+			this.do_branch(this.S & FLAGS.Z);
+		},
+		BIT: function (addr) {
+			if (this.addr_mode === 'immediate') {
+				// BIT # only affects Z
+				this.setz(this.A & read_byte(addr));
+			} else {
+				this.do_bit(read_byte(addr));
+			}
+		},
+		BMI: function () {
+			this.do_branch(this.S & FLAGS.N);
+		},
+		BNE: function () {
+			this.do_branch(!(this.S & FLAGS.Z));
+		},
+		BPL: function () {
+			this.do_branch(!(this.S & FLAGS.N));
+		},
+		BRA: function () {
+			this.do_branch(true);
+		},
+		BRK: function () {
+			// Skip the padding byte and push the status with B set
+			this.PC = (this.PC + 1) & 0xffff;
+			if (this.do_interrupt(this.S | B | BIT_5, 0xfffe) === 0xfffa) {
+				this.nmi_edge = this.nmi_pending = false;
+			}
+		},
+		BVC: function () {
+			this.do_branch(!(this.S & FLAGS.V));
+		},
+		BVS: function () {
+			this.do_branch(this.S & FLAGS.V);
+		},
+		CLC: function () {
+			this.setc(false);
+		},
+		CLD: function () {
+			// Clear bit 3 of status
+			this.S &= ~FLAGS.D;
+		},
+		CLI: function () {
+			// Clear bit 2 of status
+			this.S &= ~FLAGS.I;
+		},
+		CLV: function () {
+			this.setv(false);
+		},
+		CMP: function (addr) {
+			this.do_compare(this.A, read_byte(addr));
+		},
+		CPX: function (addr) {
+			this.do_compare(this.X, read_byte(addr));
+		},
+		CPY: function (addr) {
+			this.do_compare(this.Y, read_byte(addr));
+		},
+		DEC: function (addr) {
+			this.write_operand(addr, (this.read_operand(addr) - 1) & 0xff);
+		},
+		DEX: function () {
+			this.X = (this.X - 1) & 0xff;
+			this.set_nz(this.X);
+		},
+		DEY: function () {
+			this.Y = (this.Y - 1) & 0xff;
+			this.set_nz(this.Y);
+		},
+		EOR: function (addr) {
+			this.A ^= read_byte(addr);
+			this.set_nz(this.A);
+		},
+		INC: function (addr) {
+			this.write_operand(addr, (this.read_operand(addr) + 1) & 0xff);
+		},
+		INX: function () {
+			this.X = (this.X + 1) & 0xff;
+			this.set_nz(this.X);
+		},
+		INY: function () {
+			this.Y = (this.Y + 1) & 0xff;
+			this.set_nz(this.Y);
+		},
+		JMP: function (addr) {
+			this.PC = addr;
+		},
+		JSR: function (addr) {
+			if (undefined === addr) {
+				// Cycle-exact: the high byte of the target is read after pushing the return address
+				this.operand = read_byte(this.PC);
+				this.PC = (this.PC + 1) & 0xffff;
+				dummy_read(0x100 + this.SP);
+				this.push_word(this.PC);
+				addr = this.operand = this.operand | (read_byte(this.PC) << 8);
+			} else {
+				// The return address pushed is that of the last byte of the JSR
+				this.push_word((this.PC - 1) & 0xffff);
+			}
+			this.PC = addr;
+		},
+		LDA: function (addr) {
+			this.A = read_byte(addr);
+			this.set_nz(this.A);
+		},
+		LDX: function (addr) {
+			this.X = read_byte(addr);
+			this.set_nz(this.X);
+		},
+		LDY: function (addr) {
+			this.Y = read_byte(addr);
+			this.set_nz(this.Y);
+		},
+		LSR: function (addr) {
+			var value = this.read_operand(addr);
+			this.setc(value & 1);
+			this.write_operand(addr, value >> 1);
+		},
+		NOP: function (addr) {
+			var i;
+
+			// The NOPs with an operand read it
+			if (this.addr_mode === 'immediate') {
+				read_byte(addr);
+			} else if (this.opcode_table[this.opcode].cycles === 8) {
+				// The 65C02's eight-cycle $5C reads $FFxx, xx being the operand's low byte,
+				// then $FFFF four times
+				dummy_read(0xff00 | (addr & 0xff));
+				for (i = 0; i < 4; i++) {
+					dummy_read(0xffff);
 				}
-				break;
-			case 0xba:
-				this.opcode_name = 'TSX';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 2) {
-					this.X = this.S;
-					opcode_done = true;
+			} else if (undefined !== addr) {
+				dummy_read(addr);
+			}
+		},
+		ORA: function (addr) {
+			this.A |= read_byte(addr);
+			this.set_nz(this.A);
+		},
+		PHA: function () {
+			this.push_byte(this.A);
+		},
+		PHP: function () {
+			// PHP always pushes the B flag and bit 5 set
+			this.push_byte(this.S | B | BIT_5);
+		},
+		PLA: function () {
+			dummy_read(0x100 + this.SP);
+			this.A = this.pop_byte();
+			this.set_nz(this.A);
+		},
+		PHX: function () {
+			this.push_byte(this.X);
+		},
+		PHY: function () {
+			this.push_byte(this.Y);
+		},
+		PLP: function () {
+			dummy_read(0x100 + this.SP);
+			this.setP(this.pop_byte());
+		},
+		PLX: function () {
+			dummy_read(0x100 + this.SP);
+			this.X = this.pop_byte();
+			this.set_nz(this.X);
+		},
+		PLY: function () {
+			dummy_read(0x100 + this.SP);
+			this.Y = this.pop_byte();
+			this.set_nz(this.Y);
+		},
+		ROL: function (addr) {
+			var value = (this.read_operand(addr) << 1) | (this.S & FLAGS.C);
+			this.setc(value & 256);
+			this.write_operand(addr, value & 0xff);
+		},
+		ROR: function (addr) {
+			var value = this.read_operand(addr);
+			value = (value >> 1) | ((this.S & FLAGS.C) << 7) | ((value & 1) << 8);
+			this.setc(value & 256);
+			this.write_operand(addr, value & 0xff);
+		},
+		RTI: function () {
+			dummy_read(0x100 + this.SP);
+			this.setP(this.pop_byte());
+			this.PC = this.pop_word();
+		},
+		RTS: function () {
+			dummy_read(0x100 + this.SP);
+			this.PC = this.pop_word();
+			// Reading the last byte of the JSR takes a cycle before PC moves past it
+			dummy_read(this.PC);
+			this.PC = (this.PC + 1) & 0xffff;
+		},
+		SBC: function (addr) {
+			this.do_sbc(read_byte(addr));
+		},
+		SEC: function () {
+			this.setc(true);
+		},
+		SED: function () {
+			// Set bit 3 of status
+			this.S |= FLAGS.D;
+		},
+		SEI: function () {
+			// Set bit 2 of status
+			this.S |= FLAGS.I;
+		},
+		STA: function (addr) {
+			write_byte(addr, this.A);
+		},
+		STX: function (addr) {
+			write_byte(addr, this.X);
+		},
+		STP: function () {
+			dummy_read(this.PC);
+			this.halt('stp');
+		},
+		STY: function (addr) {
+			write_byte(addr, this.Y);
+		},
+		STZ: function (addr) {
+			write_byte(addr, 0);
+		},
+		TAX: function () {
+			this.X = this.A;
+			this.set_nz(this.X);
+		},
+		TAY: function () {
+			this.Y = this.A;
+			this.set_nz(this.Y);
+		},
+		TRB: function (addr) {
+			var value = read_byte(addr);
+			this.setz(value & this.A);
+			write_byte(addr, value & ~this.A & 0xff);
+		},
+		TSB: function (addr) {
+			var value = read_byte(addr);
+			this.setz(value & this.A);
+			write_byte(addr, value | this.A);
+		},
+		TSX: function () {
+			this.X = this.SP;
+			this.set_nz(this.X);
+		},
+		TXA: function () {
+			this.A = this.X;
+			this.set_nz(this.A);
+		},
+		TXS: function () {
+			// Unlike the other transfers, TXS leaves the flags alone
+			this.SP = this.X;
+		},
+		TYA: function () {
+			this.A = this.Y;
+			this.set_nz(this.A);
+		},
+		WAI: function () {
+			dummy_read(this.PC);
+			this.waiting = !(this.irq_asserted() || this.nmi_edge);
+		}
+	};
+
+	/**
+	 * Undocumented NMOS instructions, enabled by the undocumented option
+	 */
+	var undocumented_instructions = {
+		ALR: function (addr) {
+			this.A &= read_byte(addr);
+			this.setc(this.A & 1);
+			this.A >>= 1;
+			this.set_nz(this.A);
+		},
+		ANC: function (addr) {
+			this.A &= read_byte(addr);
+			this.set_nz(this.A);
+			this.setc(this.A & 128);
+		},
+		ANE: function (addr) {
+			this.A = (this.A | magic) & this.X & read_byte(addr);
+			this.set_nz(this.A);
+		},
+		ARR: function (addr) {
+			var value = this.A & read_byte(addr),
+				result = (value >> 1) | ((this.S & FLAGS.C) << 7);
+
+			if (!(this.S & FLAGS.D)) {
+				this.set_nz(result);
+				this.setc(result & 64);
+				this.setv((result ^ (result << 1)) & 64);
+				this.A = result;
+				return;
+			}
+
+			// Decimal mode: N & Z come from the rotated value, then each digit is adjusted
+			this.set_nz(result);
+			this.setv((value ^ result) & 64);
+			if ((value & 0x0f) + (value & 0x01) > 5) {
+				result = (result & 0xf0) | ((result + 6) & 0x0f);
+			}
+			this.setc((value & 0xf0) + (value & 0x10) > 0x50);
+			if (this.S & FLAGS.C) {
+				result = (result + 0x60) & 0xff;
+			}
+			this.A = result;
+		},
+		DCP: function (addr) {
+			var value = (read_byte(addr) - 1) & 0xff;
+			write_byte(addr, value);
+			this.do_compare(this.A, value);
+		},
+		ISC: function (addr) {
+			var value = (read_byte(addr) + 1) & 0xff;
+			write_byte(addr, value);
+			this.do_sbc(value);
+		},
+		JAM: function () {
+			this.halt('jam');
+		},
+		LAS: function (addr) {
+			this.A = this.X = this.SP = read_byte(addr) & this.SP;
+			this.set_nz(this.A);
+		},
+		LAX: function (addr) {
+			this.A = this.X = read_byte(addr);
+			this.set_nz(this.A);
+		},
+		LXA: function (addr) {
+			this.A = this.X = (this.A | magic) & read_byte(addr);
+			this.set_nz(this.A);
+		},
+		RLA: function (addr) {
+			var value = (read_byte(addr) << 1) | (this.S & FLAGS.C);
+			this.setc(value & 256);
+			write_byte(addr, value & 0xff);
+			this.A &= value;
+			this.set_nz(this.A);
+		},
+		RRA: function (addr) {
+			var value = read_byte(addr);
+			value = (value >> 1) | ((this.S & FLAGS.C) << 7) | ((value & 1) << 8);
+			this.setc(value & 256);
+			write_byte(addr, value & 0xff);
+			this.do_adc(value & 0xff);
+		},
+		SAX: function (addr) {
+			write_byte(addr, this.A & this.X);
+		},
+		SBX: function (addr) {
+			var operand = read_byte(addr),
+				value = this.A & this.X;
+			this.setc(value >= operand);
+			this.X = (value - operand) & 0xff;
+			this.set_nz(this.X);
+		},
+		SHA: function (addr) {
+			this.do_unstable_store(addr, this.A & this.X, this.Y);
+		},
+		SHX: function (addr) {
+			this.do_unstable_store(addr, this.X, this.Y);
+		},
+		SHY: function (addr) {
+			this.do_unstable_store(addr, this.Y, this.X);
+		},
+		SLO: function (addr) {
+			var value = read_byte(addr);
+			this.setc(value & 128);
+			value = (value << 1) & 0xff;
+			write_byte(addr, value);
+			this.A |= value;
+			this.set_nz(this.A);
+		},
+		SRE: function (addr) {
+			var value = read_byte(addr);
+			this.setc(value & 1);
+			value >>= 1;
+			write_byte(addr, value);
+			this.A ^= value;
+			this.set_nz(this.A);
+		},
+		TAS: function (addr) {
+			this.SP = this.A & this.X;
+			this.do_unstable_store(addr, this.SP, this.Y);
+		}
+	};
+
+	Object.keys(undocumented_instructions).forEach(function (mnemonic) {
+		instructions[mnemonic] = undocumented_instructions[mnemonic];
+	});
+
+	// Rockwell bit instructions: RMB0-7, SMB0-7, BBR0-7 & BBS0-7
+	[0, 1, 2, 3, 4, 5, 6, 7].forEach(function (bit) {
+		var mask = 1 << bit;
+
+		instructions['RMB' + bit] = function (addr) {
+			write_byte(addr, read_byte(addr) & ~mask & 0xff);
+		};
+		instructions['SMB' + bit] = function (addr) {
+			write_byte(addr, read_byte(addr) | mask);
+		};
+		instructions['BBR' + bit] = function (addr) {
+			var value = read_byte(addr);
+			dummy_read(addr);
+			this.do_branch(!(value & mask), this.operand >> 8);
+		};
+		instructions['BBS' + bit] = function (addr) {
+			var value = read_byte(addr);
+			dummy_read(addr);
+			this.do_branch(value & mask, this.operand >> 8);
+		};
+	});
+
+	/**
+	 * Decoder table: mnemonic, addressing mode, base cycles and handler for each of the 256 opcodes
+	 */
+	this.opcode_table = (options.undocumented ? opcodes.NMOS_UNDOCUMENTED : opcodes.VARIANTS[variant]).map(function (entry) {
+		var handler = instructions[entry.mnemonic];
+
+		if (opcodes.UNSTABLE.indexOf(entry.mnemonic) !== -1) {
+			if (unstable === 'throw') {
+				return undefined;
+			}
+			if (unstable === 'nop') {
+				handler = instructions.NOP;
+			}
+		}
+
+		return {
+			mnemonic: entry.mnemonic,
+			mode: entry.mode,
+			cycles: entry.cycles,
+			page_penalty: entry.page_penalty,
+			handler: handler
+		};
+	});
+
+	/**
+	 * Fetch the next opcode. When the last poll found an interrupt to take, the opcode
+	 * is read but discarded and the interrupt sequence runs in place of the instruction.
+	 */
+	this.fetch = function () {
+		this.instruction_addr = this.PC;
+		this.instruction_cycle = this.cycles;
+		this.opcode = read_byte(this.instruction_addr);
+		this.page_crossed = false;
+		this.extra_cycles = 0;
+
+		if (this.nmi_pending || this.irq_pending) {
+			this.interrupt = this.nmi_pending ? 'nmi' : 'irq';
+			return;
+		}
+
+		this.interrupt = null;
+		this.PC = (this.PC + 1) & 0xffff;
+	};
+
+	/**
+	 * Run the 7-cycle IRQ or NMI sequence. The status pushed has B clear.
+	 * @return {Number} number of cycles taken
+	 */
+	this.execute_interrupt = function () {
+		var return_address = this.PC,
+			vector;
+
+		dummy_read(this.PC);
+		vector = this.do_interrupt((this.S & ~B) | BIT_5, (this.interrupt === 'nmi') ? 0xfffa : 0xfffe);
+		if (vector === 0xfffa) {
+			this.nmi_edge = false;
+		} else {
+			this.irq_request = false;
+		}
+
+		// The first instruction of the handler always runs before another interrupt is taken
+		this.irq_pending = this.nmi_pending = false;
+		this.opcode_name = this.interrupt.toUpperCase();
+		this.addr_mode = 'implied';
+
+		emit('interrupt', {
+			type: (vector === 0xfffa) ? 'nmi' : 'irq',
+			address: return_address,
+			handler: this.PC,
+			vector: vector
+		});
+
+		return 7;
+	};
+
+	/**
+	 * Execute the fetched opcode, or the interrupt sequence
+	 * @return {Number} number of cycles the instruction takes
+	 */
+	this.execute = function () {
+		var entry = this.opcode_table[this.opcode],
+			interrupt_mask = this.S & FLAGS.I,
+			registers;
+
+		if (this.interrupt) {
+			return this.execute_interrupt();
+		}
+
+		if (undefined === entry) {
+			throw new Error('Invalid opcode ' + this.opcode.toString(16) + ' at address ' + this.instruction_addr.toString(16));
+		}
+
+		if (listeners.instruction.length) {
+			registers = { A: this.A, X: this.X, Y: this.Y, SP: this.SP, P: this.S };
+		}
+
+		this.opcode_name = entry.mnemonic;
+		this.addr_mode = entry.mode;
+		rmw_dummy = cycle_exact && entry.mode !== 'accumulator' &&
+			(RMW_INSTRUCTIONS.indexOf(entry.mnemonic) !== -1 || /^[RS]MB/.test(entry.mnemonic));
+		entry.handler.call(this, this.fetch_operand(entry.mode));
+		if (entry.mode === 'immediate') {
+			this.operand = last_read;
+		}
+
+		// CLI, SEI & PLP change I after the interrupt poll, so the next instruction still
+		// runs under the old setting. RTI restores I in time.
+		this.interrupt_mask = (['CLI', 'SEI', 'PLP'].indexOf(entry.mnemonic) !== -1) ? interrupt_mask : this.S & FLAGS.I;
+
+		if (registers) {
+			emit('instruction', trace_event(this, entry, registers));
+		}
+
+		return entry.cycles + this.extra_cycles + ((entry.page_penalty && this.page_crossed) ? 1 : 0);
+	};
+
+	/**
+	 * Cycle of the current instruction during which the interrupt lines are sampled: the
+	 * last one, except for a taken branch that stays in its page, which polls before its
+	 * extra cycle so that an interrupt waits for one more instruction
+	 * @param {CPU6502} cpu CPU running the instruction
+	 * @return {Number} cycle index
+	 */
+	function poll_cycle(cpu) {
+		if (cpu.addr_mode === 'relative' && cpu.extra_cycles === 1) {
+			return cpu.opcode_cycles - 2;
+		}
+		return cpu.opcode_cycles - 1;
+	}
+
+	/**
+	 * Run a single clock cycle. The instruction executes on its second cycle and the
+	 * remaining cycles are spent idle; single-cycle instructions execute straight away.
+	 *
+	 * In cycle-exact mode, every cycle instead makes the one bus access the 6502 makes on
+	 * it, and the instruction completes on its last cycle. The instruction is run again on
+	 * each cycle up to its next access, with the accesses made so far replayed, and its
+	 * registers are put back until it completes.
+	 */
+	this.tick = function () {
+		var entry;
+
+		if (cycle_exact) {
+			tick_exact(this);
+			return;
+		}
+
+		if (this.opcode_cycle === 0) {
+			wake(this);
+			if (!this.waiting && !this.stopped) {
+				this.fetch();
+				entry = this.opcode_table[this.opcode];
+				if (!this.interrupt && entry && entry.cycles === 1) {
+					this.opcode_cycles = this.execute();
+					this.poll_interrupts();
+				} else {
+					this.opcode_cycle = 1;
 				}
-				break;
-			case 0xca:
-				this.opcode_name = 'DEX';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 1) {
-					this.X -= 1;
-					console.log(`X is ${this.X}`)
-					this.set_nz(this.X);
-					opcode_done = true;
+			}
+		} else {
+			if (this.opcode_cycle === 1) {
+				this.opcode_cycles = this.execute();
+			}
+			if (!this.interrupt && this.opcode_cycle === poll_cycle(this)) {
+				this.poll_interrupts();
+			}
+			this.opcode_cycle = (this.opcode_cycle + 1 < this.opcode_cycles) ? this.opcode_cycle + 1 : 0;
+		}
+
+		advance(1);
+	};
+
+	// Registers an instruction may change before it is suspended in cycle-exact mode
+	var replay_fields = ['A', 'X', 'Y', 'S', 'SP', 'PC', 'operand', 'page_crossed', 'extra_cycles',
+		'waiting', 'stopped'];
+
+	/**
+	 * Run a single clock cycle in cycle-exact mode
+	 * @param {CPU6502} cpu CPU to run
+	 */
+	function tick_exact(cpu) {
+		var entry, completed;
+
+		if (cpu.opcode_cycle === 0) {
+			wake(cpu);
+			if (!cpu.waiting && !cpu.stopped) {
+				cpu.fetch();
+				entry = cpu.opcode_table[cpu.opcode];
+				if (!cpu.interrupt && entry && entry.cycles === 1) {
+					cpu.opcode_cycles = cpu.execute();
+					cpu.poll_interrupts();
+				} else {
+					cpu.opcode_cycle = 1;
+					replay = { log: [], index: 0, done: false, registers: {} };
+					replay_fields.forEach(function (name) {
+						replay.registers[name] = cpu[name];
+					});
 				}
-				break;
-			case 0xea:
-				this.opcode_name = 'NOP';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 2) {
-					opcode_done = true;
+			}
+			advance(1);
+			return;
+		}
+
+		replay.index = 0;
+		replay.done = false;
+		try {
+			cpu.execute();
+			completed = true;
+		} catch (e) {
+			if (e !== SUSPEND) {
+				replay = null;
+				cpu.opcode_cycle = 0;
+				throw e;
+			}
+			replay_fields.forEach(function (name) {
+				cpu[name] = replay.registers[name];
+			});
+		}
+
+		if (completed) {
+			replay = null;
+			cpu.opcode_cycles = cpu.opcode_cycle + 1;
+			cpu.opcode_cycle = 0;
+			// A taken branch that stays in its page polled on its previous cycle
+			if (!cpu.interrupt && !(cpu.addr_mode === 'relative' && cpu.extra_cycles === 1)) {
+				cpu.poll_interrupts();
+			}
+		} else {
+			cpu.opcode_cycle += 1;
+			if (!cpu.interrupt) {
+				cpu.poll_interrupts();
+			}
+		}
+
+		advance(1);
+	}
+
+	/**
+	 * Run a whole instruction, or the remainder of one that tick() has started. A CPU
+	 * halted by WAI or STP idles for a cycle instead.
+	 * @return {Number} number of cycles used
+	 */
+	this.step = function () {
+		var start = this.cycles;
+
+		if (cycle_exact) {
+			do {
+				this.tick();
+			} while (this.opcode_cycle !== 0);
+			return this.cycles - start;
+		}
+
+		if (this.opcode_cycle !== 0) {
+			do {
+				this.tick();
+			} while (this.opcode_cycle !== 0);
+			return this.cycles - start;
+		}
+
+		wake(this);
+		if (this.waiting || this.stopped) {
+			advance(1);
+			return 1;
+		}
+
+		this.fetch();
+		this.opcode_cycles = this.execute();
+		if (!this.interrupt) {
+			this.poll_interrupts();
+		}
+		advance(this.opcode_cycles);
+		return this.opcode_cycles;
+	};
+
+	/**
+	 * Fetch the operand bytes of the current instruction and resolve its effective address
+	 * @param {String} addr_mode Addressing mode of the current instruction
+	 * @return {Number} effective address (the operand's own address for immediate mode)
+	 */
+	this.fetch_operand = function (addr_mode) {
+		var addr;
+
+		switch (addr_mode) {
+			case 'implied':
+			case 'accumulator':
+				// The byte after the opcode is read and ignored, except by single-cycle opcodes
+				if (this.opcode_table[this.opcode].cycles > 1) {
+					dummy_read(this.PC);
 				}
+				return undefined;
+			case 'immediate':
+				// The instruction reads the operand itself, see execute()
+				addr = this.PC;
+				this.PC = (this.PC + 1) & 0xffff;
+				return addr;
+			case 'zeropage':
+			case 'zeropage,x':
+			case 'zeropage,y':
+			case 'relative':
+			case 'indexedindirect':
+			case 'indirectindexed':
+			case 'zeropageindirect':
+				this.operand = read_byte(this.PC);
+				this.PC = (this.PC + 1) & 0xffff;
 				break;
-			// Conditional branches & JSR/RTS
-			case 0x10:
-				this.opcode_name = 'BPL';
-				this.addr_mode = 'relative';
-				if (this.opcode_cycle === 1) {
-					this.operand = read_byte(this.PC);
-					this.PC += 1;
-					if (this.S & 128) {
-						this.PC = calculate_branch(this.PC, this.operand);
-					}
-					opcode_done = true;
+			default:
+				if (cycle_exact && this.opcode_name === 'JSR') {
+					return undefined; // JSR interleaves fetching its operand with the pushes
 				}
-				break;
-			case 0x20:
-				this.opcode_name = 'JSR';
-				this.addr_mode = 'absolute';
 				this.operand = this.read_word(this.PC);
-				if (this.opcode_cycle === 6) {
-					this.push_word(this.PC + 2);
-					this.PC = this.operand;
-					console.log('Branching to ' + this.operand + '(' + this.operand.toString(16) + ')');
-					opcode_done = true;
-				}
-				break;
-			case 0x30:
-				this.opcode_name = 'BMI';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 2) {
-					this.operand = read_byte(this.PC);
-					this.PC += 1;
-					if (this.S & 128) {
-						this.PC = calculate_branch(this.PC, this.operand);
-					}
-					opcode_done = true;
-				}
-				break;
-			case 0x40:
-				this.opcode_name = 'RTI';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 6) {
-					this.S = this.pop_byte();
-					this.PC = this.pop_word();
-					opcode_done = true;
-				}
-				break;
-			case 0x50:
-				this.opcode_name = 'BVC'
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 3) {
-					this.operand = read_byte(this.PC);
-					this.PC += 1;
-					if (this.S & 64) {
-						this.PC = calculate_branch(this.PC, this.operand);
-					}
-					opcode_done = true;
-				}
-				break;
-				break;
-			case 0x60:
-				this.opcode_name = 'RTS';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 6) {
-					this.PC = this.pop_word();
-					console.log('Returning to ' + this.PC + '(' + this.PC.toString(16) + ')');
-					opcode_done = true;
-				}
-				break;
-			case 0x70:
-				this.opcode_name = 'BVS';
-				this.addr_mode = 'implied';
-				throw "Unimplemented opcode " + this.opcode_name;
-				break;
-			case 0x90:
-				this.opcode_name = 'BCC';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 2) {
-					this.operand = read_byte(this.PC);
-					this.PC += 1;
-					if (!(this.S & 1)) {
-						this.PC = calculate_branch(this.PC, this.operand);
-					}
-					opcode_done = true;
-				}
-				break;
-			case 0xb0:
-				this.opcode_name = 'BCS';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 2) {
-					this.operand = read_byte(this.PC);
-					this.PC += 1;
-					if (this.S & 1) {
-						this.PC = calculate_branch(this.PC, this.operand);
-					}
-					opcode_done = true;
-				}
-				break;
-			case 0xd0:
-				this.opcode_name = 'BNE';
-				this.addr_mode = 'relative';
-				if (this.opcode_cycle === 2) {
-					this.operand = read_byte(this.PC);
-					this.PC += 1;
-					if ((this.S & 2) !== 2) {
-						this.PC = calculate_branch(this.PC, this.operand);
-					}
-					opcode_done = true;
-				}
-				break;
-			case 0xf0:
-				this.opcode_name = 'BEQ';
-				this.addr_mode = 'implied';
-				if (this.opcode_cycle === 1) {
-					this.operand = read_byte(this.PC);
-					this.PC += 1;
-					console.log('S', this.S.toString(2))
-					if (this.S & 2) {
-						this.PC = calculate_branch(this.PC, this.operand);
-					}
-					opcode_done = true;
+				this.PC = (this.PC + 2) & 0xffff;
+		}
+
+		switch (addr_mode) {
+			case 'zeropage,x':
+				indexing_dummy_read(this, this.operand);
+				return (this.operand + this.X) & 0xff;
+			case 'zeropage,y':
+				indexing_dummy_read(this, this.operand);
+				return (this.operand + this.Y) & 0xff;
+			case 'absolute,x':
+				return indexed_address(this, this.operand, this.X);
+			case 'absolute,y':
+				return indexed_address(this, this.operand, this.Y);
+			case 'indirect':
+				if (cmos) {
+					dummy_read(this.PC - 1);
+					return this.read_word(this.operand);
 				}
-				break;
+				// The NMOS 6502 does not carry into the high byte of the pointer
+				return read_byte(this.operand) + (read_byte((this.operand & 0xff00) | ((this.operand + 1) & 0xff)) * 256);
+			case 'absoluteindexedindirect':
+				dummy_read(this.PC - 1);
+				return this.read_word((this.operand + this.X) & 0xffff);
+			case 'zeropageindirect':
+				return read_byte(this.operand) + (read_byte((this.operand + 1) & 0xff) * 256);
+			case 'zeropagerelative':
+				// The operand holds the zero page address in its low byte and the branch offset in its high byte
+				return this.operand & 0xff;
+			case 'indexedindirect':
+				indexing_dummy_read(this, this.operand);
+				addr = (this.operand + this.X) & 0xff;
+				return read_byte(addr) + (read_byte((addr + 1) & 0xff) * 256);
+			case 'indirectindexed':
+				addr = read_byte(this.operand) + (read_byte((this.operand + 1) & 0xff) * 256);
+				return indexed_address(this, addr, this.Y);
 			default:
-				switch (cc) {
-					case 0b00: // cc = 00
-						switch (bbb) {
-							case 0:
-								this.addr_mode = 'immediate';
-								if (this.opcode_cycle === 1) {
-									this.operand = read_byte(this.PC);
-									this.PC += 1;
-								}
-								break;
-							case 1:
-								this.addr_mode = 'zeropage';
-								if (this.opcode_cycle === 1) {
-									this.operand = read_byte(this.PC);
-									this.PC += 1;
-								}
-								break;
-							case 3:
-								this.addr_mode = 'absolute';
-								if (this.opcode_cycle === 1) {
-									this.operand = this.read_word(this.PC);
-									this.PC += 2;
-								}
-								break;
-							case 5:
-								this.addr_mode = 'zeropage,x';
-								break;
-							case 7:
-								this.addr_mode = 'absolute,x';
-								if (this.opcode_cycle === 1) {
-									this.operand = this.read_word(this.PC + this.X);
-									this.PC += 2;
-								}
-								break;
-							default:
-								this.invalidOpcodeMessage(bbb)
-						}
-						switch (aaa) {
-							case 0:
-								throw new Error('Invalid opcode ' + aaa.toString(2) + ' at address ' + this.PC);
-							case 1:
-								this.opcode_name = 'BIT';
-								switch (this.addr_mode) {
-									case 'zeropage':
-										if (this.opcode_cycle == 3) {
-											this.do_bit(this.operand);
-											opcode_done = true;
-										}
-										break;
-									case 'absolute':
-										if (this.opcode_cycle == 4) {
-											this.do_bit(this.operand);
-											opcode_done = true;
-										}
-										break;
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break;
-							case 2:
-								this.opcode_name = 'JMP'
-								this.addr_mode = 'absolute'
-								if (this.opcode_cycle == 3) {
-									this.PC = this.operand
-									opcode_done = true
-								}
-								break;
-							case 3:
-								this.opcode_name = 'JMP';
-								throw new Error('Invalid opcode ' + this.opcode.toString(16) + ' at address ' + this.PC);
-								break;
-							case 4:
-								this.opcode_name = 'STY';
-								switch (this.addr_mode) {
-									case 'absolute':
-										if (this.opcode_cycle === 4) {
-											write_byte(this.operand, this.Y);
-											opcode_done = true;
-										}
-										break;
-									case 'zeropage':
-										if (this.opcode_cycle === 3) {
-											write_byte(this.operand, this.Y)
-											opcode_done = true
-										}
-										break;
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break;
-							case 5:
-								this.opcode_name = 'LDY';
-								switch (this.addr_mode) {
-									case 'immediate':
-										if (this.opcode_cycle === 1) {
-											this.Y = this.operand;
-											this.set_nz(this.Y);
-											opcode_done = true;
-										}
-										break;
-								}
-								break;
-							case 6:
-								this.opcode_name = 'CPY'
-								switch (this.addr_mode) {
-									case 'immediate':
-									if (this.opcode_cycle === 2) {
-										this.set_nz(this.Y - this.operand)
-										this.setc(this.Y >= this.operand)
-										opcode_done = true
-									}
-										break
-									case 'zeropage':
-										if (this.opcode_cycle === 3) {
-											this.set_nz(this.Y - read_byte(this.operand))
-											this.setc(this.Y >= read_byte(this.operand))
-											opcode_done = true;
-										}
-										break
-									case 'absolute':
-										if (this.opcode_cycle === 4) {
-											this.set_nz(this.Y - read_byte(this.operand))
-											this.setc(this.Y >= read_byte(this.operand))
-											opcode_done = true;
-										}
-										break
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break;
-							case 7:
-								this.opcode_name = 'CPX';
-								this.invalidOpcodeMessage(bbb)
-								break;
-						}
-						break;
-					case 0b01: // cc = 01
-						switch (bbb) {
-							case 0:
-								this.addr_mode = 'zeropage,x';
-								throw new Error('Unimplemented addressing mode');
-								break;
-							case 1:
-								this.addr_mode = 'zeropage';
-								if (this.opcode_cycle === 1) {
-									this.operand = read_byte(this.PC);
-									this.PC += 1;
-								}
-								break;
-							case 2:
-								this.addr_mode = 'immediate';
-								if (this.opcode_cycle === 1) {
-									this.operand = read_byte(this.PC);
-									this.PC += 1;
-								}
-								break;
-							case 3:
-								this.addr_mode = 'absolute';
-								if (this.opcode_cycle === 1) {
-									this.operand = this.read_word(this.PC);
-									this.PC += 2;
-								}
-								break;
-							case 4:
-								this.addr_mode = 'zeropage,y';
-								throw new Error('Unimplemented addressing mode');
-								break;
-							case 5:
-								this.addr_mode = 'zeropage,x';
-								if (this.opcode_cycle === 1) {
-									this.operand = read_byte(this.PC);
-									this.PC += 1;
-								}
-								break;
-							case 6:
-								this.addr_mode = 'absolute,y';
-								if (this.opcode_cycle === 1) {
-									// operand implementation will add y
-									this.operand = this.read_word(this.PC);
-									this.PC += 2;
-								}
-								break;
-							case 7:
-								this.addr_mode = 'absolute,x';
-								// operand implementation will add x
-								if (this.opcode_cycle === 1) {
-									this.operand = this.read_word(this.PC);
-									this.PC += 2;
-								}
-								break;
-							default:
-								this.invalidOpcodeMessage(bbb)
-						}
-						switch (aaa) {
-							case 0:
-								this.opcode_name = 'ORA';
-								switch (this.addr_mode) {
-									case 'immediate':
-										this.A = (this.A | this.operand) & 0x00ff;
-										this.set_nz(this.A);
-										opcode_done = true;
-										break;
-									default:
-										this.invalidOpcodeMessage(bbb);
-								}
-
-								break;
-							case 1:
-								this.opcode_name = 'AND';
-								switch (this.addr_mode) {
-									case 'immediate':
-										this.A = (this.A & this.operand) & 0x00ff;
-										this.set_nz(this.A);
-										opcode_done = true;
-										break;
-									default:
-										this.invalidOpcodeMessage(bbb);
-								}
-								break;
-							case 2:
-								this.opcode_name = 'EOR'
-								switch (this.addr_mode) {
-									case 'immediate':
-										if (this.opcode_cycle == 2) {
-											this.A ^= this.operand
-											this.set_nz(this.A)
-											opcode_done = true
-										}
-										break
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break;
-							case 3:
-								this.opcode_name = 'ADC';
-								switch (this.addr_mode) {
-									case 'immediate':
-										if (this.opcode_cycle === 2) {
-											this.A += this.operand
-											this.set_nz(this.A)
-											this.setc(this.A)
-											opcode_done = true
-										}
-										break
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break;
-							case 4:
-								this.opcode_name = 'STA';
-								switch (this.addr_mode) {
-									case 'absolute':
-									case 'zeropage':
-										if (this.opcode_cycle == 3) {
-											write_byte(this.operand, this.A);
-											opcode_done = true;
-										}
-										break;
-									case 'zeropage,x':
-										if (this.opcode_cycle === 4) {
-											write_byte((this.operand + this.X) & 0x00ff, this.A);
-											opcode_done = true
-										}
-										break;
-									case 'absolute,y':
-										if (this.opcode_cycle === 5) {
-											write_byte(this.operand + this.Y, this.A);
-											opcode_done = true;
-										}
-										break;
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break;
-							case 5:
-								this.opcode_name = 'LDA';
-								switch (this.addr_mode) {
-									case 'immediate':
-										if (this.opcode_cycle === 1) {
-											this.A = this.operand;
-											this.set_nz(this.A);
-											opcode_done = true;
-										}
-										break;
-									case 'absolute':
-										if (this.opcode_cycle === 4) {
-											this.A = read_byte(this.operand);
-											this.set_nz(this.A);
-											opcode_done = true;
-										}
-										break;
-									case 'absolute,y':
-										if (this.opcode_cycle === 4) {
-											this.A = read_byte((this.operand + this.Y) & 0xffff);
-											this.set_nz(this.A);
-											opcode_done = true;
-										}
-										break;
-									case 'zeropage':
-										if (this.opcode_cycle === 3) {
-											this.A = read_byte(this.operand)
-											this.set_nz(this.A)
-											opcode_done = true
-										}
-										break;
-									case 'zeropage,x':
-										if (this.opcode_cycle === 4) {
-											this.A = read_byte((this.operand + this.X) & 0x00ff)
-											this.set_nz(this.A)
-											opcode_done = true
-										}
-										break
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break;
-							case 6:
-								this.opcode_name = 'CMP';
-								switch (this.addr_mode) {
-									case 'immediate':
-										if (this.opcode_cycle === 1) {
-											this.set_nz(this.A - this.operand)
-											this.setc(this.A >= this.operand)
-											opcode_done = true;
-										}
-								}
-								break;
-							case 7:
-								this.opcode_name = 'SBC';
-								break;
-							default:
-						}
-						break;
-					case 0b10: // cc = 10
-						switch (bbb) {
-							case 0:
-								this.addr_mode = 'immediate';
-								if (this.opcode_cycle === 1) {
-									this.operand = read_byte(this.PC);
-									this.PC += 1;
-								}
-								break;
-							case 1:
-								this.addr_mode = 'zeropage';
-								if (this.opcode_cycle === 1) {
-									this.operand = read_byte(this.PC);
-									this.PC += 1;
-								}
-								break;
-							case 2:
-								this.addr_mode = 'accumulator';
-								break;
-							case 3:
-								this.addr_mode = 'absolute';
-								break;
-							case 5:
-								this.addr_mode = 'zeropage,x';
-								break;
-							case 7:
-								this.addr_mode = 'absolute,x';
-								break;
-							default:
-								this.invalidOpcodeMessage(bbb)
-						}
-						switch (aaa) {
-							case 0:
-								this.opcode_name = 'ASL';
-								switch (this.addr_mode) {
-									case 'accumulator':
-										if (this.opcode_cycle === 2) {
-											this.A = this.A << 1;
-											opcode_done = true;
-										}
-										break;
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break;
-							case 0b001:
-								this.opcode_name = 'ROL'
-								switch (this.addr_mode) {
-									case 'zeropage':
-										this.A = this.A << 1
-										this.set_nz(this.A)
-										this.setc(this.A)
-										opcode_done = true
-										break
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break
-							case 0b010:
-								this.opcode_name = 'LSR';
-								switch (this.addr_mode) {
-									case 'accumulator':
-										this.setc(this.A & 0x01);
-										this.A = this.A >> 1;
-										this.setz(this.A);
-										this.setc(this.A);
-										opcode_done = true;
-										break;
-									case 'zeropage':
-										this.invalidOpcodeMessage(bbb);
-										break;
-									case 'zeropage,x':
-										this.invalidOpcodeMessage(bbb);
-										break;
-									case 'absolute':
-										this.invalidOpcodeMessage(bbb);
-										break;
-									case 'absolute,x':
-										this.invalidOpcodeMessage(bbb);
-										break;
-								}
-								break;
-							case 4:
-								this.opcode_name = 'STX'
-								switch (this.addr_mode) {
-									case 'zeropage':
-										if (this.opcode_cycle === 2) {
-											write_byte(this.operand, this.X)
-											opcode_done = true
-										}
-										break
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break
-							case 0b101:
-								this.opcode_name = 'LDX'
-								switch (this.addr_mode) {
-									case 'immediate':
-										if (this.opcode_cycle === 2) {
-											this.X = this.operand
-											this.set_nz(this.X)
-											opcode_done = true
-										}
-										break
-									default:
-										this.invalidOpcodeMessage(bbb)
-								}
-								break
-							default:
-								throw new Error('Invalid opcode ' + this.opcode.toString(2) + ' at address ' + this.PC.toString(16)) + ' cc=10';
-						}
-						break;
-					case 3: // cc = 11
-						throw new Error('Invalid opcode ' + this.opcode.toString(2) + ' at address ' + this.PC + ' cc=11');
-				}
-
+				return this.operand;
 		}
+	};
+
+	/**
+	 * In cycle-exact mode, read a byte during the cycle spent adding an index. The 6502
+	 * reads from the address it has so far, the 65C02 reads the last byte of the instruction.
+	 * @param {CPU6502} cpu CPU running the instruction
+	 * @param {Number} addr Address before indexing, or before the carry into its high byte
+	 */
+	function indexing_dummy_read(cpu, addr) {
+		dummy_read(cmos ? cpu.PC - 1 : addr);
+	}
+
+	/**
+	 * Add an index register to a base address, noting whether it crossed a page. Crossing
+	 * a page costs reads a cycle to fix the high byte; writes and read-modify-write
+	 * instructions always take that cycle.
+	 * @param {CPU6502} cpu CPU running the instruction
+	 * @param {Number} base Base address
+	 * @param {Number} index Value of the index register
+	 * @return {Number} effective address
+	 */
+	function indexed_address(cpu, base, index) {
+		var addr = (base + index) & 0xffff;
 
-		if (1 === this.opcode_cycle) {
-			var instruction_addr_symbol = symbol_table_lookup(this.instruction_addr);
-			console.log((('$' + this.instruction_addr.toString(16).toUpperCase())) + ' ' + this.opcode_name + ' ' + format_operand(this.operand, this.addr_mode));
+		cpu.page_crossed = (addr & 0xff00) !== (base & 0xff00);
+		if (cpu.page_crossed || !cpu.opcode_table[cpu.opcode].page_penalty) {
+			indexing_dummy_read(cpu, (base & 0xff00) | (addr & 0xff));
 		}
+		return addr;
+	}
 
-		if (opcode_done) {
-			this.opcode_cycle = 0;
+	/**
+	 * Read the value a read-modify-write instruction operates on
+	 * @param {Number} addr Effective address (ignored for accumulator addressing)
+	 * @return {Number} value
+	 */
+	this.read_operand = function (addr) {
+		return (this.addr_mode === 'accumulator') ? this.A : read_byte(addr);
+	};
+
+	/**
+	 * Store the result of a read-modify-write instruction and set N & Z from it
+	 * @param {Number} addr Effective address (ignored for accumulator addressing)
+	 * @param {Number} value Result
+	 */
+	this.write_operand = function (addr, value) {
+		if (this.addr_mode === 'accumulator') {
+			this.A = value;
 		} else {
-			this.opcode_cycle += 1;
+			write_byte(addr, value);
 		}
+		this.set_nz(value);
 	};
 
-	this.addressingModeName = (aaa, bbb, cc) => {
-		if (cc === 0b01) {
-			return ({
-				0b000: '(zeropage,x)',
-				0b001: 'zeropage',
-				0b010: 'immediate',
-				0b011: 'absolute',
-				0b100: '(zeropage,y)',
-				0b101: 'zeropage,x',
-				0b110: 'absolute,y',
-				0b111: 'absolute,x'
-			})[bbb]
-		} else if (cc === 0b10) {
-			return ({
-				0b000: 'immediate',
-				0b001: 'zeropage',
-				0b010: 'accumulator',
-				0b011: 'absolute',
-				0b101: 'zero page,y',
-				0b111: 'absolute,y',
-			})[bbb]
-		} else if (cc === 0b00) {
-			return ({
-				0b000: 'immediate',
-				0b001: 'zeropage',
-				0b011: 'absolute',
-				0b101: 'zeropage,x',
-				0b111: 'absolute,x'
-			})[bbb]
-		} else if (cc === 0b11) {
-			throw new Error('Invalid opcode ' + this.opcode.toString(2) + ' at address ' + this.PC + ' cc=11')
-		}
+	/**
+	 * Registers and decoder fields that make up the state of the CPU, including
+	 * the progress of an instruction that tick() has started
+	 */
+	var state_fields = [
+		'A', 'X', 'Y', 'S', 'SP', 'PC',
+		'opcode', 'opcode_name', 'opcode_cycle', 'opcode_cycles', 'addr_mode', 'operand',
+		'instruction_addr', 'instruction_cycle', 'page_crossed', 'extra_cycles', 'cycles',
+		'waiting', 'stopped', 'irq_sources', 'irq_request', 'nmi_sources', 'nmi_edge',
+		'irq_pending', 'nmi_pending', 'interrupt_mask', 'interrupt'
+	];
 
+	/**
+	 * Copy a state field, so that a snapshot does not share the interrupt source maps
+	 */
+	function copy_field(value) {
+		return (value !== null && typeof value === 'object') ? Object.assign({}, value) : value;
 	}
 
-	this.invalidOpcodeMessage = function (bbb) {
-		throw new Error('Invalid addressing mode ' + this.addr_mode + ' ' + bbb.toString(2) + ' for opcode ' + this.opcode_name + ' ' + this.opcode.toString(2) + ' at address ' + this.PC);
-	}
+	/**
+	 * Capture the state of the CPU, and of its bus if it was constructed with one. In
+	 * cycle-exact mode, this is only possible between instructions.
+	 * @return {Object} JSON-serializable snapshot
+	 */
+	this.saveState = function () {
+		var state = { version: SAVE_STATE_VERSION, cpu: {} };
+
+		if (cycle_exact && this.opcode_cycle !== 0) {
+			throw new Error('Cannot save the state of a cycle-exact CPU in the middle of an instruction');
+		}
+
+		state_fields.forEach(function (name) {
+			state.cpu[name] = copy_field(cpu[name]);
+		});
+
+		if (this.bus && this.bus.saveState) {
+			state.bus = this.bus.saveState();
+		}
+
+		return state;
+	};
+
+	/**
+	 * Restore a snapshot taken by saveState()
+	 * @param {Object} state Snapshot, or its JSON serialization
+	 */
+	this.loadState = function (state) {
+		if (typeof state === 'string') {
+			state = JSON.parse(state);
+		}
+		if (!state || state.version !== SAVE_STATE_VERSION) {
+			throw new Error('Unsupported save state version ' + (state && state.version));
+		}
+
+		// Check everything before changing anything, so that a bad snapshot leaves the CPU as it was
+		if (!state.cpu) {
+			throw new Error('Save state has no CPU state');
+		}
+		state_fields.forEach(function (name) {
+			if (undefined === state.cpu[name]) {
+				throw new Error('Save state is missing ' + name);
+			}
+		});
+		if (cycle_exact && state.cpu.opcode_cycle !== 0) {
+			throw new Error('Cannot restore a cycle-exact CPU to the middle of an instruction');
+		}
+
+		if (state.bus && this.bus && this.bus.loadState) {
+			this.bus.loadState(state.bus);
+		}
+
+		state_fields.forEach(function (name) {
+			cpu[name] = copy_field(state.cpu[name]);
+		});
+		replay = null;
+	};
 
 }
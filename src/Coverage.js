@@ -0,0 +1,211 @@
+/**
+ * Code coverage for CPU6502
+ *
+ * Records how often each instruction address executes and, for the conditional
+ * branches (BPL, BMI, BVC, BVS, BCC, BCS, BNE, BEQ and the Rockwell BBR/BBS), how
+ * often each was taken and not taken. lcov() maps the addresses back to source
+ * lines and writes the LCOV tracefile format read by genhtml and most coverage
+ * viewers.
+ *
+ * A line map is an array of { file, line, address, size } entries giving the
+ * address range each source line assembled to. The lines of an assembler result
+ * can be used as they are; ca65_dbg.line_map() builds one from an ld65 debug file.
+ *
+ * @param {CPU6502} cpu CPU to record
+ */
+module.exports = function Coverage(cpu) {
+
+	"use strict";
+
+	var executed, // address -> number of times executed
+		branches; // address -> { mnemonic, taken, not_taken }
+
+	/**
+	 * @return {Boolean} true for the mnemonics of the conditional branches
+	 */
+	function is_branch(mnemonic) {
+		return /^(B(PL|MI|VC|VS|CC|CS|NE|EQ)|BB[RS]\d)$/.test(mnemonic);
+	}
+
+	function on_instruction(event) {
+		var branch;
+
+		executed.set(event.address, (executed.get(event.address) || 0) + 1);
+
+		if (is_branch(event.mnemonic)) {
+			branch = branches.get(event.address);
+			if (!branch) {
+				branch = { mnemonic: event.mnemonic, taken: 0, not_taken: 0 };
+				branches.set(event.address, branch);
+			}
+			// Only a taken branch costs extra cycles, even one to the next instruction
+			if (cpu.extra_cycles) {
+				branch.taken++;
+			} else {
+				branch.not_taken++;
+			}
+		}
+	}
+
+	cpu.on('instruction', on_instruction);
+
+	/**
+	 * Stop listening to the CPU
+	 */
+	this.detach = function () {
+		cpu.off('instruction', on_instruction);
+	};
+
+	/**
+	 * Discard everything recorded so far
+	 */
+	this.reset = function () {
+		executed = new Map();
+		branches = new Map();
+	};
+
+	this.reset();
+
+	/**
+	 * Number of times the instruction at an address executed
+	 * @param {Number} addr Address
+	 * @return {Number} count, 0 if never
+	 */
+	this.hits = function (addr) {
+		return executed.get(addr) || 0;
+	};
+
+	/**
+	 * Collect what was recorded, in address order
+	 * @return {Object} { executed: [{ address, count }],
+	 *     branches: [{ address, mnemonic, taken, not_taken }] }
+	 */
+	this.report = function () {
+		var result = { executed: [], branches: [] };
+
+		executed.forEach(function (count, addr) {
+			result.executed.push({ address: addr, count: count });
+		});
+		branches.forEach(function (branch, addr) {
+			result.branches.push({ address: addr, mnemonic: branch.mnemonic, taken: branch.taken, not_taken: branch.not_taken });
+		});
+
+		result.executed.sort(function (a, b) {
+			return a.address - b.address;
+		});
+		result.branches.sort(function (a, b) {
+			return a.address - b.address;
+		});
+
+		return result;
+	};
+
+	/**
+	 * Find the branch instructions in the range of a line map entry. Entries with the
+	 * assembled bytes (as assembler results have) reveal branches that never executed;
+	 * otherwise only those that did are known.
+	 * @return {Array} addresses
+	 */
+	function line_branches(entry, size) {
+		var found = [],
+			offset, opcode, addr;
+
+		if (entry.bytes) {
+			// An assembler line holds a single instruction
+			opcode = cpu.opcode_table[entry.bytes[0]];
+			if (opcode && is_branch(opcode.mnemonic)) {
+				found.push(entry.address);
+			}
+			return found;
+		}
+
+		for (offset = 0; offset < size; offset++) {
+			addr = (entry.address + offset) & 0xffff;
+			if (branches.has(addr)) {
+				found.push(addr);
+			}
+		}
+		return found;
+	}
+
+	/**
+	 * Write the coverage as an LCOV tracefile. Each source line is hit as often as
+	 * the most executed instruction in its range; each conditional branch gets a
+	 * pair of LCOV branches, taken and not taken.
+	 * @param {Array} lines Line map (see above). Assembler lines that hold data
+	 *     rather than an instruction are left out.
+	 * @param {String} [test_name] Test name for the TN record
+	 * @return {String} LCOV tracefile
+	 */
+	this.lcov = function (lines, test_name) {
+		var files = new Map(),
+			out = [];
+
+		lines.forEach(function (entry) {
+			var size = (undefined !== entry.size) ? entry.size : entry.bytes.length,
+				file, line, offset, count;
+
+			if (entry.instruction === false || size === 0) {
+				return;
+			}
+
+			if (!files.has(entry.file)) {
+				files.set(entry.file, new Map());
+			}
+			file = files.get(entry.file);
+			if (!file.has(entry.line)) {
+				file.set(entry.line, { hits: 0, branches: [] });
+			}
+			line = file.get(entry.line);
+
+			for (offset = 0; offset < size; offset++) {
+				count = executed.get((entry.address + offset) & 0xffff) || 0;
+				line.hits = Math.max(line.hits, count);
+			}
+			line_branches(entry, size).forEach(function (addr) {
+				if (line.branches.indexOf(addr) === -1) {
+					line.branches.push(addr);
+				}
+			});
+		});
+
+		files.forEach(function (file, name) {
+			var numbers = Array.from(file.keys()).sort(function (a, b) {
+					return a - b;
+				}),
+				lines_hit = 0,
+				branches_found = 0,
+				branches_hit = 0;
+
+			out.push('TN:' + (test_name || ''), 'SF:' + name);
+
+			numbers.forEach(function (number) {
+				file.get(number).branches.forEach(function (addr, block) {
+					var branch = branches.get(addr);
+
+					[branch && branch.taken, branch && branch.not_taken].forEach(function (count, index) {
+						// '-' marks a branch whose instruction never executed
+						out.push('BRDA:' + number + ',' + block + ',' + index + ',' + (branch ? count : '-'));
+						branches_found++;
+						if (count) {
+							branches_hit++;
+						}
+					});
+				});
+			});
+			out.push('BRF:' + branches_found, 'BRH:' + branches_hit);
+
+			numbers.forEach(function (number) {
+				var hits = file.get(number).hits;
+				out.push('DA:' + number + ',' + hits);
+				if (hits) {
+					lines_hit++;
+				}
+			});
+			out.push('LF:' + numbers.length, 'LH:' + lines_hit, 'end_of_record');
+		});
+
+		return out.length ? out.join('\n') + '\n' : '';
+	};
+
+}
@@ -0,0 +1,325 @@
+/**
+ * Debugger for CPU6502
+ *
+ * Wraps a CPU with execution breakpoints, read/write watchpoints and stepping
+ * commands, and keeps a call stack reconstructed from JSR/RTS, BRK, interrupt
+ * entry and RTI. Every command runs the CPU synchronously, one instruction at a time,
+ * and returns why it stopped:
+ *
+ *   { reason: 'step' | 'breakpoint' | 'watchpoint' | 'until' | 'return' | 'halt' | 'limit',
+ *     address: PC when execution stopped,
+ *     watchpoint: the watchpoint that was hit and access: the access that hit it
+ *     (for 'watchpoint' only),
+ *     halt: the CPU's halt event (for 'halt' only, after STP or JAM) }
+ *
+ * @param {CPU6502} cpu CPU to control
+ * @param {Object} options Optional settings:
+ *     limit: maximum number of instructions a single command may run (default 10,000,000)
+ *     symbols: SymbolTable, so that breakpoints, watchpoints and run_until() also
+ *         accept symbol names (and label+offset) for addresses
+ */
+module.exports = function Debugger(cpu, options) {
+
+	"use strict";
+
+	options = options || {};
+
+	var debug = this,
+		limit = options.limit || 10000000,
+		symbols = options.symbols,
+		watchpoints = [],
+		next_watchpoint_id = 1,
+		watch_hit = null,
+		halt = null;
+
+	this.cpu = cpu;
+	this.breakpoints = new Set();
+	this.call_stack = []; // frames of { type: 'jsr', 'brk', 'irq' or 'nmi', call_site, target, return_address }
+
+	/**
+	 * Follow calls and returns to maintain the call stack
+	 */
+	function on_instruction(event) {
+		switch (event.mnemonic) {
+			case 'JSR':
+				debug.call_stack.push({
+					type: 'jsr',
+					call_site: event.address,
+					target: cpu.PC,
+					return_address: (event.address + 3) & 0xffff
+				});
+				break;
+			case 'BRK':
+				debug.call_stack.push({
+					type: 'brk',
+					call_site: event.address,
+					target: cpu.PC,
+					return_address: (event.address + 2) & 0xffff
+				});
+				break;
+			case 'RTS':
+				pop_frame(function (frame) {
+					return frame.type === 'jsr';
+				});
+				break;
+			case 'RTI':
+				pop_frame(function (frame) {
+					return frame.type !== 'jsr';
+				});
+				break;
+		}
+	}
+
+	/**
+	 * Push a frame for an interrupt entry
+	 */
+	function on_interrupt(event) {
+		debug.call_stack.push({
+			type: event.type,
+			call_site: event.address,
+			target: event.handler,
+			return_address: event.address
+		});
+	}
+
+	/**
+	 * Check bus accesses against the watchpoints
+	 */
+	function on_access(event) {
+		var i, watchpoint;
+
+		if (watch_hit) {
+			return;
+		}
+
+		for (i = 0; i < watchpoints.length; i++) {
+			watchpoint = watchpoints[i];
+			if (event.address >= watchpoint.start && event.address <= watchpoint.end &&
+				(watchpoint.type === 'access' || watchpoint.type === event.type)) {
+				watch_hit = { watchpoint: watchpoint, access: event };
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Pop frames up to and including the innermost one matching a predicate. The
+	 * call stack is left alone if no frame matches, e.g. because the code
+	 * manipulated the stack itself.
+	 */
+	function pop_frame(matches) {
+		var i;
+
+		for (i = debug.call_stack.length - 1; i >= 0; i--) {
+			if (matches(debug.call_stack[i])) {
+				debug.call_stack.length = i;
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Remember why the CPU locked up
+	 */
+	function on_halt(event) {
+		halt = event;
+	}
+
+	cpu.on('instruction', on_instruction);
+	cpu.on('interrupt', on_interrupt);
+	cpu.on('access', on_access);
+	cpu.on('halt', on_halt);
+
+	/**
+	 * Stop listening to the CPU
+	 */
+	this.detach = function () {
+		cpu.off('instruction', on_instruction);
+		cpu.off('interrupt', on_interrupt);
+		cpu.off('access', on_access);
+		cpu.off('halt', on_halt);
+	};
+
+	/**
+	 * Resolve an address given as a number or a symbol name
+	 * @param {Number|String} addr Address or name
+	 * @return {Number} address
+	 */
+	function address_of(addr) {
+		var value;
+
+		if (typeof addr !== 'string') {
+			return addr & 0xffff;
+		}
+		value = symbols ? symbols.address_of(addr) : undefined;
+		if (undefined === value) {
+			throw new Error('Unknown symbol ' + addr);
+		}
+		return value & 0xffff;
+	}
+
+	/**
+	 * Set an execution breakpoint
+	 * @param {Number|String} addr Address or symbol name of the instruction
+	 */
+	this.add_breakpoint = function (addr) {
+		this.breakpoints.add(address_of(addr));
+	};
+
+	/**
+	 * Clear an execution breakpoint
+	 * @param {Number|String} addr Address or symbol name of the instruction
+	 */
+	this.remove_breakpoint = function (addr) {
+		this.breakpoints.delete(address_of(addr));
+	};
+
+	/**
+	 * Set a watchpoint on an address range
+	 * @param {Number|String} start First address, or symbol name
+	 * @param {Number|String} end Last address, or symbol name (defaults to start)
+	 * @param {String} type 'read', 'write' or 'access' (either, the default)
+	 * @return {Object} watchpoint, with an id to pass to remove_watchpoint()
+	 */
+	this.add_watchpoint = function (start, end, type) {
+		var watchpoint = {
+			id: next_watchpoint_id++,
+			start: address_of(start),
+			end: address_of((undefined === end) ? start : end),
+			type: type || 'access'
+		};
+
+		if (['read', 'write', 'access'].indexOf(watchpoint.type) === -1) {
+			throw new Error('Invalid watchpoint type ' + watchpoint.type);
+		}
+
+		watchpoints.push(watchpoint);
+		return watchpoint;
+	};
+
+	/**
+	 * Clear a watchpoint
+	 * @param {Number} id Id of the watchpoint
+	 */
+	this.remove_watchpoint = function (id) {
+		watchpoints = watchpoints.filter(function (watchpoint) {
+			return watchpoint.id !== id;
+		});
+	};
+
+	/**
+	 * List the watchpoints
+	 * @return {Array} watchpoints
+	 */
+	this.watchpoints = function () {
+		return watchpoints.slice();
+	};
+
+	/**
+	 * Run instructions until done() returns a reason to stop, a breakpoint or
+	 * watchpoint is hit or the instruction limit is reached. The instruction at
+	 * the current PC runs even if it has a breakpoint, so that execution can
+	 * resume from one.
+	 * @param {Function} done Called after every instruction, returns a stop reason or undefined
+	 * @return {Object} stop information
+	 */
+	this.run_while = function (done) {
+		var count = 0,
+			reason, hit;
+
+		for (;;) {
+			if (cpu.stopped) {
+				return { reason: 'halt', address: cpu.PC, halt: halt };
+			}
+			if (count > 0 && this.breakpoints.has(cpu.PC)) {
+				return { reason: 'breakpoint', address: cpu.PC };
+			}
+			if (count >= limit) {
+				return { reason: 'limit', address: cpu.PC };
+			}
+
+			watch_hit = null;
+			cpu.step();
+			count++;
+
+			if (watch_hit) {
+				hit = watch_hit;
+				watch_hit = null;
+				return { reason: 'watchpoint', address: cpu.PC, watchpoint: hit.watchpoint, access: hit.access };
+			}
+
+			reason = done();
+			if (reason) {
+				return { reason: reason, address: cpu.PC };
+			}
+		}
+	};
+
+	/**
+	 * Run until a breakpoint or watchpoint is hit
+	 * @return {Object} stop information
+	 */
+	this.run = function () {
+		return this.run_while(function () {
+			return undefined;
+		});
+	};
+
+	/**
+	 * Execute a single instruction
+	 * @return {Object} stop information
+	 */
+	this.step_into = function () {
+		return this.run_while(function () {
+			return 'step';
+		});
+	};
+
+	/**
+	 * Execute a single instruction, running a subroutine called by JSR to completion
+	 * @return {Object} stop information
+	 */
+	this.step_over = function () {
+		var depth = this.call_stack.length,
+			opcode;
+
+		return this.run_while(function () {
+			if (undefined === opcode) {
+				opcode = cpu.opcode;
+				if (opcode !== 0x20 || debug.call_stack.length <= depth) {
+					return 'step';
+				}
+			}
+			return (debug.call_stack.length <= depth) ? 'step' : undefined;
+		});
+	};
+
+	/**
+	 * Run until the current subroutine or interrupt handler returns
+	 * @return {Object} stop information
+	 */
+	this.step_out = function () {
+		var depth = this.call_stack.length;
+
+		return this.run_while(function () {
+			if (depth > 0) {
+				return (debug.call_stack.length < depth) ? 'return' : undefined;
+			}
+			// Outside any frame we know of: stop at the next return
+			return (cpu.opcode_name === 'RTS' || cpu.opcode_name === 'RTI') ? 'return' : undefined;
+		});
+	};
+
+	/**
+	 * Run until PC reaches an address
+	 * @param {Number|String} addr Address or symbol name
+	 * @return {Object} stop information
+	 */
+	this.run_until = function (addr) {
+		addr = address_of(addr);
+		return this.run_while(function () {
+			return (cpu.PC === addr) ? 'until' : undefined;
+		});
+	};
+
+}
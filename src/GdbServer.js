@@ -0,0 +1,537 @@
+/**
+ * GDB remote serial protocol server for CPU6502
+ *
+ * Lets debugger front-ends that speak the GDB remote protocol attach to an
+ * emulation over TCP, e.g. with "target remote localhost:6502". The server
+ * provides the registers A, X, Y, SP, PC and P (in that order; PC is 16 bits,
+ * the rest 8), memory access through the bus, software breakpoints (Z0, with
+ * Z1 accepted as a synonym), single-step and continue. A running target can be
+ * interrupted with Ctrl-C. The register layout is also described to GDB as a
+ * target description (qXfer:features:read).
+ *
+ * Only one client is served at a time.
+ *
+ * @param {CPU6502} cpu CPU to control
+ * @param {Object} options Optional settings:
+ *     port: TCP port (default 6502, 0 picks a free one)
+ *     host: address to listen on (default 127.0.0.1)
+ *     debugger: Debugger to use, created for the CPU if not given
+ *     read_byte, write_byte: memory access functions, default to those of cpu.bus
+ *     slice: number of instructions run between checks for Ctrl-C while continuing (default 10000)
+ */
+
+var net = require('net');
+var Debugger = require('./Debugger');
+var hex = require('./hex');
+
+var TARGET_XML = '<?xml version="1.0"?>' +
+	'<!DOCTYPE target SYSTEM "gdb-target.dtd">' +
+	'<target version="1.0">' +
+	'<feature name="org.6502js.cpu">' +
+	'<reg name="a" bitsize="8" type="uint8" regnum="0"/>' +
+	'<reg name="x" bitsize="8" type="uint8" regnum="1"/>' +
+	'<reg name="y" bitsize="8" type="uint8" regnum="2"/>' +
+	'<reg name="sp" bitsize="8" type="uint8" regnum="3"/>' +
+	'<reg name="pc" bitsize="16" type="code_ptr" regnum="4"/>' +
+	'<reg name="p" bitsize="8" type="uint8" regnum="5"/>' +
+	'</feature>' +
+	'</target>';
+
+var SIGINT = 2,
+	SIGILL = 4,
+	SIGTRAP = 5;
+
+module.exports = function GdbServer(cpu, options) {
+
+	"use strict";
+
+	options = options || {};
+
+	var debug = options.debugger || new Debugger(cpu),
+		read_byte = options.read_byte || (cpu.bus && cpu.bus.read_byte),
+		write_byte = options.write_byte || (cpu.bus && cpu.bus.write_byte),
+		slice = options.slice || 10000,
+		listener = null,
+		client = null,
+		no_ack = false,
+		running = false,
+		interrupted = false,
+		buffer = '';
+
+	if (!read_byte || !write_byte) {
+		throw new Error('GdbServer needs read_byte and write_byte when the CPU has no bus');
+	}
+
+	this.debugger = debug;
+
+	/**
+	 * Registers as { value, size in bytes } in protocol order
+	 */
+	function registers() {
+		return [
+			{ value: cpu.A, size: 1 },
+			{ value: cpu.X, size: 1 },
+			{ value: cpu.Y, size: 1 },
+			{ value: cpu.SP, size: 1 },
+			{ value: cpu.PC, size: 2 },
+			{ value: cpu.getP(), size: 1 }
+		];
+	}
+
+	/**
+	 * Set a register by its protocol number
+	 */
+	function set_register(number, value) {
+		switch (number) {
+			case 0: cpu.A = value & 0xff; break;
+			case 1: cpu.X = value & 0xff; break;
+			case 2: cpu.Y = value & 0xff; break;
+			case 3: cpu.SP = value & 0xff; break;
+			case 4: cpu.PC = value & 0xffff; break;
+			case 5: cpu.setP(value); break;
+			default: return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Encode a register value as little-endian hex
+	 */
+	function encode_register(register) {
+		var str = '',
+			i;
+
+		for (i = 0; i < register.size; i++) {
+			str += hex((register.value >> (8 * i)) & 0xff, 2);
+		}
+		return str;
+	}
+
+	/**
+	 * Decode little-endian hex
+	 */
+	function decode_register(str) {
+		var value = 0,
+			i;
+
+		for (i = 0; i < str.length; i += 2) {
+			value |= parseInt(str.substr(i, 2), 16) << (4 * i);
+		}
+		return value;
+	}
+
+	/**
+	 * Escape the characters the protocol reserves in binary data
+	 */
+	function escape(data) {
+		return data.replace(/[#$}*]/g, function (c) {
+			return '}' + String.fromCharCode(c.charCodeAt(0) ^ 0x20);
+		});
+	}
+
+	/**
+	 * Send a packet to the client
+	 */
+	function send(data) {
+		var sum = 0,
+			i;
+
+		if (!client) {
+			return;
+		}
+
+		for (i = 0; i < data.length; i++) {
+			sum = (sum + data.charCodeAt(i)) & 0xff;
+		}
+		client.write('$' + data + '#' + hex(sum, 2), 'latin1');
+	}
+
+	/**
+	 * Stop reply packet for a signal. Having offered swbreak in qSupported, a stop
+	 * at a software breakpoint is reported in a T packet that says so.
+	 * @param {Number} signal Signal number
+	 * @param {String} reason Debugger stop reason, if any
+	 */
+	function stop_reply(signal, reason) {
+		return (reason === 'breakpoint') ? 'T' + hex(signal, 2) + 'swbreak:;' : 'S' + hex(signal, 2);
+	}
+
+	/**
+	 * Stop reply for the Debugger's stop information
+	 */
+	function stop_info_reply(stop) {
+		return stop_reply((stop.reason === 'halt') ? SIGILL : SIGTRAP, stop.reason);
+	}
+
+	/**
+	 * Run one Debugger command, catching the CPU errors raised by invalid opcodes
+	 * @param {Function} command Runs the command, returns the Debugger's stop information
+	 * @return {String} stop reply to send
+	 */
+	function run_command(command) {
+		var stop;
+
+		try {
+			stop = command();
+		} catch (e) {
+			return stop_reply(SIGILL);
+		}
+		return stop_info_reply(stop);
+	}
+
+	/**
+	 * Continue execution in slices until a breakpoint, a watchpoint, an error or Ctrl-C
+	 */
+	function resume() {
+		var count, stop;
+
+		running = true;
+		interrupted = false;
+
+		function run_slice() {
+			if (!client) {
+				running = false;
+				return;
+			}
+			if (interrupted) {
+				running = false;
+				send(stop_reply(SIGINT));
+				return;
+			}
+
+			count = 0;
+			try {
+				stop = debug.run_while(function () {
+					count++;
+					return (count >= slice) ? 'slice' : undefined;
+				});
+			} catch (e) {
+				running = false;
+				send(stop_reply(SIGILL));
+				return;
+			}
+
+			if (stop.reason === 'slice') {
+				setImmediate(run_slice);
+				return;
+			}
+
+			running = false;
+			send(stop_info_reply(stop));
+		}
+
+		run_slice();
+	}
+
+	/**
+	 * Handle a qXfer:features:read request
+	 */
+	function read_features(args) {
+		var match = /^target\.xml:([0-9a-f]+),([0-9a-f]+)$/i.exec(args),
+			offset, length, data;
+
+		if (!match) {
+			return 'E00';
+		}
+
+		offset = parseInt(match[1], 16);
+		length = parseInt(match[2], 16);
+		data = TARGET_XML.substr(offset, length);
+		return ((offset + length >= TARGET_XML.length) ? 'l' : 'm') + escape(data);
+	}
+
+	/**
+	 * Handle a query packet
+	 */
+	function query(packet) {
+		if (packet.indexOf('qSupported') === 0) {
+			return 'PacketSize=4000;qXfer:features:read+;QStartNoAckMode+;swbreak+';
+		}
+		if (packet.indexOf('qXfer:features:read:') === 0) {
+			return read_features(packet.substr('qXfer:features:read:'.length));
+		}
+		if (packet === 'QStartNoAckMode') {
+			no_ack = true;
+			return 'OK';
+		}
+		switch (packet) {
+			case 'qAttached':
+				return '1';
+			case 'qC':
+				return 'QC1';
+			case 'qfThreadInfo':
+				return 'm1';
+			case 'qsThreadInfo':
+				return 'l';
+			default:
+				return '';
+		}
+	}
+
+	/**
+	 * Handle a breakpoint packet (Z or z)
+	 */
+	function breakpoint(packet) {
+		var fields = packet.substr(1).split(','),
+			type = fields[0],
+			addr = parseInt(fields[1], 16);
+
+		if (type !== '0' && type !== '1') {
+			return '';
+		}
+		if (isNaN(addr)) {
+			return 'E01';
+		}
+
+		if (packet[0] === 'Z') {
+			debug.add_breakpoint(addr);
+		} else {
+			debug.remove_breakpoint(addr);
+		}
+		return 'OK';
+	}
+
+	/**
+	 * Handle an m (read memory) packet
+	 */
+	function read_memory(args) {
+		var fields = args.split(','),
+			addr = parseInt(fields[0], 16),
+			length = parseInt(fields[1], 16),
+			data = '',
+			i;
+
+		if (isNaN(addr) || isNaN(length)) {
+			return 'E01';
+		}
+
+		for (i = 0; i < length; i++) {
+			data += hex(read_byte((addr + i) & 0xffff), 2);
+		}
+		return data;
+	}
+
+	/**
+	 * Handle an M (write memory) packet
+	 */
+	function write_memory(args) {
+		var match = /^([0-9a-f]+),([0-9a-f]+):([0-9a-f]*)$/i.exec(args),
+			addr, length, i;
+
+		if (!match) {
+			return 'E01';
+		}
+
+		addr = parseInt(match[1], 16);
+		length = parseInt(match[2], 16);
+		if (match[3].length !== length * 2) {
+			return 'E01';
+		}
+
+		for (i = 0; i < length; i++) {
+			write_byte((addr + i) & 0xffff, parseInt(match[3].substr(i * 2, 2), 16));
+		}
+		return 'OK';
+	}
+
+	/**
+	 * Handle a G (write all registers) packet
+	 */
+	function write_registers(data) {
+		var offset = 0;
+
+		registers().forEach(function (register, number) {
+			var digits = register.size * 2;
+			if (offset + digits <= data.length) {
+				set_register(number, decode_register(data.substr(offset, digits)));
+			}
+			offset += digits;
+		});
+		return 'OK';
+	}
+
+	/**
+	 * Handle a P (write one register) packet
+	 */
+	function write_register(args) {
+		var fields = args.split('=');
+
+		return set_register(parseInt(fields[0], 16), decode_register(fields[1] || '')) ? 'OK' : 'E01';
+	}
+
+	/**
+	 * Handle a packet, returning the reply or undefined when the reply is sent later
+	 */
+	function handle(packet) {
+		var register;
+
+		if (running) {
+			// Only Ctrl-C is expected while the target runs
+			return undefined;
+		}
+
+		switch (packet[0]) {
+			case '?':
+				return stop_reply(SIGTRAP);
+			case 'g':
+				return registers().map(encode_register).join('');
+			case 'G':
+				return write_registers(packet.substr(1));
+			case 'p':
+				register = registers()[parseInt(packet.substr(1), 16)];
+				return register ? encode_register(register) : 'E01';
+			case 'P':
+				return write_register(packet.substr(1));
+			case 'm':
+				return read_memory(packet.substr(1));
+			case 'M':
+				return write_memory(packet.substr(1));
+			case 'Z':
+			case 'z':
+				return breakpoint(packet);
+			case 's':
+				if (packet.length > 1) {
+					cpu.PC = parseInt(packet.substr(1), 16) & 0xffff;
+				}
+				return run_command(function () {
+					return debug.step_into();
+				});
+			case 'c':
+				if (packet.length > 1) {
+					cpu.PC = parseInt(packet.substr(1), 16) & 0xffff;
+				}
+				resume();
+				return undefined;
+			case 'H':
+				return 'OK';
+			case 'D':
+				send('OK');
+				client.end();
+				return undefined;
+			case 'k':
+				client.end();
+				return undefined;
+			case 'q':
+			case 'Q':
+				return query(packet);
+			case 'v':
+				// vMustReplyEmpty, vCont? and the like: tell GDB to use the basic packets
+				return '';
+			default:
+				return '';
+		}
+	}
+
+	/**
+	 * Split incoming data into packets, acknowledging and handling each
+	 */
+	function receive(data) {
+		var start, end, packet, sum, valid, i, reply;
+
+		buffer += data;
+
+		while (buffer.length) {
+			if (buffer[0] === '\x03') {
+				// Ctrl-C arrives outside a packet
+				buffer = buffer.substr(1);
+				interrupted = true;
+				if (!running) {
+					send(stop_reply(SIGINT));
+				}
+				continue;
+			}
+
+			if (buffer[0] !== '$') {
+				// Acknowledgements and noise between packets
+				start = buffer.search(/[$\x03]/);
+				buffer = (start === -1) ? '' : buffer.substr(start);
+				continue;
+			}
+
+			end = buffer.indexOf('#');
+			if (end === -1 || buffer.length < end + 3) {
+				return;
+			}
+
+			packet = buffer.substring(1, end);
+			sum = 0;
+			for (i = 0; i < packet.length; i++) {
+				sum = (sum + packet.charCodeAt(i)) & 0xff;
+			}
+			valid = (sum === parseInt(buffer.substr(end + 1, 2), 16));
+			buffer = buffer.substr(end + 3);
+
+			if (!no_ack) {
+				client.write(valid ? '+' : '-');
+			}
+			if (valid) {
+				reply = handle(packet);
+				if (undefined !== reply) {
+					send(reply);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Start listening for a client
+	 * @param {Function} callback Called with an error if the server cannot listen
+	 *     (e.g. the port is in use), otherwise with null and the address it listens
+	 *     on. Without a callback, such an error is thrown.
+	 */
+	this.listen = function (callback) {
+		var server = net.createServer(function (socket) {
+			if (client) {
+				socket.end();
+				return;
+			}
+
+			client = socket;
+			no_ack = false;
+			buffer = '';
+			socket.setEncoding('latin1');
+			socket.on('data', receive);
+			socket.on('close', function () {
+				client = null;
+				interrupted = true;
+			});
+			socket.on('error', function () {
+				client = null;
+			});
+		});
+
+		listener = server;
+		server.on('error', function (e) {
+			if (listener === server) {
+				listener = null;
+			}
+			if (!callback) {
+				throw e;
+			}
+			callback(e);
+		});
+		server.listen(undefined === options.port ? 6502 : options.port, options.host || '127.0.0.1', function () {
+			if (callback) {
+				callback(null, server.address());
+			}
+		});
+	};
+
+	/**
+	 * Stop listening and drop the client
+	 * @param {Function} callback Called once the server has closed (optional)
+	 */
+	this.close = function (callback) {
+		if (client) {
+			client.destroy();
+			client = null;
+		}
+		if (listener) {
+			listener.close(callback);
+			listener = null;
+		} else if (callback) {
+			callback();
+		}
+	};
+
+}
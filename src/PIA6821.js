@@ -0,0 +1,281 @@
+/**
+ * MC6821 Peripheral Interface Adapter
+ *
+ * A bus device of four registers, mapped at offsets 0-3:
+ *
+ *   0  port A output register, or data direction register A when CRA bit 2 is clear
+ *   1  control register A
+ *   2  port B output register, or data direction register B when CRB bit 2 is clear
+ *   3  control register B
+ *
+ * Control register bits:
+ *
+ *   0  C1 interrupt enable
+ *   1  C1 active edge: 0 falling, 1 rising
+ *   2  0 to access the data direction register, 1 the output register
+ *   3-5  C2 control. Bit 5 clear, C2 is an input: bit 4 selects its active edge
+ *        and bit 3 enables its interrupt. Bit 5 set, C2 is an output: bit 4 set
+ *        drives it to the level of bit 3; bit 4 clear makes it a handshake strobe,
+ *        going low on a read of port A (a write of port B) and back high on the
+ *        next active C1 edge, or at once if bit 3 is set.
+ *   6  C2 interrupt flag (read only)
+ *   7  C1 interrupt flag (read only)
+ *
+ * The interrupt flags are cleared by reading the port's output register.
+ *
+ * The outside world connects through callbacks, and drives the control lines
+ * with ca1(), ca2(), cb1() and cb2(). The control line inputs start out low.
+ *
+ * @param {Object} options Optional settings:
+ *     read_a, read_b: called on a read of a port, return the levels of its pins
+ *         (default 0xff); pins programmed as outputs read the output register instead
+ *     write_a, write_b: called with the output register and data direction register
+ *         whenever either changes
+ *     ca2, cb2: called with the level of C2 when it changes as an output
+ *     cpu: CPU6502 whose IRQ line IRQA and IRQB drive (optional; not every
+ *         machine wires them)
+ *     name: interrupt source name (default 'pia')
+ */
+
+var devices = require('./devices');
+
+// Fields of a port that make up its state
+var STATE_FIELDS = ['output', 'ddr', 'control', 'c1', 'c2', 'c2_out'];
+
+module.exports = function PIA6821(options) {
+
+	"use strict";
+
+	options = options || {};
+
+	var pia = this,
+		irq = devices.irq_output(options.cpu, options.name || 'pia'),
+		ports = [create_port('a'), create_port('b')];
+
+	/**
+	 * State of one side of the PIA
+	 */
+	function create_port(side) {
+		return {
+			side: side,
+			output: 0,
+			ddr: 0,
+			control: 0,
+			c1: 0,
+			c2: 0,
+			c2_out: 1,
+			read: options['read_' + side],
+			write: options['write_' + side],
+			c2_changed: options['c' + side + '2']
+		};
+	}
+
+	/**
+	 * Assert or release the CPU IRQ line to match the interrupt flags
+	 */
+	function update_irq() {
+		irq.set(pia.irq_a() || pia.irq_b());
+	}
+
+	/**
+	 * Drive C2 as an output
+	 */
+	function set_c2(port, level) {
+		if (port.c2_out !== level) {
+			port.c2_out = level;
+			if (port.c2_changed) {
+				port.c2_changed(level);
+			}
+		}
+	}
+
+	/**
+	 * Start a C2 handshake, if C2 is programmed for one
+	 */
+	function strobe_c2(port) {
+		if ((port.control & 0x38) === 0x20) {
+			set_c2(port, 0); // back high on the next active C1 edge
+		} else if ((port.control & 0x38) === 0x28) {
+			set_c2(port, 0); // pulse
+			set_c2(port, 1);
+		}
+	}
+
+	/**
+	 * Tell the outside world about new output pin levels
+	 */
+	function notify(port) {
+		if (port.write) {
+			port.write(port.output & port.ddr, port.ddr);
+		}
+	}
+
+	/**
+	 * Drive C1 of a port
+	 */
+	function drive_c1(port, level) {
+		level = level ? 1 : 0;
+		if (devices.active_edge(port.c1, level, port.control & 0x02)) {
+			port.control |= 0x80;
+			if ((port.control & 0x38) === 0x20) {
+				set_c2(port, 1); // handshake acknowledged
+			}
+			update_irq();
+		}
+		port.c1 = level;
+	}
+
+	/**
+	 * Drive C2 of a port, which only has an effect while it is an input
+	 */
+	function drive_c2(port, level) {
+		level = level ? 1 : 0;
+		if (!(port.control & 0x20) && devices.active_edge(port.c2, level, port.control & 0x10)) {
+			port.control |= 0x40;
+			update_irq();
+		}
+		port.c2 = level;
+	}
+
+	/**
+	 * Read a register
+	 * @param {Number} offset Register, 0-3
+	 * @return {Number} value
+	 */
+	this.read = function (offset) {
+		var port = ports[(offset >> 1) & 1],
+			pins;
+
+		if (offset & 1) {
+			return port.control;
+		}
+		if (!(port.control & 0x04)) {
+			return port.ddr;
+		}
+
+		pins = port.read ? port.read() : 0xff;
+		port.control &= 0x3f;
+		update_irq();
+		if (port.side === 'a') {
+			strobe_c2(port);
+		}
+		return ((port.output & port.ddr) | (pins & ~port.ddr)) & 0xff;
+	};
+
+	/**
+	 * Write a register
+	 * @param {Number} offset Register, 0-3
+	 * @param {Number} value Value
+	 */
+	this.write = function (offset, value) {
+		var port = ports[(offset >> 1) & 1];
+
+		if (offset & 1) {
+			port.control = (port.control & 0xc0) | (value & 0x3f);
+			if (port.control & 0x20) {
+				port.control &= 0xbf; // no C2 interrupts while it is an output
+				if (port.control & 0x10) {
+					set_c2(port, (port.control & 0x08) ? 1 : 0);
+				} else if ((port.control & 0x38) === 0x28) {
+					set_c2(port, 1);
+				}
+			}
+			update_irq();
+		} else if (port.control & 0x04) {
+			port.output = value;
+			notify(port);
+			if (port.side === 'b') {
+				strobe_c2(port);
+			}
+		} else {
+			port.ddr = value;
+			notify(port);
+		}
+	};
+
+	/**
+	 * @return {Boolean} whether IRQA is asserted
+	 */
+	this.irq_a = function () {
+		var control = ports[0].control;
+		return (control & 0x81) === 0x81 || (control & 0x68) === 0x48;
+	};
+
+	/**
+	 * @return {Boolean} whether IRQB is asserted
+	 */
+	this.irq_b = function () {
+		var control = ports[1].control;
+		return (control & 0x81) === 0x81 || (control & 0x68) === 0x48;
+	};
+
+	/**
+	 * Drive the control lines
+	 * @param {Boolean} level High or low
+	 */
+	this.ca1 = function (level) {
+		drive_c1(ports[0], level);
+	};
+	this.ca2 = function (level) {
+		drive_c2(ports[0], level);
+	};
+	this.cb1 = function (level) {
+		drive_c1(ports[1], level);
+	};
+	this.cb2 = function (level) {
+		drive_c2(ports[1], level);
+	};
+
+	/**
+	 * Return to the power-on state: every register cleared, so both ports are inputs
+	 */
+	this.reset = function () {
+		ports.forEach(function (port) {
+			port.output = port.ddr = port.control = 0;
+			port.c2_out = 1;
+		});
+		update_irq();
+	};
+
+	/**
+	 * Capture the registers and control line levels, for Bus save states
+	 * @return {Array} JSON-serializable state of both ports
+	 */
+	this.saveState = function () {
+		return ports.map(function (port) {
+			var saved = {};
+			STATE_FIELDS.forEach(function (key) {
+				saved[key] = port[key];
+			});
+			return saved;
+		});
+	};
+
+	/**
+	 * Check that a state can be restored, throwing if not
+	 * @param {Array} state State of both ports
+	 */
+	this.validateState = function (state) {
+		if (!Array.isArray(state) || state.length !== 2) {
+			throw new Error('PIA save state does not hold two ports');
+		}
+		state.forEach(function (saved) {
+			devices.check_state(saved, STATE_FIELDS, 'PIA');
+		});
+	};
+
+	/**
+	 * Restore a state captured by saveState()
+	 * @param {Array} state State of both ports
+	 */
+	this.loadState = function (state) {
+		this.validateState(state);
+		state.forEach(function (saved, index) {
+			STATE_FIELDS.forEach(function (key) {
+				ports[index][key] = saved[key];
+			});
+		});
+		irq.restore(pia.irq_a() || pia.irq_b());
+	};
+
+}
@@ -0,0 +1,315 @@
+/**
+ * Execution profiler for CPU6502
+ *
+ * Counts how often each instruction address executes and the cycles spent there,
+ * and follows JSR/RTS, BRK, interrupt entry and RTI to account cycles to
+ * subroutines and interrupt handlers:
+ *
+ *   exclusive  cycles spent in the routine's own instructions
+ *   inclusive  cycles from entering the routine until it returns, including the
+ *              routines it calls (counted once when a routine recurses)
+ *
+ * JSR counts towards the caller and RTS towards the subroutine; the 7 cycles of
+ * an interrupt sequence count towards the handler. Cycles a CPU spends waiting
+ * after WAI count towards the WAI.
+ *
+ * Routines are named with the symbol table lookup, falling back to their address
+ * in hex. Code outside any routine that was entered while profiling belongs to
+ * the root routine, named '<root>'.
+ *
+ * @param {CPU6502} cpu CPU to profile
+ * @param {Object} options Optional settings:
+ *     symbol_table_lookup: called with an address, returns its symbol name or
+ *         undefined (defaults to the CPU's)
+ */
+
+var hex = require('./hex');
+
+module.exports = function Profiler(cpu, options) {
+
+	"use strict";
+
+	options = options || {};
+
+	var profiler = this,
+		symbol_table_lookup = options.symbol_table_lookup || cpu.symbol_table_lookup || function () {
+			return undefined;
+		},
+		addresses, // per instruction address: { count, cycles }
+		routines, // per routine entry address, or 'root': { calls, inclusive, exclusive }
+		stacks, // folded call stack: cycles spent with exactly that stack
+		frames, // routines currently executing, innermost last
+		pending; // last instruction or interrupt, until the next one tells how long it took
+
+	/**
+	 * Name an address with its symbol, or in hex
+	 * @param {Number} addr Address
+	 * @return {String} name
+	 */
+	function name_of(addr) {
+		var symbol = symbol_table_lookup(addr);
+		return (undefined !== symbol) ? symbol : '$' + hex(addr, 4);
+	}
+
+	/**
+	 * Statistics of a routine, created on first use
+	 */
+	function routine(key) {
+		if (!routines.has(key)) {
+			routines.set(key, { calls: 0, inclusive: 0, exclusive: 0 });
+		}
+		return routines.get(key);
+	}
+
+	/**
+	 * Enter a routine
+	 * @param {String} type 'jsr', 'brk', 'irq' or 'nmi'
+	 * @param {Number} entry Entry address
+	 * @param {Number} start Cycle the routine started on
+	 */
+	function push_frame(type, entry, start) {
+		var parent = frames[frames.length - 1];
+
+		routine(entry).calls++;
+		frames.push({
+			type: type,
+			key: entry,
+			start: start,
+			path: parent.path + ';' + name_of(entry)
+		});
+	}
+
+	/**
+	 * Return from the innermost routine matching a predicate, and any routines it left
+	 * without returning. Returns that match no routine, e.g. because the code
+	 * manipulated the stack itself, are ignored.
+	 * @param {Function} matches Called with each frame
+	 * @param {Number} end Cycle the routine ended on
+	 */
+	function pop_frame(matches, end) {
+		var i;
+
+		for (i = frames.length - 1; i > 0; i--) {
+			if (matches(frames[i])) {
+				while (frames.length > i) {
+					add_inclusive(frames.pop(), end);
+				}
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Account the cycles a routine ran for, unless it is still running further out
+	 */
+	function add_inclusive(frame, end) {
+		var recursing = frames.some(function (outer) {
+			return outer.key === frame.key;
+		});
+
+		if (!recursing) {
+			routine(frame.key).inclusive += end - frame.start;
+		}
+	}
+
+	/**
+	 * Account the instruction or interrupt that ran from its start until a cycle
+	 * @param {Number} end Cycle it ended on
+	 */
+	function complete(end) {
+		var cycles, stats, frame;
+
+		if (!pending) {
+			return;
+		}
+
+		cycles = end - pending.start;
+
+		if (pending.interrupt) {
+			push_frame(pending.interrupt, pending.target, pending.start);
+		} else {
+			stats = addresses.get(pending.address);
+			if (!stats) {
+				stats = { count: 0, cycles: 0 };
+				addresses.set(pending.address, stats);
+			}
+			stats.count++;
+			stats.cycles += cycles;
+		}
+
+		frame = frames[frames.length - 1];
+		routine(frame.key).exclusive += cycles;
+		stacks.set(frame.path, (stacks.get(frame.path) || 0) + cycles);
+
+		switch (pending.mnemonic) {
+			case 'JSR':
+				push_frame('jsr', pending.target, end);
+				break;
+			case 'BRK':
+				push_frame('brk', pending.target, end);
+				break;
+			case 'RTS':
+				pop_frame(function (frame) {
+					return frame.type === 'jsr';
+				}, end);
+				break;
+			case 'RTI':
+				pop_frame(function (frame) {
+					return frame.type !== 'jsr';
+				}, end);
+				break;
+		}
+
+		pending = null;
+	}
+
+	function on_instruction(event) {
+		complete(event.cycles);
+		pending = { address: event.address, mnemonic: event.mnemonic, start: event.cycles, target: cpu.PC };
+	}
+
+	function on_interrupt(event) {
+		complete(cpu.instruction_cycle);
+		pending = { interrupt: event.type, start: cpu.instruction_cycle, target: event.handler };
+	}
+
+	cpu.on('instruction', on_instruction);
+	cpu.on('interrupt', on_interrupt);
+
+	/**
+	 * Stop listening to the CPU
+	 */
+	this.detach = function () {
+		cpu.off('instruction', on_instruction);
+		cpu.off('interrupt', on_interrupt);
+	};
+
+	/**
+	 * Discard everything recorded so far
+	 */
+	this.reset = function () {
+		addresses = new Map();
+		routines = new Map();
+		stacks = new Map();
+		frames = [{ type: 'root', key: 'root', start: cpu.cycles, path: '<root>' }];
+		pending = null;
+	};
+
+	this.reset();
+
+	/**
+	 * Account the last instruction, which is only complete once the CPU is between
+	 * instructions
+	 */
+	function settle() {
+		if (cpu.opcode_cycle === 0) {
+			complete(cpu.cycles);
+		}
+	}
+
+	/**
+	 * Collect the statistics, hottest first. Routines still running count up to the
+	 * current cycle.
+	 * @return {Object} { cycles: total cycles profiled,
+	 *     addresses: [{ address, name, count, cycles }],
+	 *     routines: [{ address (undefined for the root), name, calls, inclusive, exclusive }] }
+	 */
+	this.report = function () {
+		var open = {},
+			result = { cycles: 0, addresses: [], routines: [] };
+
+		settle();
+
+		// A routine still running counts from its outermost frame
+		frames.forEach(function (frame) {
+			if (undefined === open[frame.key]) {
+				open[frame.key] = cpu.cycles - frame.start;
+			}
+		});
+		result.cycles = open.root;
+
+		addresses.forEach(function (stats, addr) {
+			result.addresses.push({ address: addr, name: name_of(addr), count: stats.count, cycles: stats.cycles });
+		});
+
+		routines.forEach(function (stats, key) {
+			result.routines.push({
+				address: (key === 'root') ? undefined : key,
+				name: (key === 'root') ? '<root>' : name_of(key),
+				calls: stats.calls,
+				inclusive: (key === 'root') ? open.root : stats.inclusive + (open[key] || 0),
+				exclusive: stats.exclusive
+			});
+		});
+
+		result.addresses.sort(function (a, b) {
+			return b.cycles - a.cycles || a.address - b.address;
+		});
+		result.routines.sort(function (a, b) {
+			return b.inclusive - a.inclusive || b.exclusive - a.exclusive;
+		});
+
+		return result;
+	};
+
+	/**
+	 * Render the report as text
+	 * @param {Number} limit Maximum number of rows per table (default 20)
+	 * @return {String} text
+	 */
+	this.format_report = function (limit) {
+		var report = this.report(),
+			lines = [];
+
+		limit = limit || 20;
+
+		/**
+		 * Format a share of the total cycles
+		 */
+		function percent(cycles) {
+			return report.cycles ? (100 * cycles / report.cycles).toFixed(1) + '%' : '-';
+		}
+
+		/**
+		 * Format a table row of right-aligned columns after a left-aligned name
+		 */
+		function row(name, columns) {
+			return (name + '                        ').slice(0, 24) + columns.map(function (column) {
+				return ('            ' + column).slice(-12);
+			}).join('');
+		}
+
+		lines.push('Total cycles: ' + report.cycles, '');
+		lines.push(row('Routine', ['Calls', 'Inclusive', '%', 'Exclusive', '%']));
+		report.routines.slice(0, limit).forEach(function (entry) {
+			lines.push(row(entry.name, [entry.calls, entry.inclusive, percent(entry.inclusive),
+				entry.exclusive, percent(entry.exclusive)]));
+		});
+		lines.push('');
+		lines.push(row('Address', ['Count', 'Cycles', '%']));
+		report.addresses.slice(0, limit).forEach(function (entry) {
+			lines.push(row(entry.name, [entry.count, entry.cycles, percent(entry.cycles)]));
+		});
+
+		return lines.join('\n') + '\n';
+	};
+
+	/**
+	 * Export the call stacks in the folded format of flamegraph.pl and compatible
+	 * tools: one line per stack, routine names outermost first separated by ';',
+	 * followed by the cycles spent with exactly that stack
+	 * @return {String} folded stacks, one per line
+	 */
+	this.folded = function () {
+		var lines = [];
+
+		settle();
+
+		stacks.forEach(function (cycles, path) {
+			lines.push(path + ' ' + cycles);
+		});
+
+		return lines.sort().join('\n') + (lines.length ? '\n' : '');
+	};
+
+}
@@ -0,0 +1,272 @@
+/**
+ * Symbol table for CPU6502 and the debugging tools
+ *
+ * Maps names to addresses and back. lookup() is a symbol_table_lookup function
+ * for CPU6502, the disassembler and the profiler: it names an address exactly, or
+ * as label+offset when the address lies inside a symbol with a known size.
+ * address_of() resolves a name, or label+offset, back to an address, e.g. for
+ * Debugger breakpoints.
+ *
+ * Symbols can be loaded from:
+ *     ld65 debug files (ld65 --dbgfile), with sizes from .proc scopes
+ *     VICE monitor label files (al C:0810 .label)
+ *     cc65 linker map files (ld65 --mapfile), from the exports list
+ *     lists of name = value assignments, with values in the assembler's syntax
+ *
+ * The methods do not depend on this, so lookup and address_of can be passed
+ * around as plain functions.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var assembler = require('./assembler');
+var ca65_dbg = require('./ca65_dbg');
+
+module.exports = function SymbolTable() {
+
+	"use strict";
+
+	var table = this,
+		names = new Map(), // name -> address
+		by_address = new Map(), // address -> name
+		ranges = [], // { name, address, size } of the symbols with a size, by address
+		ranges_sorted = true, // false once add() has appended to ranges, until lookup() sorts them
+		cache = new Map(); // address -> result of lookup()
+
+	/**
+	 * Add a symbol for an address. Where several symbols name the same address, the
+	 * first one added is preferred, except that global labels win over local ones.
+	 * @param {String} name Name
+	 * @param {Number} address Address
+	 * @param {Number} [size] Number of bytes the symbol spans, if known
+	 */
+	this.add = function (name, address, size) {
+		var current;
+
+		address &= 0xffff;
+		names.set(name, address);
+
+		current = by_address.get(address);
+		if (undefined === current || (current.indexOf('@') !== -1 && name.indexOf('@') === -1)) {
+			by_address.set(address, name);
+		}
+
+		if (size > 1) {
+			// Loading a file adds thousands of symbols, so they are sorted once on the next lookup
+			ranges.push({ name: name, address: address, size: size });
+			ranges_sorted = false;
+		}
+		cache.clear();
+	};
+
+	/**
+	 * Add a name for a value that is not an address, such as a constant. It is only
+	 * used by address_of().
+	 * @param {String} name Name
+	 * @param {Number} value Value
+	 */
+	this.define = function (name, value) {
+		names.set(name, value);
+	};
+
+	/**
+	 * Name an address
+	 * @param {Number} addr Address
+	 * @return {String} symbol, label+offset inside a sized symbol, or undefined
+	 */
+	this.lookup = function (addr) {
+		var name, i, range;
+
+		if (cache.has(addr)) {
+			return cache.get(addr);
+		}
+
+		name = by_address.get(addr);
+		if (undefined === name) {
+			if (!ranges_sorted) {
+				ranges.sort(function (a, b) {
+					return a.address - b.address || b.size - a.size;
+				});
+				ranges_sorted = true;
+			}
+			// The innermost symbol whose range holds the address: the one starting closest below it
+			for (i = ranges.length - 1; i >= 0; i--) {
+				range = ranges[i];
+				if (range.address < addr && addr < range.address + range.size) {
+					name = range.name + '+' + (addr - range.address);
+					break;
+				}
+			}
+		}
+
+		cache.set(addr, name);
+		return name;
+	};
+
+	/**
+	 * Resolve a name to an address
+	 * @param {String} name Symbol, optionally followed by +offset or -offset
+	 * @return {Number} address, or undefined if the symbol is unknown
+	 */
+	this.address_of = function (name) {
+		var match = /^(.+?)\s*([+-])\s*(\$[0-9a-f]+|\d+)$/i.exec(name),
+			base, offset;
+
+		if (names.has(name) || !match) {
+			return names.get(name);
+		}
+
+		base = names.get(match[1]);
+		if (undefined === base) {
+			return undefined;
+		}
+		offset = (match[3][0] === '$') ? parseInt(match[3].slice(1), 16) : parseInt(match[3], 10);
+		return (base + ((match[2] === '-') ? -offset : offset)) & 0xffff;
+	};
+
+	/**
+	 * List the symbols
+	 * @return {Array} { name, address } in address order
+	 */
+	this.symbols = function () {
+		var list = [];
+
+		names.forEach(function (address, name) {
+			list.push({ name: name, address: address });
+		});
+		return list.sort(function (a, b) {
+			return a.address - b.address || (a.name < b.name ? -1 : 1);
+		});
+	};
+
+	/**
+	 * Load the symbols of an ld65 debug file. Labels take their size from a .proc
+	 * scope they name, or from the size ld65 recorded for them.
+	 * @param {String} text Contents of the debug file
+	 */
+	this.load_ca65_dbg = function (text) {
+		var records = ca65_dbg.parse(text),
+			scope_sizes = {};
+
+		(records.scope || []).forEach(function (scope) {
+			if (undefined !== scope.sym) {
+				scope_sizes[scope.sym] = scope.size;
+			}
+		});
+
+		(records.sym || []).forEach(function (sym) {
+			// Imports are listed again by the module exporting them
+			if (undefined === sym.val || sym.type === 'imp') {
+				return;
+			}
+			if (sym.type === 'lab') {
+				table.add(sym.name, sym.val, (undefined !== scope_sizes[sym.id]) ? scope_sizes[sym.id] : sym.size);
+			} else {
+				table.define(sym.name, sym.val);
+			}
+		});
+	};
+
+	/**
+	 * Load a VICE monitor label file: lines of "al [C:]address .label"
+	 * @param {String} text Contents of the label file
+	 */
+	this.load_vice = function (text) {
+		text.split(/\r?\n/).forEach(function (line, index) {
+			var match = /^\s*al\s+(?:[a-z0-9]+:)?([0-9a-f]+)\s+\.?(\S+)\s*$/i.exec(line);
+
+			if (match) {
+				table.add(match[2], parseInt(match[1], 16));
+			} else if (line.trim() !== '') {
+				throw new Error('Malformed VICE label file line ' + (index + 1) + ': ' + line);
+			}
+		});
+	};
+
+	/**
+	 * Load the exports list of a cc65 map file. Labels become symbols; equates
+	 * (constants such as segment sizes) are only resolved by name.
+	 * @param {String} text Contents of the map file
+	 */
+	this.load_cc65_map = function (text) {
+		var lines = text.split(/\r?\n/),
+			start = lines.indexOf('Exports list by name:'),
+			i, re, match;
+
+		if (start === -1) {
+			throw new Error('No exports list in map file');
+		}
+
+		// The list is two columns of "name value flags", ending at a blank line. The
+		// flags are R (or a space when nothing imports the symbol), then L for a label
+		// or E for an equate, then the address size.
+		for (i = start + 2; i < lines.length && lines[i].trim() !== ''; i++) {
+			re = /(\S+)\s+([0-9A-F]{6}) [ R]([A-Z])/g;
+			while ((match = re.exec(lines[i])) !== null) {
+				if (match[3] === 'L') {
+					table.add(match[1], parseInt(match[2], 16));
+				} else {
+					table.define(match[1], parseInt(match[2], 16));
+				}
+			}
+		}
+	};
+
+	/**
+	 * Load a list of "name = value" lines. Values are expressions in the assembler's
+	 * syntax and may refer to names defined earlier; ';' starts a comment.
+	 * @param {String} text Contents of the list
+	 */
+	this.load_list = function (text) {
+		text.split(/\r?\n/).forEach(function (line, index) {
+			var match = /^\s*([A-Za-z_.@][\w.@]*)\s*:?=\s*([^;]+?)\s*(;.*)?$/.exec(line),
+				value;
+
+			if (!match) {
+				if (line.replace(/;.*/, '').trim() !== '') {
+					throw new Error('Malformed symbol list line ' + (index + 1) + ': ' + line);
+				}
+				return;
+			}
+
+			value = assembler.evaluate(match[2], table.address_of, 0);
+			if (undefined === value) {
+				throw new Error('Undefined symbol in symbol list line ' + (index + 1) + ': ' + line);
+			}
+			table.add(match[1], value);
+		});
+	};
+
+	/**
+	 * Load a symbol file
+	 * @param {String} file Path of the file
+	 * @param {String} format 'ca65_dbg', 'vice', 'cc65_map' or 'list'; by default
+	 *     chosen from the extension: .dbg, .lbl/.labels/.vs, .map, anything else a list
+	 */
+	this.load_file = function (file, format) {
+		var text = fs.readFileSync(file, 'utf8');
+
+		format = format || {
+			'.dbg': 'ca65_dbg',
+			'.lbl': 'vice',
+			'.labels': 'vice',
+			'.vs': 'vice',
+			'.map': 'cc65_map'
+		}[path.extname(file).toLowerCase()] || 'list';
+
+		switch (format) {
+			case 'ca65_dbg':
+				return this.load_ca65_dbg(text);
+			case 'vice':
+				return this.load_vice(text);
+			case 'cc65_map':
+				return this.load_cc65_map(text);
+			case 'list':
+				return this.load_list(text);
+			default:
+				throw new Error('Unknown symbol file format ' + format);
+		}
+	};
+
+}
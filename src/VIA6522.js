@@ -0,0 +1,677 @@
+/**
+ * 6522 Versatile Interface Adapter
+ *
+ * A bus device of sixteen registers, mapped at offsets 0-15:
+ *
+ *   0  ORB/IRB   port B            8  T2C-L  timer 2 latch / counter low
+ *   1  ORA/IRA   port A            9  T2C-H  timer 2 counter high
+ *   2  DDRB                        10  SR     shift register
+ *   3  DDRA                        11  ACR    auxiliary control
+ *   4  T1C-L     timer 1 counter   12  PCR    peripheral control
+ *   5  T1C-H                       13  IFR    interrupt flags
+ *   6  T1L-L     timer 1 latch     14  IER    interrupt enable
+ *   7  T1L-H                       15  ORA/IRA without handshake
+ *
+ * The timers count down once per CPU cycle. Timer 1 runs one-shot or free-running
+ * (reloading from its latch every N + 2 cycles) and can drive PB7; timer 2 runs
+ * one-shot or counts falling edges on PB6. The shift register shifts in or out on
+ * CB2, clocked by timer 2 (a bit every 2 * (N + 2) cycles, N being the T2 latch
+ * low byte), every other cycle or by rising edges on CB1; CB1 is not driven as a
+ * clock output. Port A and B have data direction registers, input latching on
+ * CA1/CB1, and CA2/CB2 handshake, pulse and manual outputs.
+ *
+ * An interrupt flag that is set while enabled in IER asserts the CPU's IRQ line,
+ * which is released once every enabled flag is cleared.
+ *
+ * The VIA is clocked from the CPU's cycle counter (see CPU6502).
+ *
+ * @param {CPU6502} cpu CPU whose cycles clock the VIA and whose IRQ line it drives
+ * @param {Object} options Optional settings:
+ *     read_a, read_b: called on a read of a port, return the levels of its pins
+ *         (default 0xff); pins programmed as outputs read the output register instead
+ *     write_a, write_b: called with the output pin levels and the data direction
+ *         register whenever either changes; PB7 counts as an output while timer 1
+ *         drives it
+ *     ca2, cb2: called with the level of CA2/CB2 when it changes as an output
+ *     shift_out: called with each byte the shift register has shifted out
+ *     name: interrupt source name (default 'via')
+ */
+
+var devices = require('./devices');
+
+var IFR_CA2 = 0x01,
+	IFR_CA1 = 0x02,
+	IFR_SR = 0x04,
+	IFR_CB2 = 0x08,
+	IFR_CB1 = 0x10,
+	IFR_T2 = 0x20,
+	IFR_T1 = 0x40;
+
+module.exports = function VIA6522(cpu, options) {
+
+	"use strict";
+
+	options = options || {};
+
+	var via = this,
+		name = options.name || 'via',
+		irq = devices.irq_output(cpu, name),
+		s = {
+			cycle: cpu.cycles, // CPU cycle the VIA has caught up with
+			ora: 0,
+			orb: 0,
+			ddra: 0,
+			ddrb: 0,
+			ira_latch: 0,
+			irb_latch: 0,
+			t1_counter: 0xffff,
+			t1_latch: 0xffff,
+			t1_armed: false, // a one-shot underflow still to interrupt
+			pb7: 1,
+			t2_counter: 0xffff,
+			t2_latch_low: 0xff,
+			t2_armed: false,
+			sr: 0,
+			sr_bits: 0, // bits shifted of the current byte
+			sr_timer: 0, // cycles until the next shift
+			sr_running: false,
+			acr: 0,
+			pcr: 0,
+			ifr: 0,
+			ier: 0,
+			ca1: 0, // input line levels
+			ca2: 0,
+			cb1: 0,
+			cb2: 0,
+			pb6: 0,
+			ca2_out: 1, // output line levels
+			cb2_out: 1
+		};
+
+	/**
+	 * Assert or release the CPU IRQ line to match the enabled interrupt flags
+	 */
+	function update_irq() {
+		irq.set(s.ifr & s.ier & 0x7f);
+	}
+
+	/**
+	 * Tell the outside world about new port A output pin levels
+	 */
+	function notify_a() {
+		if (options.write_a) {
+			options.write_a(s.ora & s.ddra, s.ddra);
+		}
+	}
+
+	/**
+	 * Tell the outside world about new port B output pin levels
+	 */
+	function notify_b() {
+		var value = s.orb & s.ddrb,
+			ddr = s.ddrb;
+
+		if (s.acr & 0x80) {
+			value = (value & 0x7f) | (s.pb7 << 7);
+			ddr |= 0x80;
+		}
+		if (options.write_b) {
+			options.write_b(value, ddr);
+		}
+	}
+
+	/**
+	 * Drive CA2 or CB2 as an output
+	 * @param {String} line 'ca2' or 'cb2'
+	 * @param {Number} level 0 or 1
+	 */
+	function set_output(line, level) {
+		if (s[line + '_out'] !== level) {
+			s[line + '_out'] = level;
+			if (options[line]) {
+				options[line](level);
+			}
+		}
+	}
+
+	/**
+	 * Shift register mode, ACR bits 2-4: 0 disabled, 1-3 shift in under timer 2,
+	 * the clock or CB1, 4 shift out free-running under timer 2, 5-7 shift out under
+	 * timer 2, the clock or CB1
+	 */
+	function sr_mode() {
+		return (s.acr >> 2) & 7;
+	}
+
+	/**
+	 * Cycles per bit when the shift register is clocked internally, 0 if it is not
+	 */
+	function sr_period() {
+		switch (sr_mode()) {
+			case 1:
+			case 4:
+			case 5:
+				return ((s.t2_latch_low & 0xff) + 2) * 2;
+			case 2:
+			case 6:
+				return 2;
+			default:
+				return 0;
+		}
+	}
+
+	/**
+	 * Start shifting a byte, after the shift register is read or written
+	 */
+	function start_sr() {
+		s.ifr &= ~IFR_SR;
+		s.sr_bits = 0;
+		s.sr_running = sr_mode() !== 0;
+		s.sr_timer = sr_period();
+	}
+
+	/**
+	 * Shift one bit in from CB2 or out onto it
+	 */
+	function shift() {
+		var mode = sr_mode(),
+			bit;
+
+		if (mode & 4) {
+			bit = s.sr >> 7;
+			s.sr = ((s.sr << 1) | bit) & 0xff;
+			set_output('cb2', bit);
+		} else {
+			s.sr = ((s.sr << 1) | s.cb2) & 0xff;
+		}
+
+		if (++s.sr_bits === 8) {
+			s.sr_bits = 0;
+			if ((mode & 4) && options.shift_out) {
+				options.shift_out(s.sr);
+			}
+			// Free-running output keeps going and never interrupts
+			if (mode !== 4) {
+				s.sr_running = false;
+				s.ifr |= IFR_SR;
+			}
+		}
+	}
+
+	/**
+	 * Count timer 1 down
+	 */
+	function run_t1(cycles) {
+		var period, underflows;
+
+		if (s.t1_counter < 0) {
+			// $FFFF just after a free-running underflow: the latch is loaded next
+			cycles -= 1;
+			s.t1_counter = s.t1_latch;
+		}
+		if (cycles <= s.t1_counter) {
+			s.t1_counter -= cycles;
+			return;
+		}
+		cycles -= s.t1_counter + 1; // the counter has passed 0 to $FFFF
+
+		if (s.acr & 0x40) {
+			// Free-running: reloaded from the latch on the cycle after each underflow
+			period = s.t1_latch + 2;
+			underflows = 1 + Math.floor(cycles / period);
+			cycles %= period;
+			s.t1_counter = cycles ? s.t1_latch - (cycles - 1) : -1;
+			s.ifr |= IFR_T1;
+			s.pb7 ^= underflows & 1;
+		} else {
+			// One-shot: interrupts once, then keeps counting down from $FFFF
+			s.t1_counter = 0xffff - (cycles % 0x10000);
+			if (s.t1_armed) {
+				s.t1_armed = false;
+				s.ifr |= IFR_T1;
+				s.pb7 = 1;
+			}
+		}
+	}
+
+	/**
+	 * Count timer 2 down, unless it is counting PB6 pulses
+	 */
+	function run_t2(cycles) {
+		if (s.acr & 0x20) {
+			return;
+		}
+		if (cycles <= s.t2_counter) {
+			s.t2_counter -= cycles;
+			return;
+		}
+		cycles -= s.t2_counter + 1;
+		s.t2_counter = 0xffff - (cycles % 0x10000);
+		if (s.t2_armed) {
+			s.t2_armed = false;
+			s.ifr |= IFR_T2;
+		}
+	}
+
+	/**
+	 * Run the shift register, if it is shifting on its own clock
+	 */
+	function run_sr(cycles) {
+		var period = sr_period();
+
+		if (!s.sr_running || !period) {
+			return;
+		}
+		while (s.sr_running && cycles >= s.sr_timer) {
+			cycles -= s.sr_timer;
+			s.sr_timer = period;
+			shift();
+		}
+		if (s.sr_running) {
+			s.sr_timer -= cycles;
+		}
+	}
+
+	/**
+	 * Catch up with the CPU's cycle counter
+	 */
+	this.sync = function () {
+		var cycles = cpu.cycles - s.cycle,
+			pb7 = s.pb7;
+
+		s.cycle = cpu.cycles;
+		if (cycles <= 0) {
+			return; // nothing to do, or the CPU's counter was set back
+		}
+
+		run_t1(cycles);
+		run_t2(cycles);
+		run_sr(cycles);
+
+		if (pb7 !== s.pb7 && (s.acr & 0x80)) {
+			notify_b();
+		}
+		update_irq();
+	};
+
+	function on_clock() {
+		via.sync();
+	}
+
+	cpu.on('clock', on_clock);
+
+	/**
+	 * Stop following the CPU's cycles. The IRQ line is released.
+	 */
+	this.detach = function () {
+		cpu.off('clock', on_clock);
+		irq.set(false);
+	};
+
+	/**
+	 * Port A pin levels: the output register on output pins, the pins (or their levels
+	 * latched on CA1) on input pins
+	 */
+	function read_port_a() {
+		var pins = (s.acr & 0x01) ? s.ira_latch : (options.read_a ? options.read_a() : 0xff);
+		return ((s.ora & s.ddra) | (pins & ~s.ddra)) & 0xff;
+	}
+
+	/**
+	 * Port B pin levels, as for port A, with PB7 from timer 1 when it drives it
+	 */
+	function read_port_b() {
+		var pins = (s.acr & 0x02) ? s.irb_latch : (options.read_b ? options.read_b() : 0xff),
+			value = ((s.orb & s.ddrb) | (pins & ~s.ddrb)) & 0xff;
+
+		return (s.acr & 0x80) ? (value & 0x7f) | (s.pb7 << 7) : value;
+	}
+
+	/**
+	 * Whether a C2 control mode (PCR bits) makes it an independent interrupt input,
+	 * whose flag port accesses leave alone
+	 */
+	function independent(mode) {
+		return (mode & 5) === 1;
+	}
+
+	/**
+	 * Clear the port A flags and run the CA2 handshake after a read or write of ORA
+	 */
+	function access_port_a() {
+		var mode = (s.pcr >> 1) & 7;
+
+		s.ifr &= ~(IFR_CA1 | (independent(mode) ? 0 : IFR_CA2));
+		if (mode === 4) {
+			set_output('ca2', 0); // back high on the next active CA1 edge
+		} else if (mode === 5) {
+			set_output('ca2', 0); // pulse
+			set_output('ca2', 1);
+		}
+	}
+
+	/**
+	 * Clear the port B flags after a read or write of ORB, and run the CB2 handshake
+	 * after a write
+	 */
+	function access_port_b(write) {
+		var mode = (s.pcr >> 5) & 7;
+
+		s.ifr &= ~(IFR_CB1 | (independent(mode) ? 0 : IFR_CB2));
+		if (write && mode === 4) {
+			set_output('cb2', 0);
+		} else if (write && mode === 5) {
+			set_output('cb2', 0);
+			set_output('cb2', 1);
+		}
+	}
+
+	/**
+	 * Set CA2 and CB2 to the levels their PCR modes call for
+	 */
+	function apply_pcr() {
+		['ca2', 'cb2'].forEach(function (line, index) {
+			var mode = (s.pcr >> (index ? 5 : 1)) & 7;
+
+			if (mode === 6) {
+				set_output(line, 0);
+			} else if (mode === 5 || mode === 7) {
+				set_output(line, 1);
+			}
+		});
+	}
+
+	/**
+	 * Read a register
+	 * @param {Number} offset Register, 0-15
+	 * @return {Number} value
+	 */
+	this.read = function (offset) {
+		var value;
+
+		this.sync();
+
+		switch (offset & 15) {
+			case 0:
+				value = read_port_b();
+				access_port_b(false);
+				break;
+			case 1:
+				value = read_port_a();
+				access_port_a();
+				break;
+			case 2:
+				value = s.ddrb;
+				break;
+			case 3:
+				value = s.ddra;
+				break;
+			case 4:
+				value = s.t1_counter & 0xff; // -1 reads as $FFFF
+				s.ifr &= ~IFR_T1;
+				break;
+			case 5:
+				value = (s.t1_counter >> 8) & 0xff;
+				break;
+			case 6:
+				value = s.t1_latch & 0xff;
+				break;
+			case 7:
+				value = s.t1_latch >> 8;
+				break;
+			case 8:
+				value = s.t2_counter & 0xff;
+				s.ifr &= ~IFR_T2;
+				break;
+			case 9:
+				value = (s.t2_counter >> 8) & 0xff;
+				break;
+			case 10:
+				value = s.sr;
+				start_sr();
+				break;
+			case 11:
+				value = s.acr;
+				break;
+			case 12:
+				value = s.pcr;
+				break;
+			case 13:
+				value = s.ifr | ((s.ifr & s.ier & 0x7f) ? 0x80 : 0);
+				break;
+			case 14:
+				value = s.ier | 0x80;
+				break;
+			case 15:
+				value = read_port_a();
+				break;
+		}
+
+		update_irq();
+		return value;
+	};
+
+	/**
+	 * Write a register
+	 * @param {Number} offset Register, 0-15
+	 * @param {Number} value Value
+	 */
+	this.write = function (offset, value) {
+		this.sync();
+
+		switch (offset & 15) {
+			case 0:
+				s.orb = value;
+				notify_b();
+				access_port_b(true);
+				break;
+			case 1:
+				s.ora = value;
+				notify_a();
+				access_port_a();
+				break;
+			case 2:
+				s.ddrb = value;
+				notify_b();
+				break;
+			case 3:
+				s.ddra = value;
+				notify_a();
+				break;
+			case 4:
+			case 6:
+				s.t1_latch = (s.t1_latch & 0xff00) | value;
+				break;
+			case 5:
+				s.t1_latch = (value << 8) | (s.t1_latch & 0xff);
+				s.t1_counter = s.t1_latch + 1; // loaded on the next cycle
+				s.t1_armed = true;
+				s.ifr &= ~IFR_T1;
+				if (s.acr & 0x80) {
+					s.pb7 = 0;
+					notify_b();
+				}
+				break;
+			case 7:
+				s.t1_latch = (value << 8) | (s.t1_latch & 0xff);
+				s.ifr &= ~IFR_T1;
+				break;
+			case 8:
+				s.t2_latch_low = value;
+				break;
+			case 9:
+				// Counting pulses takes no cycles to load
+				s.t2_counter = ((value << 8) | s.t2_latch_low) + ((s.acr & 0x20) ? 0 : 1);
+				s.t2_armed = true;
+				s.ifr &= ~IFR_T2;
+				break;
+			case 10:
+				s.sr = value;
+				start_sr();
+				break;
+			case 11:
+				s.acr = value;
+				if (sr_mode() === 0) {
+					s.sr_running = false;
+				}
+				notify_b();
+				break;
+			case 12:
+				s.pcr = value;
+				apply_pcr();
+				break;
+			case 13:
+				s.ifr &= ~(value & 0x7f);
+				break;
+			case 14:
+				if (value & 0x80) {
+					s.ier |= value & 0x7f;
+				} else {
+					s.ier &= ~value & 0x7f;
+				}
+				break;
+			case 15:
+				s.ora = value;
+				notify_a();
+				break;
+		}
+
+		update_irq();
+	};
+
+	/**
+	 * Drive CA1: its active edge (PCR bit 0) sets the CA1 flag, latches port A if
+	 * latching is enabled and completes a CA2 handshake
+	 * @param {Boolean} level High or low
+	 */
+	this.ca1 = function (level) {
+		level = level ? 1 : 0;
+		this.sync();
+		if (devices.active_edge(s.ca1, level, s.pcr & 0x01)) {
+			s.ifr |= IFR_CA1;
+			if (s.acr & 0x01) {
+				s.ira_latch = options.read_a ? options.read_a() : 0xff;
+			}
+			if (((s.pcr >> 1) & 7) === 4) {
+				set_output('ca2', 1);
+			}
+		}
+		s.ca1 = level;
+		update_irq();
+	};
+
+	/**
+	 * Drive CA2, which only has an effect while it is an input
+	 * @param {Boolean} level High or low
+	 */
+	this.ca2 = function (level) {
+		level = level ? 1 : 0;
+		this.sync();
+		if (!(s.pcr & 0x08) && devices.active_edge(s.ca2, level, s.pcr & 0x04)) {
+			s.ifr |= IFR_CA2;
+		}
+		s.ca2 = level;
+		update_irq();
+	};
+
+	/**
+	 * Drive CB1: as CA1 for port B, and the shift register clock in the modes
+	 * clocked by CB1
+	 * @param {Boolean} level High or low
+	 */
+	this.cb1 = function (level) {
+		level = level ? 1 : 0;
+		this.sync();
+		if (devices.active_edge(s.cb1, level, s.pcr & 0x10)) {
+			s.ifr |= IFR_CB1;
+			if (s.acr & 0x02) {
+				s.irb_latch = options.read_b ? options.read_b() : 0xff;
+			}
+			if (((s.pcr >> 5) & 7) === 4) {
+				set_output('cb2', 1);
+			}
+		}
+		if (s.sr_running && (sr_mode() & 3) === 3 && devices.active_edge(s.cb1, level, true)) {
+			shift();
+		}
+		s.cb1 = level;
+		update_irq();
+	};
+
+	/**
+	 * Drive CB2: the shift register's input, and an interrupt input while it is not
+	 * an output
+	 * @param {Boolean} level High or low
+	 */
+	this.cb2 = function (level) {
+		level = level ? 1 : 0;
+		this.sync();
+		if (!(s.pcr & 0x80) && devices.active_edge(s.cb2, level, s.pcr & 0x40)) {
+			s.ifr |= IFR_CB2;
+		}
+		s.cb2 = level;
+		update_irq();
+	};
+
+	/**
+	 * Drive PB6: timer 2 counts its falling edges when ACR bit 5 is set
+	 * @param {Boolean} level High or low
+	 */
+	this.pb6 = function (level) {
+		level = level ? 1 : 0;
+		this.sync();
+		if ((s.acr & 0x20) && devices.active_edge(s.pb6, level, false)) {
+			s.t2_counter = (s.t2_counter - 1) & 0xffff;
+			if (s.t2_counter === 0 && s.t2_armed) {
+				s.t2_armed = false;
+				s.ifr |= IFR_T2;
+			}
+		}
+		s.pb6 = level;
+		update_irq();
+	};
+
+	/**
+	 * Assert RES: clears the port, control and interrupt registers, leaving the
+	 * timers and the shift register alone
+	 */
+	this.reset = function () {
+		this.sync();
+		s.ora = s.orb = s.ddra = s.ddrb = 0;
+		s.acr = s.pcr = s.ifr = s.ier = 0;
+		s.sr_running = false;
+		notify_a();
+		notify_b();
+		update_irq();
+	};
+
+	/**
+	 * Capture the registers, timers and line levels, for Bus save states
+	 * @return {Object} JSON-serializable state
+	 */
+	this.saveState = function () {
+		this.sync();
+		return Object.assign({}, s);
+	};
+
+	/**
+	 * Check that a state can be restored, throwing if not
+	 * @param {Object} state State
+	 */
+	this.validateState = function (state) {
+		devices.check_state(state, Object.keys(s), 'VIA');
+	};
+
+	/**
+	 * Restore a state captured by saveState()
+	 * @param {Object} state State
+	 */
+	this.loadState = function (state) {
+		this.validateState(state);
+		Object.keys(s).forEach(function (key) {
+			s[key] = state[key];
+		});
+		irq.restore(s.ifr & s.ier & 0x7f);
+	};
+
+}
@@ -0,0 +1,789 @@
+/**
+ * Two-pass 6502 assembler
+ *
+ * Accepts ca65-style source:
+ *
+ *   label:          global label
+ *   @local:         local label, scoped to the preceding global label
+ *   name = expr     constant
+ *   .org expr       set the location counter (also written * = expr)
+ *   .byte expr,...  bytes; string arguments emit one byte per character
+ *   .word expr,...  little-endian words
+ *   .res count[,fill]  reserve count bytes
+ *   .include "file" assemble another file in place
+ *
+ * Expressions support decimal, $hex, %binary and 'c' character literals, symbols,
+ * * for the current address, the unary operators - ~ < (low byte) > (high byte),
+ * the binary operators * / % + - << >> & ^ | and parentheses.
+ */
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+
+var hex = require('./hex');
+var opcodes = require('./opcodes');
+
+var BRANCHES = ['BCC', 'BCS', 'BEQ', 'BMI', 'BNE', 'BPL', 'BVC', 'BVS', 'BRA'];
+
+/**
+ * Build a mnemonic -> addressing mode -> opcode map from an opcode table. Where
+ * several opcodes share a mnemonic and mode, a documented one is preferred.
+ * @param {Array} table Opcode table
+ * @return {Object} map
+ */
+function build_opcode_map(table) {
+	var map = {};
+
+	table.forEach(function (entry, opcode) {
+		if (entry) {
+			map[entry.mnemonic] = map[entry.mnemonic] || {};
+			if (undefined === map[entry.mnemonic][entry.mode] ||
+				(table[map[entry.mnemonic][entry.mode]].undocumented && !entry.undocumented)) {
+				map[entry.mnemonic][entry.mode] = opcode;
+			}
+		}
+	});
+
+	return map;
+}
+
+/**
+ * Remove a trailing comment, ignoring semicolons inside string and character literals
+ * @param {String} line Source line
+ * @return {String} line without its comment
+ */
+function strip_comment(line) {
+	var quote = null,
+		i, c;
+
+	for (i = 0; i < line.length; i++) {
+		c = line[i];
+		if (quote) {
+			if (c === '\\') {
+				i++;
+			} else if (c === quote) {
+				quote = null;
+			}
+		} else if (c === '"') {
+			quote = c;
+		} else if (c === '\'' && line[i + 2] === '\'') {
+			// Character literal
+			i += 2;
+		} else if (c === ';') {
+			return line.substr(0, i);
+		}
+	}
+
+	return line;
+}
+
+/**
+ * Split a list of arguments on the commas that are not inside parentheses or quotes
+ * @param {String} text Argument list
+ * @return {Array} trimmed arguments
+ */
+function split_arguments(text) {
+	var args = [],
+		depth = 0,
+		quote = null,
+		start = 0,
+		i, c;
+
+	for (i = 0; i < text.length; i++) {
+		c = text[i];
+		if (quote) {
+			if (c === '\\') {
+				i++;
+			} else if (c === quote) {
+				quote = null;
+			}
+		} else if (c === '"') {
+			quote = c;
+		} else if (c === '\'' && text[i + 2] === '\'') {
+			i += 2;
+		} else if (c === '(') {
+			depth++;
+		} else if (c === ')') {
+			depth--;
+		} else if (c === ',' && depth === 0) {
+			args.push(text.substring(start, i).trim());
+			start = i + 1;
+		}
+	}
+	args.push(text.substring(start).trim());
+
+	return args;
+}
+
+/**
+ * Decode the escape sequences of a string literal
+ * @param {String} literal String literal including its quotes
+ * @return {Array} character codes
+ */
+function string_bytes(literal) {
+	var bytes = [],
+		escapes = { n: 10, r: 13, t: 9, '0': 0, '\\': 92, '"': 34 },
+		i, c;
+
+	for (i = 1; i < literal.length - 1; i++) {
+		c = literal[i];
+		if (c === '\\' && i + 1 < literal.length - 1) {
+			i++;
+			c = literal[i];
+			bytes.push((undefined !== escapes[c]) ? escapes[c] : c.charCodeAt(0));
+		} else {
+			bytes.push(c.charCodeAt(0) & 0xff);
+		}
+	}
+
+	return bytes;
+}
+
+/**
+ * Split an expression into tokens
+ * @param {String} text Expression
+ * @return {Array} tokens
+ */
+function tokenize(text) {
+	var tokens = [],
+		re = /\s*(\$[0-9a-fA-F]+|%[01]+|[0-9]+|'.'|[@A-Za-z_][\w@]*|<<|>>|[-+*\/%&|^~<>()])/y,
+		match;
+
+	re.lastIndex = 0;
+	while (re.lastIndex < text.length) {
+		if (/^\s*$/.test(text.substr(re.lastIndex))) {
+			break;
+		}
+		match = re.exec(text);
+		if (!match) {
+			throw new Error('Syntax error in expression "' + text + '"');
+		}
+		tokens.push(match[1]);
+	}
+
+	return tokens;
+}
+
+/**
+ * Evaluate an expression
+ * @param {String} text Expression
+ * @param {Function} resolve Called with a symbol name, returns its value or undefined
+ * @param {Number} pc Value of *
+ * @return {Number} value, or undefined if it refers to a symbol that is not defined (yet)
+ */
+function evaluate(text, resolve, pc) {
+	var tokens = tokenize(text),
+		pos = 0,
+		unresolved = false,
+		levels = [['|'], ['^'], ['&'], ['<<', '>>'], ['+', '-'], ['*', '/', '%']],
+		value;
+
+	function binary(level) {
+		var left, right, op;
+
+		if (level === levels.length) {
+			return unary();
+		}
+
+		left = binary(level + 1);
+		while (pos < tokens.length && levels[level].indexOf(tokens[pos]) !== -1) {
+			op = tokens[pos++];
+			right = binary(level + 1);
+			switch (op) {
+				case '|': left = left | right; break;
+				case '^': left = left ^ right; break;
+				case '&': left = left & right; break;
+				case '<<': left = left << right; break;
+				case '>>': left = left >> right; break;
+				case '+': left = left + right; break;
+				case '-': left = left - right; break;
+				case '*': left = left * right; break;
+				case '/': left = right ? Math.trunc(left / right) : 0; break;
+				case '%': left = right ? left % right : 0; break;
+			}
+		}
+
+		return left;
+	}
+
+	function unary() {
+		var token = tokens[pos++];
+
+		switch (token) {
+			case '-':
+				return -unary();
+			case '~':
+				return ~unary() & 0xffff;
+			case '<':
+				return unary() & 0xff;
+			case '>':
+				return (unary() >> 8) & 0xff;
+			case '+':
+				return unary();
+			default:
+				return primary(token);
+		}
+	}
+
+	function primary(token) {
+		var result;
+
+		if (undefined === token) {
+			throw new Error('Unexpected end of expression "' + text + '"');
+		} else if (token === '(') {
+			result = binary(0);
+			if (tokens[pos++] !== ')') {
+				throw new Error('Missing ) in expression "' + text + '"');
+			}
+			return result;
+		} else if (token === '*') {
+			return pc;
+		} else if (token[0] === '$') {
+			return parseInt(token.substr(1), 16);
+		} else if (token[0] === '%') {
+			return parseInt(token.substr(1), 2);
+		} else if (token[0] === '\'') {
+			return token.charCodeAt(1);
+		} else if (/^[0-9]/.test(token)) {
+			return parseInt(token, 10);
+		} else if (/^[@A-Za-z_]/.test(token)) {
+			result = resolve(token);
+			if (undefined === result) {
+				unresolved = true;
+				return 0;
+			}
+			return result;
+		}
+
+		throw new Error('Unexpected "' + token + '" in expression "' + text + '"');
+	}
+
+	value = binary(0);
+	if (pos < tokens.length) {
+		throw new Error('Unexpected "' + tokens[pos] + '" in expression "' + text + '"');
+	}
+
+	return unresolved ? undefined : value;
+}
+
+/**
+ * Classify an instruction operand by its syntax
+ * @param {String} operand Operand text
+ * @return {Object} kind ('none', 'accumulator', 'immediate', 'direct', 'indirect',
+ *     'indexedindirect' or 'indirectindexed'), index register for 'direct' and the expression
+ */
+function parse_operand(operand) {
+	var match;
+
+	if (operand === '') {
+		return { kind: 'none' };
+	}
+	if (/^[aA]$/.test(operand)) {
+		return { kind: 'accumulator' };
+	}
+	if (operand[0] === '#') {
+		return { kind: 'immediate', expr: operand.substr(1).trim() };
+	}
+	if ((match = /^\((.*),\s*[xX]\s*\)$/.exec(operand))) {
+		return { kind: 'indexedindirect', expr: match[1].trim() };
+	}
+	if ((match = /^\((.*)\)\s*,\s*[yY]$/.exec(operand)) && balanced(match[1])) {
+		return { kind: 'indirectindexed', expr: match[1].trim() };
+	}
+	if ((match = /^\((.*)\)$/.exec(operand)) && balanced(match[1])) {
+		return { kind: 'indirect', expr: match[1].trim() };
+	}
+	if ((match = /^(.*),\s*([xXyY])$/.exec(operand))) {
+		return { kind: 'direct', index: match[2].toLowerCase(), expr: match[1].trim() };
+	}
+
+	return { kind: 'direct', index: null, expr: operand };
+}
+
+/**
+ * Check that the parentheses in an expression are balanced
+ */
+function balanced(text) {
+	var depth = 0,
+		i;
+
+	for (i = 0; i < text.length; i++) {
+		if (text[i] === '(') {
+			depth++;
+		} else if (text[i] === ')' && --depth < 0) {
+			return false;
+		}
+	}
+
+	return depth === 0;
+}
+
+/**
+ * Assemble a program
+ * @param {String} source Source code
+ * @param {Object} options Optional settings:
+ *     file: name of the source file, used in error messages and to resolve .include
+ *     read_file: called with a path, returns the file's contents (defaults to fs.readFileSync)
+ *     table: opcode table to assemble for (defaults to the NMOS table)
+ *     fill: value of bytes in the image that no statement wrote (defaults to 0)
+ * @return {Object} result with properties:
+ *     start: lowest address written
+ *     image: Uint8Array of the bytes from start to the highest address written
+ *     segments: array of { address, bytes } for each contiguous run of output
+ *     symbols: map of symbol name to value (local labels appear as global@local)
+ *     symbol_table_lookup: function mapping an address to a symbol name, for CPU6502
+ *     lines: array of { file, line, address, bytes, source, instruction } for each source
+ *         line, where instruction is true for lines assembling an instruction
+ *     listing: the lines rendered as text
+ */
+function assemble(source, options) {
+	options = options || {};
+
+	var read_file = options.read_file || function (file) {
+			return fs.readFileSync(file, 'utf8');
+		},
+		opcode_map = build_opcode_map(options.table || opcodes.NMOS),
+		statements = [],
+		symbols = {},
+		memory = new Uint8Array(65536),
+		written = new Uint8Array(65536),
+		lines = [],
+		pass, pc;
+
+	/**
+	 * Split source into statements, expanding .include
+	 */
+	function parse(text, file, depth) {
+		var scope = '';
+
+		if (depth > 16) {
+			throw new Error(file + ': .include nested too deeply');
+		}
+
+		text.split(/\r?\n/).forEach(function (raw, index) {
+			var statement = { file: file, line: index + 1, source: raw, labels: [] },
+				rest = strip_comment(raw).trim(),
+				match, include;
+
+			statement.error = function (message) {
+				return new Error(file + ':' + (index + 1) + ': ' + message);
+			};
+
+			// Constants
+			if ((match = /^([A-Za-z_][\w]*)\s*(?:=|\.set\b|\bequ\b)\s*(.+)$/i.exec(rest))) {
+				statement.constant = match[1];
+				statement.expr = match[2].trim();
+				statement.scope = scope;
+				statements.push(statement);
+				return;
+			}
+			if ((match = /^\*\s*=\s*(.+)$/.exec(rest))) {
+				rest = '.org ' + match[1];
+			}
+
+			// Labels
+			while ((match = /^(@?[A-Za-z_][\w]*):\s*/.exec(rest))) {
+				if (match[1][0] === '@') {
+					statement.labels.push(scope + match[1]);
+				} else {
+					scope = match[1];
+					statement.labels.push(match[1]);
+				}
+				rest = rest.substr(match[0].length);
+			}
+			statement.scope = scope;
+
+			if ((match = /^(\.?[A-Za-z][A-Za-z0-9]*)\s*(.*)$/.exec(rest))) {
+				statement.op = match[1].toUpperCase();
+				statement.args = match[2].trim();
+			} else if (rest !== '') {
+				throw statement.error('Syntax error "' + rest + '"');
+			}
+
+			if (statement.op === '.INCLUDE') {
+				if (!(match = /^"(.*)"$/.exec(statement.args))) {
+					throw statement.error('.include expects a quoted file name');
+				}
+				include = path.resolve(path.dirname(file), match[1]);
+				statement.op = undefined;
+				statements.push(statement);
+				parse(read_file(include), include, depth + 1);
+				return;
+			}
+
+			statements.push(statement);
+		});
+	}
+
+	/**
+	 * Look up a symbol from within a statement's scope
+	 */
+	function resolver(statement) {
+		return function (name) {
+			return symbols[(name[0] === '@') ? statement.scope + name : name];
+		};
+	}
+
+	/**
+	 * Evaluate an expression, which must be resolved in the second pass
+	 */
+	function value_of(statement, expr) {
+		var value;
+
+		try {
+			value = evaluate(expr, resolver(statement), pc);
+		} catch (e) {
+			throw statement.error(e.message);
+		}
+		if (undefined === value && pass === 2) {
+			throw statement.error('Undefined symbol in "' + expr + '"');
+		}
+
+		return value;
+	}
+
+	/**
+	 * Define a label or constant
+	 */
+	function define(statement, name, value) {
+		if (pass === 1 && undefined !== symbols[name]) {
+			throw statement.error('Duplicate symbol ' + name);
+		}
+		symbols[name] = value;
+	}
+
+	/**
+	 * Choose the opcode and addressing mode of an instruction. The choice made in
+	 * the first pass is kept in the second so that addresses do not move.
+	 */
+	function select_mode(statement) {
+		var modes = opcode_map[statement.op],
+			operand = parse_operand(statement.args),
+			value, zeropage, absolute;
+
+		if (undefined === modes) {
+			throw statement.error('Unknown instruction ' + statement.op);
+		}
+
+		switch (operand.kind) {
+			case 'none':
+				if (modes.implied !== undefined) {
+					return { mode: 'implied' };
+				}
+				if (modes.accumulator !== undefined) {
+					return { mode: 'accumulator' };
+				}
+				break;
+			case 'accumulator':
+				if (modes.accumulator !== undefined) {
+					return { mode: 'accumulator' };
+				}
+				break;
+			case 'immediate':
+			case 'indirectindexed':
+				if (modes[operand.kind] !== undefined) {
+					return { mode: operand.kind, expr: operand.expr };
+				}
+				break;
+			case 'indexedindirect':
+				if (modes.indexedindirect !== undefined) {
+					return { mode: 'indexedindirect', expr: operand.expr };
+				}
+				if (modes.absoluteindexedindirect !== undefined) {
+					return { mode: 'absoluteindexedindirect', expr: operand.expr };
+				}
+				break;
+			case 'indirect':
+				if (modes.indirect !== undefined) {
+					return { mode: 'indirect', expr: operand.expr };
+				}
+				if (modes.zeropageindirect !== undefined) {
+					return { mode: 'zeropageindirect', expr: operand.expr };
+				}
+				break;
+			case 'direct':
+				if (modes.zeropagerelative !== undefined) {
+					// BBR & BBS: zero page address, branch target
+					value = split_arguments(statement.args);
+					if (value.length === 2) {
+						return { mode: 'zeropagerelative', expr: value[0], target: value[1] };
+					}
+					break;
+				}
+				if (BRANCHES.indexOf(statement.op) !== -1 && !operand.index) {
+					return { mode: 'relative', expr: operand.expr };
+				}
+
+				zeropage = operand.index ? 'zeropage,' + operand.index : 'zeropage';
+				absolute = operand.index ? 'absolute,' + operand.index : 'absolute';
+				value = value_of(statement, operand.expr);
+
+				if (modes[zeropage] !== undefined && (modes[absolute] === undefined ||
+					(undefined !== value && value >= 0 && value < 256))) {
+					return { mode: zeropage, expr: operand.expr };
+				}
+				if (modes[absolute] !== undefined) {
+					return { mode: absolute, expr: operand.expr };
+				}
+				break;
+		}
+
+		throw statement.error('Invalid addressing mode for ' + statement.op + ' "' + statement.args + '"');
+	}
+
+	/**
+	 * Work out the bytes of an instruction
+	 */
+	function encode_instruction(statement) {
+		var choice = statement.choice,
+			opcode = opcode_map[statement.op][choice.mode],
+			length = opcodes.operand_length(choice.mode),
+			value, offset;
+
+		if (length === 0) {
+			return [opcode];
+		}
+
+		value = value_of(statement, choice.expr);
+		if (undefined === value) {
+			// Forward reference in the first pass: only the size matters
+			return new Array(length + 1).fill(0);
+		}
+
+		if (choice.mode === 'relative') {
+			offset = value - ((pc + 2) & 0xffff);
+			if (offset < -128 || offset > 127) {
+				throw statement.error('Branch target out of range (' + offset + ' bytes)');
+			}
+			return [opcode, offset & 0xff];
+		}
+
+		if (choice.mode === 'zeropagerelative') {
+			if (value < 0 || value > 255) {
+				throw statement.error('Value $' + hex(value & 0xffffffff, 0) + ' is not a zero page address');
+			}
+			offset = value_of(statement, choice.target);
+			if (undefined === offset) {
+				return [opcode, 0, 0];
+			}
+			offset -= (pc + 3) & 0xffff;
+			if (offset < -128 || offset > 127) {
+				throw statement.error('Branch target out of range (' + offset + ' bytes)');
+			}
+			return [opcode, value, offset & 0xff];
+		}
+
+		if (length === 1) {
+			if (value < -128 || value > 255) {
+				throw statement.error('Value $' + hex(value & 0xffffffff, 0) + ' does not fit in a byte');
+			}
+			return [opcode, value & 0xff];
+		}
+
+		if (value < 0 || value > 0xffff) {
+			throw statement.error('Value $' + hex(value & 0xffffffff, 0) + ' does not fit in a word');
+		}
+		return [opcode, value & 0xff, value >> 8];
+	}
+
+	/**
+	 * Work out the bytes of a data directive
+	 */
+	function encode_directive(statement) {
+		var bytes = [],
+			count, fill;
+
+		switch (statement.op) {
+			case '.BYTE':
+			case '.BYT':
+				split_arguments(statement.args).forEach(function (arg) {
+					var value;
+					if (arg[0] === '"') {
+						Array.prototype.push.apply(bytes, string_bytes(arg));
+					} else {
+						value = value_of(statement, arg);
+						if (undefined !== value && (value < -128 || value > 255)) {
+							throw statement.error('Value $' + hex(value & 0xffffffff, 0) + ' does not fit in a byte');
+						}
+						bytes.push((value || 0) & 0xff);
+					}
+				});
+				return bytes;
+			case '.WORD':
+			case '.ADDR':
+				split_arguments(statement.args).forEach(function (arg) {
+					var value = value_of(statement, arg) || 0;
+					bytes.push(value & 0xff, (value >> 8) & 0xff);
+				});
+				return bytes;
+			case '.RES':
+				count = split_arguments(statement.args);
+				fill = (count.length > 1) ? (value_of(statement, count[1]) || 0) : 0;
+				count = value_of(statement, count[0]);
+				if (undefined === count) {
+					throw statement.error('.res count must be known in the first pass');
+				}
+				return new Array(count).fill(fill & 0xff);
+			default:
+				throw statement.error('Unknown directive ' + statement.op);
+		}
+	}
+
+	/**
+	 * Run one pass over the statements
+	 */
+	function run_pass() {
+		pc = 0;
+
+		statements.forEach(function (statement) {
+			var address = pc,
+				bytes = [],
+				value;
+
+			statement.labels.forEach(function (label) {
+				define(statement, label, pc);
+			});
+
+			if (statement.constant) {
+				define(statement, statement.constant, value_of(statement, statement.expr));
+			} else if (statement.op === '.ORG') {
+				value = value_of(statement, statement.args);
+				if (undefined === value) {
+					throw statement.error('.org address must be known in the first pass');
+				}
+				pc = address = value & 0xffff;
+			} else if (statement.op && statement.op[0] === '.') {
+				bytes = encode_directive(statement);
+			} else if (statement.op) {
+				if (pass === 1) {
+					statement.choice = select_mode(statement);
+				}
+				bytes = encode_instruction(statement);
+			}
+
+			if (pass === 2) {
+				bytes.forEach(function (byte, i) {
+					memory[(address + i) & 0xffff] = byte;
+					written[(address + i) & 0xffff] = 1;
+				});
+				lines.push({
+					file: statement.file,
+					line: statement.line,
+					address: address,
+					bytes: bytes,
+					source: statement.source,
+					instruction: !!statement.op && statement.op[0] !== '.'
+				});
+			}
+
+			pc = (pc + bytes.length) & 0xffff;
+		});
+	}
+
+	parse(source, options.file || '<source>', 0);
+
+	pass = 1;
+	run_pass();
+	// Constants that referred forward are undefined after the first pass
+	Object.keys(symbols).forEach(function (name) {
+		if (undefined === symbols[name]) {
+			delete symbols[name];
+		}
+	});
+	pass = 2;
+	run_pass();
+
+	return build_result(memory, written, symbols, lines, options.fill || 0);
+}
+
+/**
+ * Package the output of assemble()
+ */
+function build_result(memory, written, symbols, lines, fill) {
+	var segments = [],
+		by_address = {},
+		start = -1,
+		end = -1,
+		addr, image, segment_start;
+
+	for (addr = 0; addr < 65536; addr++) {
+		if (written[addr]) {
+			if (start < 0) {
+				start = addr;
+			}
+			end = addr;
+			if (undefined === segment_start) {
+				segment_start = addr;
+			}
+		}
+		if (undefined !== segment_start && (!written[addr] || addr === 65535)) {
+			segments.push({
+				address: segment_start,
+				bytes: memory.slice(segment_start, written[addr] ? addr + 1 : addr)
+			});
+			segment_start = undefined;
+		}
+	}
+
+	image = (start < 0) ? new Uint8Array(0) : memory.slice(start, end + 1);
+	for (addr = start; addr >= 0 && addr <= end; addr++) {
+		if (!written[addr]) {
+			image[addr - start] = fill;
+		}
+	}
+
+	// Map addresses back to names, preferring global labels over locals and the
+	// first symbol defined for an address
+	Object.keys(symbols).forEach(function (name) {
+		var value = symbols[name];
+		if (value >= 0 && value <= 0xffff && (undefined === by_address[value] ||
+			(by_address[value].indexOf('@') !== -1 && name.indexOf('@') === -1))) {
+			by_address[value] = name;
+		}
+	});
+
+	return {
+		start: Math.max(start, 0),
+		image: image,
+		segments: segments,
+		symbols: symbols,
+		symbol_table_lookup: function (addr) {
+			return by_address[addr];
+		},
+		lines: lines,
+		listing: format_listing(lines)
+	};
+}
+
+/**
+ * Render listing lines as text: address, up to four bytes per row and the source
+ * @param {Array} lines Listing lines
+ * @return {String} listing
+ */
+function format_listing(lines) {
+	var text = [];
+
+	lines.forEach(function (line) {
+		var i = 0,
+			chunk;
+
+		do {
+			chunk = line.bytes.slice(i, i + 4).map(function (byte) { return hex(byte, 2); }).join(' ');
+			while (chunk.length < 12) {
+				chunk += ' ';
+			}
+			text.push((line.bytes.length ? hex((line.address + i) & 0xffff, 4) : '    ') + '  ' + chunk +
+				((i === 0) ? line.source : ''));
+			i += 4;
+		} while (i < line.bytes.length);
+	});
+
+	return text.join('\n') + '\n';
+}
+
+module.exports = {
+	assemble: assemble,
+	evaluate: evaluate
+};
@@ -0,0 +1,125 @@
+/**
+ * Reader for the debug information files written by the cc65 linker (ld65 --dbgfile)
+ *
+ * A debug file holds one record per line: a record type, a tab, then comma
+ * separated key=value pairs, e.g.
+ *
+ *   seg	id=0,name="CODE",start=0x000200,size=0x0010,addrsize=absolute,type=ro
+ *   span	id=0,seg=0,start=0,size=2
+ *   line	id=4,file=0,line=12,span=0
+ */
+
+"use strict";
+
+/**
+ * Convert a value from a debug file: quoted strings are unquoted, numbers (decimal
+ * or 0x hex) are converted, and lists of ids joined with '+' become arrays
+ * @param {String} value Raw value
+ * @return {String|Number|Array} value
+ */
+function parse_value(value) {
+	if (value[0] === '"') {
+		return value.slice(1, -1);
+	}
+	if (/^(0x[0-9a-f]+|\d+)(\+(0x[0-9a-f]+|\d+))+$/i.test(value)) {
+		return value.split('+').map(Number);
+	}
+	if (/^(0x[0-9a-f]+|\d+)$/i.test(value)) {
+		return Number(value);
+	}
+	return value;
+}
+
+/**
+ * Split the fields of a record, leaving commas inside quoted strings alone
+ * @param {String} text Fields of a record
+ * @return {Object} field name -> value
+ */
+function parse_fields(text) {
+	var fields = {},
+		re = /([a-z]+)=("[^"]*"|[^,]*)/g,
+		match;
+
+	while ((match = re.exec(text)) !== null) {
+		fields[match[1]] = parse_value(match[2]);
+	}
+	return fields;
+}
+
+/**
+ * Parse a debug file into its records
+ * @param {String} text Contents of the debug file
+ * @return {Object} record type (e.g. 'file', 'seg', 'span', 'line', 'sym') -> array
+ *     of records indexed by id
+ */
+function parse(text) {
+	var records = {};
+
+	text.split(/\r?\n/).forEach(function (line, index) {
+		var match = /^(\w+)\t(.*)$/.exec(line),
+			fields;
+
+		if (!match) {
+			if (line.trim() !== '') {
+				throw new Error('Malformed debug file line ' + (index + 1) + ': ' + line);
+			}
+			return;
+		}
+
+		fields = parse_fields(match[2]);
+		records[match[1]] = records[match[1]] || [];
+		if (undefined !== fields.id) {
+			records[match[1]][fields.id] = fields;
+		} else {
+			records[match[1]].push(fields);
+		}
+	});
+
+	if (!records.version || records.version[0].major !== 2) {
+		throw new Error('Unsupported debug file version');
+	}
+
+	return records;
+}
+
+/**
+ * Address range a span covers
+ * @param {Object} records Parsed debug file
+ * @param {Number} id Span id
+ * @return {Object} { address, size }
+ */
+function span_range(records, id) {
+	var span = records.span[id],
+		seg = records.seg[span.seg];
+
+	return { address: (seg.start + span.start) & 0xffff, size: span.size };
+}
+
+/**
+ * List the address ranges each source line assembled to
+ * @param {Object} records Parsed debug file
+ * @return {Array} { file, line, address, size } for each range
+ */
+function line_map(records) {
+	var lines = [];
+
+	(records.line || []).forEach(function (record) {
+		var file = records.file[record.file];
+
+		if (undefined === record.span || !file) {
+			return;
+		}
+		[].concat(record.span).forEach(function (id) {
+			var range = span_range(records, id);
+			lines.push({ file: file.name, line: record.line, address: range.address, size: range.size });
+		});
+	});
+
+	return lines;
+}
+
+module.exports = {
+	parse: parse,
+	span_range: span_range,
+	line_map: line_map
+};
@@ -0,0 +1,71 @@
+/**
+ * Helpers shared by the peripheral chip devices (PIA6821, VIA6522, ACIA6551)
+ */
+
+"use strict";
+
+/**
+ * Whether a transition of a control line is the active one
+ * @param {Number} from Previous level, 0 or 1
+ * @param {Number} to New level, 0 or 1
+ * @param {Boolean} rising Truthy if the rising edge is active, falsy for the falling one
+ * @return {Boolean} whether the line made its active transition
+ */
+function active_edge(from, to, rising) {
+	return from !== to && (rising ? to === 1 : to === 0);
+}
+
+/**
+ * Interrupt output of a device, wired to the IRQ line of a CPU as a named source.
+ * The CPU is only told about changes of level.
+ * @param {CPU6502} cpu CPU whose IRQ line it drives; without one the output is
+ *     not connected
+ * @param {String} name Interrupt source name
+ * @return {Object} output with set(asserted), and restore(asserted) to tell the
+ *     CPU the level whether or not it changed, e.g. after loading a save state
+ */
+function irq_output(cpu, name) {
+	var asserted = false;
+
+	function drive(level) {
+		asserted = level;
+		if (cpu) {
+			cpu.irq(name, level);
+		}
+	}
+
+	return {
+		set: function (level) {
+			if (!!level !== asserted) {
+				drive(!!level);
+			}
+		},
+		restore: function (level) {
+			drive(!!level);
+		}
+	};
+}
+
+/**
+ * Check that a save state has a value for every field of a device's state, before
+ * any of it is restored
+ * @param {Object} state Save state
+ * @param {Array} fields Names of the fields the state must have
+ * @param {String} device Device name, for the error message
+ */
+function check_state(state, fields, device) {
+	if (!state || typeof state !== 'object') {
+		throw new Error(device + ' save state is missing');
+	}
+	fields.forEach(function (key) {
+		if (undefined === state[key]) {
+			throw new Error(device + ' save state lacks ' + key);
+		}
+	});
+}
+
+module.exports = {
+	active_edge: active_edge,
+	irq_output: irq_output,
+	check_state: check_state
+};
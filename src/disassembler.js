@@ -0,0 +1,191 @@
+/**
+ * 6502 disassembler
+ *
+ * Decodes memory without executing it, using the same opcode tables as CPU6502,
+ * and renders the result as ca65-compatible source.
+ */
+
+"use strict";
+
+var hex = require('./hex');
+var opcodes = require('./opcodes');
+
+/**
+ * Format an operand address, substituting its symbol when there is one
+ * @param {Number} addr Address
+ * @param {Number} digits 2 for zero page, 4 otherwise
+ * @param {Function} symbol_table_lookup Symbol lookup, may be undefined
+ * @return {String} symbol or $-prefixed hex
+ */
+function format_address(addr, digits, symbol_table_lookup) {
+	var symbol = symbol_table_lookup ? symbol_table_lookup(addr) : undefined;
+	return (undefined !== symbol) ? symbol : '$' + hex(addr, digits);
+}
+
+/**
+ * Format the operand of a decoded instruction in ca65 syntax
+ * @param {Object} record Instruction record
+ * @param {Function} symbol_table_lookup Symbol lookup, may be undefined
+ * @return {String} operand text, empty for implied instructions
+ */
+function format_operand(record, symbol_table_lookup) {
+	var operand = record.operand;
+
+	switch (record.mode) {
+		case 'implied':
+			return '';
+		case 'accumulator':
+			return 'A';
+		case 'immediate':
+			return '#$' + hex(operand, 2);
+		case 'zeropage':
+			return format_address(operand, 2, symbol_table_lookup);
+		case 'zeropage,x':
+			return format_address(operand, 2, symbol_table_lookup) + ',X';
+		case 'zeropage,y':
+			return format_address(operand, 2, symbol_table_lookup) + ',Y';
+		case 'absolute':
+			return format_address(operand, 4, symbol_table_lookup);
+		case 'absolute,x':
+			return format_address(operand, 4, symbol_table_lookup) + ',X';
+		case 'absolute,y':
+			return format_address(operand, 4, symbol_table_lookup) + ',Y';
+		case 'indirect':
+			return '(' + format_address(operand, 4, symbol_table_lookup) + ')';
+		case 'indexedindirect':
+			return '(' + format_address(operand, 2, symbol_table_lookup) + ',X)';
+		case 'indirectindexed':
+			return '(' + format_address(operand, 2, symbol_table_lookup) + '),Y';
+		case 'relative':
+			return format_address(record.target, 4, symbol_table_lookup);
+		case 'zeropageindirect':
+			return '(' + format_address(operand, 2, symbol_table_lookup) + ')';
+		case 'absoluteindexedindirect':
+			return '(' + format_address(operand, 4, symbol_table_lookup) + ',X)';
+		case 'zeropagerelative':
+			return format_address(operand, 2, symbol_table_lookup) + ', ' + format_address(record.target, 4, symbol_table_lookup);
+		default:
+			throw new Error('Cannot format invalid address mode ' + record.mode);
+	}
+}
+
+/**
+ * Decode a single instruction
+ * @param {Function} read_byte Called with an address, returns the byte stored there
+ * @param {Number} addr Address of the opcode
+ * @param {Object} options See disassemble()
+ * @return {Object} instruction record
+ */
+function decode(read_byte, addr, options) {
+	var table = options.table || opcodes.NMOS,
+		opcode = read_byte(addr),
+		entry = table[opcode],
+		record = {
+			address: addr,
+			bytes: [opcode],
+			mnemonic: undefined,
+			mode: undefined,
+			operand: undefined,
+			target: undefined,
+			text: ''
+		},
+		length, i;
+
+	if (undefined === entry) {
+		// Not an instruction: emit it as data
+		record.text = '.byte $' + hex(opcode, 2);
+		return record;
+	}
+
+	record.mnemonic = entry.mnemonic;
+	record.mode = entry.mode;
+
+	length = opcodes.operand_length(entry.mode);
+	for (i = 1; i <= length; i++) {
+		record.bytes.push(read_byte((addr + i) & 0xffff));
+	}
+
+	if (length === 1) {
+		record.operand = record.bytes[1];
+	} else if (length === 2) {
+		record.operand = record.bytes[1] + (record.bytes[2] * 256);
+	}
+
+	if (entry.mode === 'relative') {
+		record.target = (addr + 2 + ((record.operand < 0x80) ? record.operand : record.operand - 256)) & 0xffff;
+	} else if (entry.mode === 'zeropagerelative') {
+		// BBR & BBS: the operand is the zero page address, followed by the branch offset
+		record.operand = record.bytes[1];
+		record.target = (addr + 3 + ((record.bytes[2] < 0x80) ? record.bytes[2] : record.bytes[2] - 256)) & 0xffff;
+	}
+
+	record.text = entry.mnemonic;
+	if (entry.mode !== 'implied') {
+		record.text += ' ' + format_operand(record, options.symbol_table_lookup);
+	}
+
+	return record;
+}
+
+/**
+ * Disassemble a number of consecutive instructions
+ * @param {Function} read_byte Called with an address, returns the byte stored there
+ * @param {Number} start_addr Address of the first opcode
+ * @param {Number} count Number of instructions to decode
+ * @param {Object} options Optional settings:
+ *     symbol_table_lookup: called with an address, returns its symbol name or undefined
+ *     table: opcode table to decode with (defaults to the NMOS table, see opcodes.VARIANTS)
+ * @return {Array} instruction records with address, bytes, mnemonic, mode, operand,
+ *     target (branch destination) and text (ca65 source) properties
+ */
+function disassemble(read_byte, start_addr, count, options) {
+	var records = [],
+		addr = start_addr & 0xffff,
+		record;
+
+	options = options || {};
+
+	while (records.length < count) {
+		record = decode(read_byte, addr, options);
+		records.push(record);
+		addr = (addr + record.bytes.length) & 0xffff;
+	}
+
+	return records;
+}
+
+/**
+ * Render instruction records as a ca65 source listing. Addresses with a symbol get
+ * a label line; every instruction carries its address and bytes as a comment.
+ * @param {Array} records Instruction records returned by disassemble()
+ * @param {Object} options Optional settings:
+ *     symbol_table_lookup: called with an address, returns its symbol name or undefined
+ * @return {String} listing
+ */
+function format_listing(records, options) {
+	var symbol_table_lookup = (options || {}).symbol_table_lookup,
+		lines = [];
+
+	records.forEach(function (record) {
+		var label = symbol_table_lookup ? symbol_table_lookup(record.address) : undefined,
+			source = record.text;
+
+		if (undefined !== label) {
+			lines.push(label + ':');
+		}
+
+		while (source.length < 24) {
+			source += ' ';
+		}
+		lines.push('        ' + source + '; $' + hex(record.address, 4) + ' ' +
+			record.bytes.map(function (byte) { return hex(byte, 2); }).join(' '));
+	});
+
+	return lines.join('\n') + '\n';
+}
+
+module.exports = {
+	disassemble: disassemble,
+	decode: decode,
+	format_listing: format_listing
+};
@@ -0,0 +1,20 @@
+/**
+ * Hex formatting shared by the disassembler, assembler, tracers, loaders and
+ * debugging tools
+ */
+
+"use strict";
+
+/**
+ * Format a number as fixed-width upper case hex
+ * @param {Number} value Value to format
+ * @param {Number} digits Minimum number of digits
+ * @return {String} hex string, without a prefix
+ */
+module.exports = function hex(value, digits) {
+	var str = value.toString(16).toUpperCase();
+	while (str.length < digits) {
+		str = '0' + str;
+	}
+	return str;
+};
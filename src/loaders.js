@@ -0,0 +1,371 @@
+/**
+ * Program image loaders
+ *
+ * Parse the common 6502 program file formats into images and store them into
+ * memory:
+ *
+ *   Intel HEX     records of :LLAAAATT<data>CC, as written by most assemblers and
+ *                 EPROM programmers
+ *   S-record      Motorola S1/S2/S3 records, ending with an S9/S8/S7 entry point
+ *   PRG           Commodore program file: a little-endian load address, then the data
+ *   raw           a plain binary, loaded at a given address
+ *
+ * An image has the same shape as the result of assembler.assemble(), so assembled
+ * programs can be stored the same way:
+ *
+ *   { segments: [{ address, bytes }], entry: entry point, if the file gives one }
+ */
+
+"use strict";
+
+var fs = require('fs');
+var path = require('path');
+
+var hex = require('./hex');
+
+/**
+ * Collect bytes into segments, extending the last segment when the bytes follow on
+ * directly
+ */
+function add_bytes(segments, address, bytes) {
+	var last = segments[segments.length - 1],
+		joined;
+
+	if (address + bytes.length > 0x10000) {
+		throw new Error('Data at $' + hex(address, 4) + ' extends beyond the 64K address space');
+	}
+
+	if (last && last.address + last.bytes.length === address) {
+		joined = new Uint8Array(last.bytes.length + bytes.length);
+		joined.set(last.bytes);
+		joined.set(bytes, last.bytes.length);
+		last.bytes = joined;
+	} else if (bytes.length) {
+		segments.push({ address: address, bytes: Uint8Array.from(bytes) });
+	}
+}
+
+/**
+ * Decode the hex digits of a record into bytes
+ * @param {String} digits Hex digits
+ * @param {String} where Format and line number, for error messages
+ * @return {Array} bytes
+ */
+function decode_hex(digits, where) {
+	var bytes = [],
+		i;
+
+	if (!/^([0-9a-f]{2})+$/i.test(digits)) {
+		throw new Error(where + ': invalid hex digits');
+	}
+	for (i = 0; i < digits.length; i += 2) {
+		bytes.push(parseInt(digits.substr(i, 2), 16));
+	}
+	return bytes;
+}
+
+/**
+ * Parse an Intel HEX file. Extended segment and linear address records are
+ * supported as long as the data stays within 64K.
+ * @param {String} text Contents of the file
+ * @return {Object} image
+ */
+function parse_intel_hex(text) {
+	var image = { segments: [], entry: undefined },
+		data_sizes = { 2: 2, 3: 4, 4: 2, 5: 4 }, // bytes of data the address records hold
+		base = 0,
+		ended = false;
+
+	text.split(/\r?\n/).forEach(function (line, index) {
+		var where = 'Intel HEX line ' + (index + 1),
+			bytes, sum, length, address, type, data;
+
+		line = line.trim();
+		if (ended || line === '') {
+			return;
+		}
+		if (line[0] !== ':') {
+			throw new Error(where + ': record does not start with ":"');
+		}
+
+		bytes = decode_hex(line.slice(1), where);
+		length = bytes[0];
+		if (bytes.length < 5 || bytes.length !== length + 5) {
+			throw new Error(where + ': record length ' + length + ' does not match its ' + (bytes.length - 5) + ' data bytes');
+		}
+		sum = bytes.reduce(function (total, byte) {
+			return total + byte;
+		}, 0);
+		if (sum & 0xff) {
+			throw new Error(where + ': checksum mismatch (record has $' + hex(bytes[bytes.length - 1], 2) +
+				', expected $' + hex((bytes[bytes.length - 1] - sum) & 0xff, 2) + ')');
+		}
+
+		address = bytes[1] * 256 + bytes[2];
+		type = bytes[3];
+		data = bytes.slice(4, -1);
+		if (undefined !== data_sizes[type] && data.length !== data_sizes[type]) {
+			throw new Error(where + ': record type $' + hex(type, 2) + ' needs ' + data_sizes[type] +
+				' data bytes, not ' + data.length);
+		}
+
+		switch (type) {
+			case 0x00: // data
+				add_bytes(image.segments, base + address, data);
+				break;
+			case 0x01: // end of file
+				ended = true;
+				break;
+			case 0x02: // extended segment address
+				base = (data[0] * 256 + data[1]) * 16;
+				break;
+			case 0x03: // start segment address, CS:IP
+				image.entry = ((data[0] * 256 + data[1]) * 16 + data[2] * 256 + data[3]) & 0xffff;
+				break;
+			case 0x04: // extended linear address
+				base = (data[0] * 256 + data[1]) * 65536;
+				break;
+			case 0x05: // start linear address
+				image.entry = data[2] * 256 + data[3];
+				break;
+			default:
+				throw new Error(where + ': unknown record type $' + hex(type, 2));
+		}
+	});
+
+	if (!ended) {
+		throw new Error('Intel HEX file has no end of file record; it may be truncated');
+	}
+
+	return image;
+}
+
+/**
+ * Parse a Motorola S-record file. The S5/S6 record count, if present, is checked
+ * against the number of data records, and the file must end with an S7/S8/S9 record.
+ * @param {String} text Contents of the file
+ * @return {Object} image
+ */
+function parse_srec(text) {
+	var image = { segments: [], entry: undefined },
+		address_sizes = { 0: 2, 1: 2, 2: 3, 3: 4, 5: 2, 6: 3, 7: 4, 8: 3, 9: 2 },
+		data_records = 0,
+		ended = false;
+
+	text.split(/\r?\n/).forEach(function (line, index) {
+		var where = 'S-record line ' + (index + 1),
+			type, size, bytes, sum, address, i;
+
+		line = line.trim();
+		if (line === '') {
+			return;
+		}
+		if (!/^S[0-9]/.test(line)) {
+			throw new Error(where + ': record does not start with S and a type digit');
+		}
+
+		type = Number(line[1]);
+		size = address_sizes[type];
+		if (undefined === size) {
+			throw new Error(where + ': unknown record type S' + type);
+		}
+
+		bytes = decode_hex(line.slice(2), where);
+		if (bytes[0] !== bytes.length - 1 || bytes[0] < size + 1) {
+			throw new Error(where + ': byte count ' + bytes[0] + ' does not match the record\'s ' + (bytes.length - 1) + ' bytes');
+		}
+		sum = bytes.slice(0, -1).reduce(function (total, byte) {
+			return total + byte;
+		}, 0);
+		if (((~sum) & 0xff) !== bytes[bytes.length - 1]) {
+			throw new Error(where + ': checksum mismatch (record has $' + hex(bytes[bytes.length - 1], 2) +
+				', expected $' + hex((~sum) & 0xff, 2) + ')');
+		}
+
+		address = 0;
+		for (i = 1; i <= size; i++) {
+			address = address * 256 + bytes[i];
+		}
+
+		switch (type) {
+			case 1:
+			case 2:
+			case 3:
+				add_bytes(image.segments, address, bytes.slice(size + 1, -1));
+				data_records++;
+				break;
+			case 5:
+			case 6:
+				if (address !== data_records) {
+					throw new Error(where + ': record count ' + address + ' does not match the ' + data_records +
+						' data records read; the file may be truncated');
+				}
+				break;
+			case 7:
+			case 8:
+			case 9:
+				if (address > 0xffff) {
+					throw new Error(where + ': entry point $' + hex(address, 8) + ' is beyond the 64K address space');
+				}
+				image.entry = address;
+				ended = true;
+				break;
+			// S0 is a header, ignored
+		}
+	});
+
+	if (!ended) {
+		throw new Error('S-record file has no S7, S8 or S9 end record; it may be truncated');
+	}
+
+	return image;
+}
+
+/**
+ * Parse a Commodore PRG file
+ * @param {Uint8Array} data Contents of the file
+ * @return {Object} image; PRG files have no entry point
+ */
+function parse_prg(data) {
+	var image = { segments: [], entry: undefined };
+
+	if (data.length < 2) {
+		throw new Error('PRG file is too short to hold a load address');
+	}
+	add_bytes(image.segments, data[0] + data[1] * 256, data.subarray(2));
+	return image;
+}
+
+/**
+ * Make an image of a raw binary
+ * @param {Uint8Array} data Contents of the file
+ * @param {Number} offset Address to load it at (default 0)
+ * @return {Object} image; raw binaries have no entry point
+ */
+function parse_raw(data, offset) {
+	var image = { segments: [], entry: undefined };
+
+	add_bytes(image.segments, offset || 0, data);
+	return image;
+}
+
+/**
+ * Store a byte. Bus RAM and ROM are written directly, so that ROM contents can
+ * be loaded; anything else goes through the bus.
+ */
+function store_byte(target, addr, value) {
+	var region;
+
+	if (typeof target === 'function') {
+		target(addr, value);
+	} else if (typeof target.region_at === 'function') {
+		region = target.region_at(addr);
+		if (region && region.data) {
+			region.data[addr - region.start] = value;
+		} else if (region && region.banks) {
+			region.banks[region.bank][addr - region.start] = value;
+		} else {
+			target.write_byte(addr, value);
+		}
+	} else {
+		target[addr] = value;
+	}
+}
+
+/**
+ * Store an image into memory
+ * @param {Object} image Image from one of the parsers, or an assembler result
+ * @param {Uint8Array|Bus|Function} target 64K memory array, Bus, or a function
+ *     called with (addr, value) for each byte
+ * @param {Object} options Optional settings:
+ *     entry: entry point to use instead of the image's own (needed for PRG and raw)
+ *     reset_vector: true to point the reset vector at $FFFC at the entry point
+ *     cpu: CPU6502 whose PC is set to the entry point
+ * @return {Number} entry point, undefined if there is none
+ */
+function load(image, target, options) {
+	var entry;
+
+	options = options || {};
+	entry = (undefined !== options.entry) ? options.entry : image.entry;
+
+	image.segments.forEach(function (segment) {
+		segment.bytes.forEach(function (value, offset) {
+			store_byte(target, segment.address + offset, value);
+		});
+	});
+
+	if (options.reset_vector || options.cpu) {
+		if (undefined === entry) {
+			throw new Error('The image has no entry point; set options.entry');
+		}
+		if (options.reset_vector) {
+			store_byte(target, 0xfffc, entry & 0xff);
+			store_byte(target, 0xfffd, entry >> 8);
+		}
+		if (options.cpu) {
+			options.cpu.PC = entry;
+		}
+	}
+
+	return entry;
+}
+
+/**
+ * Read and parse a program file
+ * @param {String} file Path of the file
+ * @param {Object} options Optional settings:
+ *     format: 'intel_hex', 'srec', 'prg' or 'raw'; by default chosen from the
+ *         extension: .hex/.ihx, .s19/.s28/.s37/.srec/.mot, .prg, anything else raw
+ *     offset: load address of a raw binary (default 0)
+ * @return {Object} image
+ */
+function read_file(file, options) {
+	var format;
+
+	options = options || {};
+	format = options.format || {
+		'.hex': 'intel_hex',
+		'.ihx': 'intel_hex',
+		'.s19': 'srec',
+		'.s28': 'srec',
+		'.s37': 'srec',
+		'.srec': 'srec',
+		'.mot': 'srec',
+		'.prg': 'prg'
+	}[path.extname(file).toLowerCase()] || 'raw';
+
+	switch (format) {
+		case 'intel_hex':
+			return parse_intel_hex(fs.readFileSync(file, 'utf8'));
+		case 'srec':
+			return parse_srec(fs.readFileSync(file, 'utf8'));
+		case 'prg':
+			return parse_prg(fs.readFileSync(file));
+		case 'raw':
+			return parse_raw(fs.readFileSync(file), options.offset);
+		default:
+			throw new Error('Unknown program file format ' + format);
+	}
+}
+
+/**
+ * Read a program file and store it into memory
+ * @param {String} file Path of the file
+ * @param {Uint8Array|Bus|Function} target Where to store it, as for load()
+ * @param {Object} options Optional settings of read_file() and load()
+ * @return {Number} entry point, undefined if there is none
+ */
+function load_file(file, target, options) {
+	return load(read_file(file, options), target, options);
+}
+
+module.exports = {
+	parse_intel_hex: parse_intel_hex,
+	parse_srec: parse_srec,
+	parse_prg: parse_prg,
+	parse_raw: parse_raw,
+	load: load,
+	read_file: read_file,
+	load_file: load_file
+};
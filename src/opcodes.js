@@ -0,0 +1,405 @@
+/**
+ * Opcode tables for the 6502
+ *
+ * Each table has 256 entries indexed by opcode. Valid opcodes map to an object
+ * holding the mnemonic, addressing mode, base number of cycles, whether an
+ * indexed read costs an extra cycle when it crosses a page boundary and whether
+ * the opcode is undocumented; invalid opcodes map to undefined.
+ *
+ * The 65C02 tables are built by laying the CMOS additions and changes over the
+ * NMOS entries. Opcodes the 65C02 leaves undefined execute as NOPs of various
+ * lengths and timings there, so every one of them has an entry.
+ */
+
+"use strict";
+
+/**
+ * Build a 256-entry opcode table
+ * @param {Array} entries [opcode, mnemonic, addressing mode, cycles, page penalty, undocumented] tuples
+ * @return {Array} opcode table
+ */
+function build_table(entries) {
+	var table = new Array(256);
+
+	entries.forEach(function (entry) {
+		table[entry[0]] = {
+			mnemonic: entry[1],
+			mode: entry[2],
+			cycles: entry[3],
+			page_penalty: !!entry[4],
+			undocumented: !!entry[5]
+		};
+	});
+
+	return table;
+}
+
+/**
+ * Number of operand bytes that follow the opcode in each addressing mode
+ * @param {String} mode Addressing mode
+ * @return {Number} 0, 1 or 2
+ */
+function operand_length(mode) {
+	switch (mode) {
+		case 'implied':
+		case 'accumulator':
+			return 0;
+		case 'absolute':
+		case 'absolute,x':
+		case 'absolute,y':
+		case 'indirect':
+		case 'absoluteindexedindirect':
+		case 'zeropagerelative':
+			return 2;
+		default:
+			return 1;
+	}
+}
+
+var NMOS_ENTRIES = [
+	[0x00, 'BRK', 'implied', 7],
+	[0x01, 'ORA', 'indexedindirect', 6],
+	[0x05, 'ORA', 'zeropage', 3],
+	[0x06, 'ASL', 'zeropage', 5],
+	[0x08, 'PHP', 'implied', 3],
+	[0x09, 'ORA', 'immediate', 2],
+	[0x0a, 'ASL', 'accumulator', 2],
+	[0x0d, 'ORA', 'absolute', 4],
+	[0x0e, 'ASL', 'absolute', 6],
+	[0x10, 'BPL', 'relative', 2],
+	[0x11, 'ORA', 'indirectindexed', 5, true],
+	[0x15, 'ORA', 'zeropage,x', 4],
+	[0x16, 'ASL', 'zeropage,x', 6],
+	[0x18, 'CLC', 'implied', 2],
+	[0x19, 'ORA', 'absolute,y', 4, true],
+	[0x1d, 'ORA', 'absolute,x', 4, true],
+	[0x1e, 'ASL', 'absolute,x', 7],
+	[0x20, 'JSR', 'absolute', 6],
+	[0x21, 'AND', 'indexedindirect', 6],
+	[0x24, 'BIT', 'zeropage', 3],
+	[0x25, 'AND', 'zeropage', 3],
+	[0x26, 'ROL', 'zeropage', 5],
+	[0x28, 'PLP', 'implied', 4],
+	[0x29, 'AND', 'immediate', 2],
+	[0x2a, 'ROL', 'accumulator', 2],
+	[0x2c, 'BIT', 'absolute', 4],
+	[0x2d, 'AND', 'absolute', 4],
+	[0x2e, 'ROL', 'absolute', 6],
+	[0x30, 'BMI', 'relative', 2],
+	[0x31, 'AND', 'indirectindexed', 5, true],
+	[0x35, 'AND', 'zeropage,x', 4],
+	[0x36, 'ROL', 'zeropage,x', 6],
+	[0x38, 'SEC', 'implied', 2],
+	[0x39, 'AND', 'absolute,y', 4, true],
+	[0x3d, 'AND', 'absolute,x', 4, true],
+	[0x3e, 'ROL', 'absolute,x', 7],
+	[0x40, 'RTI', 'implied', 6],
+	[0x41, 'EOR', 'indexedindirect', 6],
+	[0x45, 'EOR', 'zeropage', 3],
+	[0x46, 'LSR', 'zeropage', 5],
+	[0x48, 'PHA', 'implied', 3],
+	[0x49, 'EOR', 'immediate', 2],
+	[0x4a, 'LSR', 'accumulator', 2],
+	[0x4c, 'JMP', 'absolute', 3],
+	[0x4d, 'EOR', 'absolute', 4],
+	[0x4e, 'LSR', 'absolute', 6],
+	[0x50, 'BVC', 'relative', 2],
+	[0x51, 'EOR', 'indirectindexed', 5, true],
+	[0x55, 'EOR', 'zeropage,x', 4],
+	[0x56, 'LSR', 'zeropage,x', 6],
+	[0x58, 'CLI', 'implied', 2],
+	[0x59, 'EOR', 'absolute,y', 4, true],
+	[0x5d, 'EOR', 'absolute,x', 4, true],
+	[0x5e, 'LSR', 'absolute,x', 7],
+	[0x60, 'RTS', 'implied', 6],
+	[0x61, 'ADC', 'indexedindirect', 6],
+	[0x65, 'ADC', 'zeropage', 3],
+	[0x66, 'ROR', 'zeropage', 5],
+	[0x68, 'PLA', 'implied', 4],
+	[0x69, 'ADC', 'immediate', 2],
+	[0x6a, 'ROR', 'accumulator', 2],
+	[0x6c, 'JMP', 'indirect', 5],
+	[0x6d, 'ADC', 'absolute', 4],
+	[0x6e, 'ROR', 'absolute', 6],
+	[0x70, 'BVS', 'relative', 2],
+	[0x71, 'ADC', 'indirectindexed', 5, true],
+	[0x75, 'ADC', 'zeropage,x', 4],
+	[0x76, 'ROR', 'zeropage,x', 6],
+	[0x78, 'SEI', 'implied', 2],
+	[0x79, 'ADC', 'absolute,y', 4, true],
+	[0x7d, 'ADC', 'absolute,x', 4, true],
+	[0x7e, 'ROR', 'absolute,x', 7],
+	[0x81, 'STA', 'indexedindirect', 6],
+	[0x84, 'STY', 'zeropage', 3],
+	[0x85, 'STA', 'zeropage', 3],
+	[0x86, 'STX', 'zeropage', 3],
+	[0x88, 'DEY', 'implied', 2],
+	[0x8a, 'TXA', 'implied', 2],
+	[0x8c, 'STY', 'absolute', 4],
+	[0x8d, 'STA', 'absolute', 4],
+	[0x8e, 'STX', 'absolute', 4],
+	[0x90, 'BCC', 'relative', 2],
+	[0x91, 'STA', 'indirectindexed', 6],
+	[0x94, 'STY', 'zeropage,x', 4],
+	[0x95, 'STA', 'zeropage,x', 4],
+	[0x96, 'STX', 'zeropage,y', 4],
+	[0x98, 'TYA', 'implied', 2],
+	[0x99, 'STA', 'absolute,y', 5],
+	[0x9a, 'TXS', 'implied', 2],
+	[0x9d, 'STA', 'absolute,x', 5],
+	[0xa0, 'LDY', 'immediate', 2],
+	[0xa1, 'LDA', 'indexedindirect', 6],
+	[0xa2, 'LDX', 'immediate', 2],
+	[0xa4, 'LDY', 'zeropage', 3],
+	[0xa5, 'LDA', 'zeropage', 3],
+	[0xa6, 'LDX', 'zeropage', 3],
+	[0xa8, 'TAY', 'implied', 2],
+	[0xa9, 'LDA', 'immediate', 2],
+	[0xaa, 'TAX', 'implied', 2],
+	[0xac, 'LDY', 'absolute', 4],
+	[0xad, 'LDA', 'absolute', 4],
+	[0xae, 'LDX', 'absolute', 4],
+	[0xb0, 'BCS', 'relative', 2],
+	[0xb1, 'LDA', 'indirectindexed', 5, true],
+	[0xb4, 'LDY', 'zeropage,x', 4],
+	[0xb5, 'LDA', 'zeropage,x', 4],
+	[0xb6, 'LDX', 'zeropage,y', 4],
+	[0xb8, 'CLV', 'implied', 2],
+	[0xb9, 'LDA', 'absolute,y', 4, true],
+	[0xba, 'TSX', 'implied', 2],
+	[0xbc, 'LDY', 'absolute,x', 4, true],
+	[0xbd, 'LDA', 'absolute,x', 4, true],
+	[0xbe, 'LDX', 'absolute,y', 4, true],
+	[0xc0, 'CPY', 'immediate', 2],
+	[0xc1, 'CMP', 'indexedindirect', 6],
+	[0xc4, 'CPY', 'zeropage', 3],
+	[0xc5, 'CMP', 'zeropage', 3],
+	[0xc6, 'DEC', 'zeropage', 5],
+	[0xc8, 'INY', 'implied', 2],
+	[0xc9, 'CMP', 'immediate', 2],
+	[0xca, 'DEX', 'implied', 2],
+	[0xcc, 'CPY', 'absolute', 4],
+	[0xcd, 'CMP', 'absolute', 4],
+	[0xce, 'DEC', 'absolute', 6],
+	[0xd0, 'BNE', 'relative', 2],
+	[0xd1, 'CMP', 'indirectindexed', 5, true],
+	[0xd5, 'CMP', 'zeropage,x', 4],
+	[0xd6, 'DEC', 'zeropage,x', 6],
+	[0xd8, 'CLD', 'implied', 2],
+	[0xd9, 'CMP', 'absolute,y', 4, true],
+	[0xdd, 'CMP', 'absolute,x', 4, true],
+	[0xde, 'DEC', 'absolute,x', 7],
+	[0xe0, 'CPX', 'immediate', 2],
+	[0xe1, 'SBC', 'indexedindirect', 6],
+	[0xe4, 'CPX', 'zeropage', 3],
+	[0xe5, 'SBC', 'zeropage', 3],
+	[0xe6, 'INC', 'zeropage', 5],
+	[0xe8, 'INX', 'implied', 2],
+	[0xe9, 'SBC', 'immediate', 2],
+	[0xea, 'NOP', 'implied', 2],
+	[0xec, 'CPX', 'absolute', 4],
+	[0xed, 'SBC', 'absolute', 4],
+	[0xee, 'INC', 'absolute', 6],
+	[0xf0, 'BEQ', 'relative', 2],
+	[0xf1, 'SBC', 'indirectindexed', 5, true],
+	[0xf5, 'SBC', 'zeropage,x', 4],
+	[0xf6, 'INC', 'zeropage,x', 6],
+	[0xf8, 'SED', 'implied', 2],
+	[0xf9, 'SBC', 'absolute,y', 4, true],
+	[0xfd, 'SBC', 'absolute,x', 4, true],
+	[0xfe, 'INC', 'absolute,x', 7]
+];
+
+// Undocumented NMOS opcodes, used when CPU6502 is constructed with the undocumented option
+var UNDOCUMENTED_ENTRIES = [];
+
+// SLO, RLA, SRE, RRA, DCP & ISC share the addressing modes and timing of the RMW instructions
+[['SLO', 0x00], ['RLA', 0x20], ['SRE', 0x40], ['RRA', 0x60], ['DCP', 0xc0], ['ISC', 0xe0]].forEach(function (group) {
+	var mnemonic = group[0],
+		base = group[1];
+
+	UNDOCUMENTED_ENTRIES.push(
+		[base + 0x03, mnemonic, 'indexedindirect', 8, false, true],
+		[base + 0x07, mnemonic, 'zeropage', 5, false, true],
+		[base + 0x0f, mnemonic, 'absolute', 6, false, true],
+		[base + 0x13, mnemonic, 'indirectindexed', 8, false, true],
+		[base + 0x17, mnemonic, 'zeropage,x', 6, false, true],
+		[base + 0x1b, mnemonic, 'absolute,y', 7, false, true],
+		[base + 0x1f, mnemonic, 'absolute,x', 7, false, true]
+	);
+});
+
+UNDOCUMENTED_ENTRIES.push(
+	[0x83, 'SAX', 'indexedindirect', 6, false, true],
+	[0x87, 'SAX', 'zeropage', 3, false, true],
+	[0x8f, 'SAX', 'absolute', 4, false, true],
+	[0x97, 'SAX', 'zeropage,y', 4, false, true],
+	[0xa3, 'LAX', 'indexedindirect', 6, false, true],
+	[0xa7, 'LAX', 'zeropage', 3, false, true],
+	[0xaf, 'LAX', 'absolute', 4, false, true],
+	[0xb3, 'LAX', 'indirectindexed', 5, true, true],
+	[0xb7, 'LAX', 'zeropage,y', 4, false, true],
+	[0xbf, 'LAX', 'absolute,y', 4, true, true],
+	[0x0b, 'ANC', 'immediate', 2, false, true],
+	[0x2b, 'ANC', 'immediate', 2, false, true],
+	[0x4b, 'ALR', 'immediate', 2, false, true],
+	[0x6b, 'ARR', 'immediate', 2, false, true],
+	[0xcb, 'SBX', 'immediate', 2, false, true],
+	[0xeb, 'SBC', 'immediate', 2, false, true],
+	[0xbb, 'LAS', 'absolute,y', 4, true, true],
+
+	// Unstable: the result depends on the chip and its temperature (see UNSTABLE)
+	[0x8b, 'ANE', 'immediate', 2, false, true],
+	[0xab, 'LXA', 'immediate', 2, false, true],
+	[0x93, 'SHA', 'indirectindexed', 6, false, true],
+	[0x9f, 'SHA', 'absolute,y', 5, false, true],
+	[0x9e, 'SHX', 'absolute,y', 5, false, true],
+	[0x9c, 'SHY', 'absolute,x', 5, false, true],
+	[0x9b, 'TAS', 'absolute,y', 5, false, true],
+
+	// NOPs of every length
+	[0x1a, 'NOP', 'implied', 2, false, true],
+	[0x3a, 'NOP', 'implied', 2, false, true],
+	[0x5a, 'NOP', 'implied', 2, false, true],
+	[0x7a, 'NOP', 'implied', 2, false, true],
+	[0xda, 'NOP', 'implied', 2, false, true],
+	[0xfa, 'NOP', 'implied', 2, false, true],
+	[0x80, 'NOP', 'immediate', 2, false, true],
+	[0x82, 'NOP', 'immediate', 2, false, true],
+	[0x89, 'NOP', 'immediate', 2, false, true],
+	[0xc2, 'NOP', 'immediate', 2, false, true],
+	[0xe2, 'NOP', 'immediate', 2, false, true],
+	[0x04, 'NOP', 'zeropage', 3, false, true],
+	[0x44, 'NOP', 'zeropage', 3, false, true],
+	[0x64, 'NOP', 'zeropage', 3, false, true],
+	[0x14, 'NOP', 'zeropage,x', 4, false, true],
+	[0x34, 'NOP', 'zeropage,x', 4, false, true],
+	[0x54, 'NOP', 'zeropage,x', 4, false, true],
+	[0x74, 'NOP', 'zeropage,x', 4, false, true],
+	[0xd4, 'NOP', 'zeropage,x', 4, false, true],
+	[0xf4, 'NOP', 'zeropage,x', 4, false, true],
+	[0x0c, 'NOP', 'absolute', 4, false, true],
+	[0x1c, 'NOP', 'absolute,x', 4, true, true],
+	[0x3c, 'NOP', 'absolute,x', 4, true, true],
+	[0x5c, 'NOP', 'absolute,x', 4, true, true],
+	[0x7c, 'NOP', 'absolute,x', 4, true, true],
+	[0xdc, 'NOP', 'absolute,x', 4, true, true],
+	[0xfc, 'NOP', 'absolute,x', 4, true, true]
+);
+
+// JAM (also known as KIL or HLT) locks up the CPU until it is reset
+[0x02, 0x12, 0x22, 0x32, 0x42, 0x52, 0x62, 0x72, 0x92, 0xb2, 0xd2, 0xf2].forEach(function (opcode) {
+	UNDOCUMENTED_ENTRIES.push([opcode, 'JAM', 'implied', 2, false, true]);
+});
+
+/**
+ * Mnemonics of the undocumented NMOS opcodes whose behaviour varies between chips
+ */
+var UNSTABLE = ['ANE', 'LXA', 'SHA', 'SHX', 'SHY', 'TAS'];
+
+var CMOS_ENTRIES = [
+	[0x04, 'TSB', 'zeropage', 5],
+	[0x0c, 'TSB', 'absolute', 6],
+	[0x12, 'ORA', 'zeropageindirect', 5],
+	[0x14, 'TRB', 'zeropage', 5],
+	[0x1a, 'INC', 'accumulator', 2],
+	[0x1c, 'TRB', 'absolute', 6],
+	[0x1e, 'ASL', 'absolute,x', 6, true],
+	[0x32, 'AND', 'zeropageindirect', 5],
+	[0x34, 'BIT', 'zeropage,x', 4],
+	[0x3a, 'DEC', 'accumulator', 2],
+	[0x3c, 'BIT', 'absolute,x', 4, true],
+	[0x3e, 'ROL', 'absolute,x', 6, true],
+	[0x52, 'EOR', 'zeropageindirect', 5],
+	[0x5a, 'PHY', 'implied', 3],
+	[0x5e, 'LSR', 'absolute,x', 6, true],
+	[0x64, 'STZ', 'zeropage', 3],
+	[0x6c, 'JMP', 'indirect', 6],
+	[0x72, 'ADC', 'zeropageindirect', 5],
+	[0x74, 'STZ', 'zeropage,x', 4],
+	[0x7a, 'PLY', 'implied', 4],
+	[0x7c, 'JMP', 'absoluteindexedindirect', 6],
+	[0x7e, 'ROR', 'absolute,x', 6, true],
+	[0x80, 'BRA', 'relative', 2],
+	[0x89, 'BIT', 'immediate', 2],
+	[0x92, 'STA', 'zeropageindirect', 5],
+	[0x9c, 'STZ', 'absolute', 4],
+	[0x9e, 'STZ', 'absolute,x', 5],
+	[0xb2, 'LDA', 'zeropageindirect', 5],
+	[0xd2, 'CMP', 'zeropageindirect', 5],
+	[0xda, 'PHX', 'implied', 3],
+	[0xf2, 'SBC', 'zeropageindirect', 5],
+	[0xfa, 'PLX', 'implied', 4],
+
+	// Undefined opcodes that skip operand bytes
+	[0x02, 'NOP', 'immediate', 2, false, true],
+	[0x22, 'NOP', 'immediate', 2, false, true],
+	[0x42, 'NOP', 'immediate', 2, false, true],
+	[0x62, 'NOP', 'immediate', 2, false, true],
+	[0x82, 'NOP', 'immediate', 2, false, true],
+	[0xc2, 'NOP', 'immediate', 2, false, true],
+	[0xe2, 'NOP', 'immediate', 2, false, true],
+	[0x44, 'NOP', 'zeropage', 3, false, true],
+	[0x54, 'NOP', 'zeropage,x', 4, false, true],
+	[0xd4, 'NOP', 'zeropage,x', 4, false, true],
+	[0xf4, 'NOP', 'zeropage,x', 4, false, true],
+	[0x5c, 'NOP', 'absolute', 8, false, true],
+	[0xdc, 'NOP', 'absolute', 4, false, true],
+	[0xfc, 'NOP', 'absolute', 4, false, true]
+];
+
+// Undefined opcodes in columns 3, 7, B and F are single-cycle NOPs on the 65C02
+var i;
+for (i = 0; i < 16; i++) {
+	[0x03, 0x07, 0x0b, 0x0f].forEach(function (column) {
+		CMOS_ENTRIES.push([(i << 4) | column, 'NOP', 'implied', 1, false, true]);
+	});
+}
+
+// Rockwell bit manipulation and test instructions, also on the WDC 65C02
+var ROCKWELL_ENTRIES = [];
+for (i = 0; i < 8; i++) {
+	ROCKWELL_ENTRIES.push(
+		[0x07 + (i << 4), 'RMB' + i, 'zeropage', 5],
+		[0x87 + (i << 4), 'SMB' + i, 'zeropage', 5],
+		[0x0f + (i << 4), 'BBR' + i, 'zeropagerelative', 5],
+		[0x8f + (i << 4), 'BBS' + i, 'zeropagerelative', 5]
+	);
+}
+
+var WDC_ENTRIES = [
+	[0xcb, 'WAI', 'implied', 3],
+	[0xdb, 'STP', 'implied', 3]
+];
+
+var NMOS = build_table(NMOS_ENTRIES),
+	NMOS_UNDOCUMENTED = build_table(NMOS_ENTRIES.concat(UNDOCUMENTED_ENTRIES)),
+	CMOS = build_table(NMOS_ENTRIES.concat(CMOS_ENTRIES)),
+	ROCKWELL = build_table(NMOS_ENTRIES.concat(CMOS_ENTRIES, ROCKWELL_ENTRIES)),
+	WDC = build_table(NMOS_ENTRIES.concat(CMOS_ENTRIES, ROCKWELL_ENTRIES, WDC_ENTRIES));
+
+/**
+ * Opcode table of each CPU variant:
+ *     '6502'   NMOS 6502
+ *     '65c02'  original CMOS 65C02
+ *     'r65c02' Rockwell 65C02, adding BBR, BBS, RMB and SMB
+ *     'w65c02' WDC 65C02, adding WAI and STP to the Rockwell instructions
+ */
+var VARIANTS = {
+	'6502': NMOS,
+	'65c02': CMOS,
+	'r65c02': ROCKWELL,
+	'w65c02': WDC
+};
+
+module.exports = {
+	NMOS: NMOS,
+	NMOS_UNDOCUMENTED: NMOS_UNDOCUMENTED,
+	UNSTABLE: UNSTABLE,
+	CMOS: CMOS,
+	ROCKWELL: ROCKWELL,
+	WDC: WDC,
+	VARIANTS: VARIANTS,
+	build_table: build_table,
+	operand_length: operand_length
+};
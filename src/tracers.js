@@ -0,0 +1,89 @@
+/**
+ * Built-in tracers for CPU6502
+ *
+ * A tracer is a function passed as the tracer option of CPU6502, or registered
+ * with cpu.on('instruction', tracer). It is called after every instruction with
+ * an event describing it:
+ *
+ *   address    address of the opcode
+ *   bytes      raw instruction bytes
+ *   mnemonic   e.g. 'LDA'
+ *   mode       addressing mode, e.g. 'absolute,x'
+ *   operand    operand formatted as assembly source, using symbols where known
+ *   registers  A, X, Y, SP and P as they were before the instruction executed
+ *   flags      P as a string of flag letters, upper case when set (e.g. 'nv-BdIzc')
+ *   cycles     value of the CPU cycle counter when the instruction started
+ */
+
+"use strict";
+
+var hex = require('./hex');
+
+/**
+ * Pad a string with spaces on the right
+ */
+function pad(str, length) {
+	while (str.length < length) {
+		str += ' ';
+	}
+	return str;
+}
+
+/**
+ * Render a trace event as a line of human-readable text
+ * @param {Object} event Trace event
+ * @return {String} text, without a trailing newline
+ */
+function format_event(event) {
+	var registers = event.registers;
+
+	return hex(event.address, 4) + '  ' +
+		pad(event.bytes.map(function (byte) { return hex(byte, 2); }).join(' '), 10) +
+		pad(event.mnemonic + (event.operand ? ' ' + event.operand : ''), 16) +
+		'A:' + hex(registers.A, 2) +
+		' X:' + hex(registers.X, 2) +
+		' Y:' + hex(registers.Y, 2) +
+		' SP:' + hex(registers.SP, 2) +
+		' P:' + hex(registers.P, 2) + ' ' + event.flags +
+		' CYC:' + event.cycles;
+}
+
+/**
+ * Tracer that discards every event
+ * @return {Function} tracer
+ */
+function silent() {
+	return function () {
+	};
+}
+
+/**
+ * Tracer writing one line of human-readable text per instruction
+ * @param {Object} stream Writable stream, process.stdout by default
+ * @return {Function} tracer
+ */
+function text(stream) {
+	stream = stream || process.stdout;
+	return function (event) {
+		stream.write(format_event(event) + '\n');
+	};
+}
+
+/**
+ * Tracer writing one JSON object per instruction (JSON Lines)
+ * @param {Object} stream Writable stream, process.stdout by default
+ * @return {Function} tracer
+ */
+function jsonl(stream) {
+	stream = stream || process.stdout;
+	return function (event) {
+		stream.write(JSON.stringify(event) + '\n');
+	};
+}
+
+module.exports = {
+	silent: silent,
+	text: text,
+	jsonl: jsonl,
+	format_event: format_event
+};
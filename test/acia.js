@@ -0,0 +1,187 @@
+// @ts-check
+
+// Checks the 6551 ACIA's frame timing and interrupts, with an interrupt-driven
+// program assembled by the repo's assembler.
+//
+// Usage: node test/acia.js
+
+const assert = require('assert')
+
+const ACIA6551 = require('../src/ACIA6551')
+const Bus = require('../src/Bus')
+const CPU6502 = require('../src/CPU6502')
+const assembler = require('../src/assembler')
+const { check } = require('./check')
+
+// 8N1 is 10 bits, which take 1042 cycles at 9600 baud and 1 MHz
+const FRAME_9600 = 1042
+
+/**
+ * CPU with RAM and the ACIA at $8000, transmitting into machine.sent
+ */
+function create_machine(cpu_options) {
+	const bus = new Bus()
+	const ram = bus.map_ram(0, 0x8000).data
+	bus.map_ram(0x8100, 0x7f00)
+	const cpu = new CPU6502(bus, undefined, cpu_options)
+	const machine = { bus: bus, ram: ram, cpu: cpu, acia: null, sent: [], sent_at: [] }
+
+	machine.acia = new ACIA6551(cpu, {
+		output: {
+			write: (bytes) => {
+				machine.sent.push(...bytes)
+				machine.sent_at.push(cpu.cycles)
+			}
+		}
+	})
+	bus.map_device(0x8000, 0x8003, machine.acia, 'acia')
+	return machine
+}
+
+/**
+ * Assemble a program into the machine and point PC at its start
+ */
+function load(machine, source) {
+	const result = assembler.assemble(source)
+	result.segments.forEach((segment) => {
+		segment.bytes.forEach((value, offset) => machine.bus.write_byte(segment.address + offset, value))
+	})
+	machine.cpu.PC = result.segments[0].address
+}
+
+/**
+ * Run for a number of cycles
+ */
+function run(machine, cycles) {
+	const end = machine.cpu.cycles + cycles
+	while (machine.cpu.cycles < end) {
+		machine.cpu.step()
+	}
+}
+
+for (const cycle_exact of [false, true]) {
+	check('Receive interrupt one frame after a byte arrives, ' + (cycle_exact ? 'cycle-exact' : 'stepping'), () => {
+		const machine = create_machine({ cycle_exact: cycle_exact })
+		let asserted = -1 // cycle at which the IRQ line was first asserted
+		machine.cpu.on('clock', () => {
+			if (asserted === -1 && machine.cpu.irq_asserted()) {
+				asserted = machine.cpu.cycles
+			}
+		})
+		load(machine, 'loop: jmp loop\n')
+		machine.acia.write(3, 0x1e) // 9600 baud, 8N1
+		machine.acia.write(2, 0x09) // DTR, receive interrupts
+
+		const start = machine.cpu.cycles
+		machine.acia.receive('A')
+		run(machine, 2000)
+
+		// The CPU counts cycles a whole instruction at a time unless it is cycle-exact
+		assert.ok(asserted - start >= FRAME_9600 && asserted - start < FRAME_9600 + (cycle_exact ? 1 : 3),
+			'asserted after ' + (asserted - start) + ' cycles')
+		assert.strictEqual(machine.acia.read(1) & 0x88, 0x88)
+		assert.strictEqual(machine.acia.read(0), 0x41)
+		assert.strictEqual(machine.cpu.irq_asserted(), false)
+	})
+}
+
+check('Interrupt-driven echo program', () => {
+	const machine = create_machine({})
+	load(machine, [
+		'ACIA = $8000',
+		'	.org $0400',
+		'	sei',
+		'	sta ACIA+1      ; programmed reset',
+		'	lda #$1f        ; 19200 baud, 8N1',
+		'	sta ACIA+3',
+		'	lda #$09        ; DTR, receive interrupts',
+		'	sta ACIA+2',
+		'	cli',
+		'loop:	jmp loop',
+		'irq:	pha',
+		'	lda ACIA+1',
+		'	and #$08',
+		'	beq done',
+		'	lda ACIA',
+		'	clc',
+		'	adc #1',
+		'	pha',
+		'@busy:	lda ACIA+1',
+		'	and #$10',
+		'	beq @busy',
+		'	pla',
+		'	sta ACIA',
+		'done:	pla',
+		'	rti',
+		'	.org $fffe',
+		'	.word irq'
+	].join('\n'))
+
+	machine.acia.receive('HAL')
+	run(machine, 10000)
+
+	assert.strictEqual(Buffer.from(machine.sent).toString(), 'IBM')
+	// Received bytes arrive a frame apart, and so go out a frame apart
+	assert.ok(machine.sent_at[1] - machine.sent_at[0] >= 521)
+	assert.ok(machine.sent_at[2] - machine.sent_at[1] >= 521)
+})
+
+check('Transmitter holds the next byte until the frame is sent', () => {
+	const machine = create_machine({})
+	load(machine, 'loop: jmp loop\n')
+	machine.acia.write(3, 0x1e)
+	machine.acia.write(2, 0x05) // DTR, transmit interrupts
+
+	machine.acia.write(0, 0x31)
+	machine.acia.write(0, 0x32)
+	assert.deepStrictEqual(machine.sent, [0x31])
+	assert.strictEqual(machine.acia.read(1) & 0x10, 0)
+	run(machine, FRAME_9600 + 3)
+	assert.deepStrictEqual(machine.sent, [0x31, 0x32])
+	assert.strictEqual(machine.acia.read(1) & 0x90, 0x90)
+})
+
+check('Word length masks data bits', () => {
+	const machine = create_machine({})
+	machine.acia.write(3, 0x60) // external clock, 5 data bits
+	machine.acia.write(2, 0x0b) // DTR, receive interrupts disabled
+
+	machine.acia.write(0, 0xff)
+	machine.acia.receive([0xff])
+	assert.deepStrictEqual(machine.sent, [0x1f])
+	assert.strictEqual(machine.acia.read(0), 0x1f)
+})
+
+check('DCD change interrupts until the status register is read', () => {
+	const machine = create_machine({})
+	machine.acia.write(2, 0x09)
+
+	machine.acia.dcd(false)
+	assert.strictEqual(machine.cpu.irq_asserted(), true)
+	assert.strictEqual(machine.acia.read(1), 0xb0)
+	assert.strictEqual(machine.cpu.irq_asserted(), false)
+	assert.strictEqual(machine.acia.read(1), 0x30)
+})
+
+check('ACIA save state round trip', () => {
+	const machine = create_machine({})
+	load(machine, 'loop: jmp loop\n')
+	machine.acia.write(3, 0x1e)
+	machine.acia.write(2, 0x09)
+	machine.acia.receive('XY')
+	const state = JSON.stringify(machine.cpu.saveState())
+
+	run(machine, 3 * FRAME_9600)
+	assert.strictEqual(machine.acia.read(0), 0x58)
+	machine.cpu.loadState(state)
+	assert.strictEqual(machine.acia.read(1) & 0x08, 0)
+	run(machine, FRAME_9600 + 3)
+	assert.strictEqual(machine.acia.read(0), 0x58)
+	run(machine, FRAME_9600 + 3)
+	assert.strictEqual(machine.acia.read(0), 0x59)
+
+	const incomplete = machine.acia.saveState()
+	delete incomplete.command
+	assert.throws(() => machine.acia.loadState(incomplete), /ACIA save state lacks command/)
+	assert.strictEqual(machine.acia.read(2), 0x09)
+})
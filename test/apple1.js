@@ -0,0 +1,85 @@
+// @ts-check
+
+// Checks the Apple I and its 6821 PIA by typing commands at WozMon and reading
+// the display.
+//
+// Usage: node test/apple1.js
+
+const assert = require('assert')
+
+const AppleI = require('../src/AppleI')
+const PIA6821 = require('../src/PIA6821')
+const { check } = require('./check')
+
+/**
+ * Apple I that collects its display output
+ */
+function create_machine() {
+	const machine = Object.assign(new AppleI({ output: (text) => { machine.display += text } }), { display: '' })
+	machine.run(10000)
+	return machine
+}
+
+/**
+ * Type a line at the monitor and return what it prints in reply
+ */
+function command(machine, text) {
+	machine.display = ''
+	machine.type(text + '\n')
+	machine.run(1000000)
+	return machine.display
+}
+
+check('WozMon starts with its prompt', () => {
+	assert.strictEqual(create_machine().display, '\\\n')
+})
+
+check('WozMon echoes a command and examines memory', () => {
+	assert.strictEqual(command(create_machine(), 'ff00.ff07'), 'FF00.FF07\n\nFF00: D8 58 A0 7F 8C 12 D0 A9\n')
+})
+
+check('WozMon stores and runs a program', () => {
+	const machine = create_machine()
+	// LDA #'A'; JSR ECHO; JMP $FF1F (GETLINE)
+	command(machine, '300: a9 c1 20 ef ff 4c 1f ff')
+	assert.deepStrictEqual(Array.from(machine.ram.subarray(0x300, 0x308)), [0xa9, 0xc1, 0x20, 0xef, 0xff, 0x4c, 0x1f, 0xff])
+	assert.strictEqual(command(machine, '300r'), '300R\n\n0300: A9A\n')
+})
+
+check('Backspace rubs out with an underscore', () => {
+	assert.strictEqual(command(create_machine(), 'ff01\b0'), 'FF01_0\n\nFF00: D8\n')
+})
+
+check('Apple I save state round trip', () => {
+	const machine = create_machine()
+	const state = JSON.stringify(machine.cpu.saveState())
+	command(machine, '300: 11 22 33')
+
+	machine.cpu.loadState(state)
+	assert.strictEqual(machine.ram[0x301], 0)
+	assert.strictEqual(command(machine, '300.302'), '300.302\n\n0300: 00 00 00\n')
+})
+
+check('PIA C1 edge sets its flag and interrupts, reading the port clears it', () => {
+	const irqs = []
+	const pia = new PIA6821({ cpu: { irq: (name, asserted) => irqs.push(name + ' ' + asserted) }, read_a: () => 0x5a })
+
+	pia.write(1, 0x07) // output register, CA1 rising edge, interrupt enabled
+	pia.ca1(true)
+	assert.strictEqual(pia.read(1) & 0x80, 0x80)
+	assert.deepStrictEqual(irqs, ['pia true'])
+	assert.strictEqual(pia.read(0), 0x5a)
+	assert.strictEqual(pia.read(1) & 0x80, 0)
+	assert.deepStrictEqual(irqs, ['pia true', 'pia false'])
+})
+
+check('PIA rejects an incomplete save state without changing', () => {
+	const pia = new PIA6821()
+	pia.write(1, 0x04)
+	const state = pia.saveState()
+	delete state[1].c2_out
+
+	pia.write(1, 0x00)
+	assert.throws(() => pia.loadState(state), /PIA save state lacks c2_out/)
+	assert.strictEqual(pia.read(1), 0x00)
+})
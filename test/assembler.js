@@ -0,0 +1,111 @@
+// @ts-check
+
+// Checks the assembler's output, symbols, listing and errors, and that the
+// disassembler reads its output back.
+//
+// Usage: node test/assembler.js
+
+const assert = require('assert')
+const path = require('path')
+
+const assembler = require('../src/assembler')
+const disassembler = require('../src/disassembler')
+const opcodes = require('../src/opcodes')
+const { check, create_machine } = require('./check')
+
+/**
+ * Assembled bytes of the first segment, as an array
+ */
+function bytes(source, options) {
+	return Array.from(assembler.assemble(source, options).segments[0].bytes)
+}
+
+check('Addressing modes, with zero page chosen where the value fits', () => {
+	assert.deepStrictEqual(bytes([
+		'	.org $c000',
+		'	lda #$10',
+		'	lda $10',
+		'	lda $10,x',
+		'	lda $1234',
+		'	lda $1234,y',
+		'	lda ($10,x)',
+		'	lda ($10),y',
+		'	jmp ($fffc)',
+		'	asl a',
+		'	rts'
+	].join('\n')), [
+		0xa9, 0x10, 0xa5, 0x10, 0xb5, 0x10, 0xad, 0x34, 0x12, 0xb9, 0x34, 0x12,
+		0xa1, 0x10, 0xb1, 0x10, 0x6c, 0xfc, 0xff, 0x0a, 0x60
+	])
+})
+
+check('Forward references, local labels and branches', () => {
+	const result = assembler.assemble([
+		'	* = $0200',
+		'start:	ldx #0',
+		'@loop:	inx',
+		'	bne @loop',
+		'	jsr sub',
+		'	beq start',
+		'sub:	ldy #1',
+		'@loop:	dey',
+		'	bne @loop',
+		'	rts'
+	].join('\n'))
+
+	assert.deepStrictEqual(Array.from(result.segments[0].bytes), [
+		0xa2, 0x00, 0xe8, 0xd0, 0xfd, 0x20, 0x0a, 0x02, 0xf0, 0xf6, 0xa0, 0x01, 0x88, 0xd0, 0xfd, 0x60
+	])
+	assert.strictEqual(result.symbols.sub, 0x020a)
+	assert.strictEqual(result.symbols['sub@loop'], 0x020c)
+	assert.strictEqual(result.symbol_table_lookup(0x0202), 'start@loop')
+})
+
+check('Data directives and expressions', () => {
+	assert.deepStrictEqual(bytes([
+		'COUNT = 3',
+		'	.org $1000',
+		'table:	.byte "AB", 0, COUNT * 2 + 1, <table, >table',
+		'	.word table, $1234 & $ff00 | %101',
+		"	.byte 'z' - 1",
+		'	.res COUNT, $ea'
+	].join('\n')), [
+		0x41, 0x42, 0x00, 0x07, 0x00, 0x10, 0x00, 0x10, 0x05, 0x12, 0x79, 0xea, 0xea, 0xea
+	])
+	assert.strictEqual(assembler.evaluate('(2 + 3) << 4 ^ $0f', () => undefined, 0), 0x5f)
+})
+
+check('Includes are read through options.read_file', () => {
+	const files = { 'main.s': '.org $0300\n.include "inc.s"\nrts\n', 'inc.s': 'nop\n' }
+	const result = assembler.assemble(files['main.s'], { file: 'main.s', read_file: (file) => files[path.basename(file)] })
+	assert.deepStrictEqual(Array.from(result.segments[0].bytes), [0xea, 0x60])
+})
+
+check('Errors name the line', () => {
+	assert.throws(() => assembler.assemble('.org $0200\nlda nowhere\n'), /:2: .*nowhere/)
+	assert.throws(() => assembler.assemble('.org $0200\nlda #$100\n'), /:2: .*does not fit in a byte/)
+	assert.throws(() => assembler.assemble('.org $0200\nhere: .res 200\nbne here\n'), /:3: Branch target out of range/)
+	assert.throws(() => assembler.assemble('.org $0200\nbra $0200\n'), /:2:/)
+})
+
+check('65C02 instructions with a CMOS opcode table', () => {
+	assert.deepStrictEqual(bytes('.org $0200\nbra * + 2\nstz $10\nlda ($10)\n', { table: opcodes.CMOS }),
+		[0x80, 0x00, 0x64, 0x10, 0xb2, 0x10])
+})
+
+check('Listing shows addresses, bytes and source', () => {
+	const result = assembler.assemble('.org $0200\nstart: lda #1\n.byte 1, 2, 3, 4, 5')
+	assert.strictEqual(result.listing, [
+		'                  .org $0200',
+		'0200  A9 01       start: lda #1',
+		'0202  01 02 03 04 .byte 1, 2, 3, 4, 5',
+		'0206  05          ',
+		''
+	].join('\n'))
+})
+
+check('The disassembler reads assembled code back', () => {
+	const machine = create_machine('.org $0200\nlda ($10),y\nsta $d020\njmp $0200\n')
+	const records = disassembler.disassemble((addr) => machine.ram[addr], 0x0200, 3)
+	assert.deepStrictEqual(records.map((record) => record.text), ['LDA ($10),Y', 'STA $D020', 'JMP $0200'])
+})
@@ -0,0 +1,117 @@
+// @ts-check
+
+// Checks the bus's RAM, ROM, mirror, banked and device mappings, which mapping
+// wins where they overlap, and accesses to unmapped addresses.
+//
+// Usage: node test/bus.js
+
+const assert = require('assert')
+
+const Bus = require('../src/Bus')
+const { check } = require('./check')
+
+check('RAM reads back what was written, ROM ignores writes', () => {
+	const bus = new Bus()
+	const ram = bus.map_ram(0x0000, 0x1000)
+	bus.map_rom(0xf000, new Uint8Array(0x1000).fill(0x42))
+
+	bus.write_byte(0x0123, 0x1ff)
+	assert.strictEqual(bus.read_byte(0x0123), 0xff)
+	assert.strictEqual(ram.data[0x0123], 0xff)
+	bus.write_byte(0xf123, 0x00)
+	assert.strictEqual(bus.read_byte(0xf123), 0x42)
+	assert.strictEqual(bus.region_at(0xffff).type, 'rom')
+	assert.strictEqual(bus.region_at(0x8000), null)
+})
+
+check('A mirror repeats its source range', () => {
+	const bus = new Bus()
+	bus.map_ram(0x0000, 0x0800)
+	bus.map_mirror(0x0800, 0x1fff, 0x0000, 0x0800)
+
+	bus.write_byte(0x1805, 0x33)
+	assert.strictEqual(bus.read_byte(0x0005), 0x33)
+	assert.strictEqual(bus.read_byte(0x0805), 0x33)
+	assert.strictEqual(bus.read_byte(0x1005), 0x33)
+})
+
+check('Banked memory switches banks, and is only writable if asked', () => {
+	const bus = new Bus()
+	const rom_banks = [new Uint8Array(0x100).fill(1), new Uint8Array(0x100).fill(2)]
+	const ram_banks = [new Uint8Array(0x100), new Uint8Array(0x100)]
+	const rom = bus.map_banked(0x8000, rom_banks)
+	const ram = bus.map_banked(0x9000, ram_banks, { writable: true })
+
+	assert.strictEqual(bus.read_byte(0x8010), 1)
+	rom.select(1)
+	assert.strictEqual(bus.read_byte(0x8010), 2)
+	bus.write_byte(0x8010, 9)
+	assert.strictEqual(rom_banks[1][0x10], 2)
+
+	bus.write_byte(0x9010, 7)
+	ram.select(1)
+	assert.strictEqual(bus.read_byte(0x9010), 0)
+	ram.select(0)
+	assert.strictEqual(bus.read_byte(0x9010), 7)
+	assert.throws(() => ram.select(2), /Invalid bank 2/)
+})
+
+check('Devices see offsets from the start of their range', () => {
+	const accesses = []
+	const bus = new Bus()
+	bus.map_device(0xd010, 0xd013, {
+		read: (offset) => { accesses.push('r' + offset); return 0x100 + offset },
+		write: (offset, value) => { accesses.push('w' + offset + '=' + value) }
+	})
+
+	assert.strictEqual(bus.read_byte(0xd012), 0x02)
+	bus.write_byte(0xd013, 0x80)
+	assert.deepStrictEqual(accesses, ['r2', 'w3=128'])
+})
+
+check('Later mappings take precedence', () => {
+	const bus = new Bus()
+	bus.map_ram(0x0000, 0x10000)
+	bus.map_device(0xc000, 0xc0ff, { read: () => 0x55, write: () => {} })
+
+	bus.write_byte(0xc000, 0x11)
+	bus.write_byte(0xc100, 0x22)
+	assert.strictEqual(bus.read_byte(0xc000), 0x55)
+	assert.strictEqual(bus.read_byte(0xc100), 0x22)
+	assert.strictEqual(bus.region_at(0xbfff).type, 'ram')
+})
+
+check('Unmapped reads return the last value on the bus', () => {
+	const bus = new Bus()
+	bus.map_ram(0x0000, 0x100)
+
+	bus.write_byte(0x0010, 0xa5)
+	assert.strictEqual(bus.read_byte(0x4000), 0xa5)
+	bus.write_byte(0x4000, 0x5a)
+	assert.strictEqual(bus.read_byte(0x4001), 0x5a)
+})
+
+check('Unmapped accesses can warn or throw', () => {
+	const warnings = []
+	const warn = console.warn
+	console.warn = (message) => warnings.push(message)
+	try {
+		const bus = new Bus({ unmapped: 'warn' })
+		bus.read_byte(0x4000)
+		bus.write_byte(0x4001, 0)
+	} finally {
+		console.warn = warn
+	}
+	assert.deepStrictEqual(warnings, ['Unmapped read at $4000', 'Unmapped write at $4001'])
+
+	const bus = new Bus({ unmapped: 'throw' })
+	assert.throws(() => bus.read_byte(0x4000), /Unmapped read at \$4000/)
+	assert.throws(() => new Bus({ unmapped: 'ignore' }), /Invalid unmapped access policy ignore/)
+})
+
+check('Invalid ranges and addresses are rejected', () => {
+	const bus = new Bus()
+	assert.throws(() => bus.map_ram(0xff00, 0x200), /Invalid address range/)
+	assert.throws(() => bus.read_byte(0x10000), /Invalid read address/)
+	assert.throws(() => bus.write_byte(-1, 0), /Invalid write address/)
+})
@@ -0,0 +1,82 @@
+// @ts-check
+
+// Reporting for the self-contained test scripts in this directory, and the machine
+// they run programs on. Each check runs a function that throws, e.g. through
+// assert, when the behaviour is wrong, and is reported as passed or FAILED; any
+// failure makes the process exit with 1. A check may return a promise, which
+// check() returns to chain on.
+
+const Bus = require('../src/Bus')
+const CPU6502 = require('../src/CPU6502')
+const assembler = require('../src/assembler')
+
+/**
+ * Report the outcome of a check
+ */
+function report(name, error) {
+	if (error) {
+		console.log(name + ': FAILED, ' + String(error.message || error).replace(/\s*\n\s*/g, ' '))
+		process.exitCode = 1
+	} else {
+		console.log(name + ': passed')
+	}
+}
+
+/**
+ * Run one check
+ * @param {string} name What is checked
+ * @param {Function} body Throws or rejects on failure
+ * @return {Promise} settled once the check is done
+ */
+function check(name, body) {
+	let result
+
+	try {
+		result = body()
+	} catch (e) {
+		report(name, e)
+		return Promise.resolve()
+	}
+	if (result && typeof result.then === 'function') {
+		return result.then(() => report(name), (e) => report(name, e))
+	}
+	report(name)
+	return Promise.resolve()
+}
+
+/**
+ * CPU on a bus of 64K of RAM holding a program, and PC pointing at its start.
+ * Devices can be mapped over the RAM.
+ * @param {Array|string} program Machine code to place at $0200, or assembler source
+ * @param {Object} [options] CPU6502 options
+ * @return {Object} { bus, ram, cpu, symbols }, with the assembler's symbols for source
+ */
+function create_machine(program, options) {
+	const bus = new Bus()
+	const ram = bus.map_ram(0, 0x10000).data
+	const result = (typeof program === 'string') ? assembler.assemble(program) : {
+		segments: [{ address: 0x0200, bytes: program }],
+		symbols: {},
+		symbol_table_lookup: () => undefined
+	}
+
+	result.segments.forEach((segment) => ram.set(segment.bytes, segment.address))
+	const cpu = new CPU6502(bus, result.symbol_table_lookup, options)
+	cpu.PC = result.segments[0].address
+	return { bus: bus, ram: ram, cpu: cpu, symbols: result.symbols }
+}
+
+/**
+ * Run a number of whole instructions
+ */
+function run(machine, count) {
+	for (let i = 0; i < count; i++) {
+		machine.cpu.step()
+	}
+}
+
+module.exports = {
+	check: check,
+	create_machine: create_machine,
+	run: run
+}
@@ -0,0 +1,114 @@
+// @ts-check
+
+// Checks the instruction and branch counts recorded by the coverage tool and the
+// LCOV tracefile it writes for assembled source.
+//
+// Usage: node test/coverage.js
+
+const assert = require('assert')
+
+const Bus = require('../src/Bus')
+const CPU6502 = require('../src/CPU6502')
+const Coverage = require('../src/Coverage')
+const assembler = require('../src/assembler')
+const { check } = require('./check')
+
+const SOURCE = [
+	'	.org $0200',
+	'start:	ldx #2',
+	'loop:	dex',
+	'	bne loop',
+	'	beq done',
+	'	lda #1',
+	'done:	jmp done',
+	'	.byte 1, 2'
+].join('\n')
+
+/**
+ * Assemble the program and run it to done with coverage recorded
+ */
+function run() {
+	const result = assembler.assemble(SOURCE, { file: 'main.s' })
+	const bus = new Bus()
+	const ram = bus.map_ram(0, 0x10000).data
+	result.segments.forEach((segment) => ram.set(segment.bytes, segment.address))
+	const cpu = new CPU6502(bus)
+	const coverage = new Coverage(cpu)
+	cpu.PC = result.symbols.start
+	while (cpu.PC !== result.symbols.done) {
+		cpu.step()
+	}
+	return { result: result, coverage: coverage }
+}
+
+check('Counts executions and branch directions', () => {
+	const { coverage } = run()
+
+	assert.strictEqual(coverage.hits(0x0202), 2)
+	assert.strictEqual(coverage.hits(0x0207), 0)
+	assert.deepStrictEqual(coverage.report(), {
+		executed: [
+			{ address: 0x0200, count: 1 },
+			{ address: 0x0202, count: 2 },
+			{ address: 0x0203, count: 2 },
+			{ address: 0x0205, count: 1 }
+		],
+		branches: [
+			{ address: 0x0203, mnemonic: 'BNE', taken: 1, not_taken: 1 },
+			{ address: 0x0205, mnemonic: 'BEQ', taken: 1, not_taken: 0 }
+		]
+	})
+
+	coverage.reset()
+	assert.deepStrictEqual(coverage.report(), { executed: [], branches: [] })
+})
+
+check('LCOV for assembler lines, leaving out data', () => {
+	const { result, coverage } = run()
+
+	assert.strictEqual(coverage.lcov(result.lines, 'unit'), [
+		'TN:unit',
+		'SF:main.s',
+		'BRDA:4,0,0,1',
+		'BRDA:4,0,1,1',
+		'BRDA:5,0,0,1',
+		'BRDA:5,0,1,0',
+		'BRF:4',
+		'BRH:3',
+		'DA:2,1',
+		'DA:3,2',
+		'DA:4,2',
+		'DA:5,1',
+		'DA:6,0',
+		'DA:7,0',
+		'LF:6',
+		'LH:4',
+		'end_of_record',
+		''
+	].join('\n'))
+})
+
+check('LCOV for a line map of address ranges', () => {
+	const { coverage } = run()
+	const lines = [
+		{ file: 'a.s', line: 10, address: 0x0202, size: 3 },
+		{ file: 'a.s', line: 11, address: 0x0207, size: 2 },
+		{ file: 'b.s', line: 1, address: 0x0300, size: 0 }
+	]
+
+	assert.strictEqual(coverage.lcov(lines), [
+		'TN:',
+		'SF:a.s',
+		'BRDA:10,0,0,1',
+		'BRDA:10,0,1,1',
+		'BRF:2',
+		'BRH:2',
+		'DA:10,2',
+		'DA:11,0',
+		'LF:2',
+		'LH:1',
+		'end_of_record',
+		''
+	].join('\n'))
+	assert.strictEqual(coverage.lcov([]), '')
+})
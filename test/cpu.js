@@ -0,0 +1,673 @@
+// @ts-check
+
+// Checks the results, flags and timing of CPU6502 instructions on small programs.
+//
+// Usage: node test/cpu.js
+
+const assert = require('assert')
+
+const { check, create_machine, run } = require('./check')
+
+/**
+ * The N, V, Z and C flags as letters, lower case when clear
+ */
+function nvzc(cpu) {
+	return ['N', 'V', 'Z', 'C'].map((name) => cpu.flags[name] ? name : name.toLowerCase()).join('')
+}
+
+check('Indexed and indirect addressing modes', () => {
+	const machine = create_machine([
+		0xa2, 0x04, // LDX #4
+		0xa0, 0x02, // LDY #2
+		0xb1, 0x44, // LDA ($44),Y
+		0x99, 0x00, 0x30, // STA $3000,Y
+		0xa1, 0x40, // LDA ($40,X)
+		0x95, 0x20, // STA $20,X
+		0xb5, 0x0e, // LDA $0E,X
+		0x96, 0x30 // STX $30,Y
+	])
+	machine.ram.set([0x10, 0x30], 0x44)
+	machine.ram.set([0x11, 0x00, 0x5a], 0x3010)
+	machine.ram[0x12] = 0x77
+	run(machine, 8)
+
+	assert.strictEqual(machine.ram[0x3002], 0x5a)
+	assert.strictEqual(machine.ram[0x24], 0x11)
+	assert.strictEqual(machine.cpu.A, 0x77)
+	assert.strictEqual(machine.ram[0x32], 0x04)
+})
+
+check('JMP (indirect) does not carry into the high byte of the pointer', () => {
+	const machine = create_machine([0x6c, 0xff, 0x30]) // JMP ($30FF)
+	machine.ram[0x30ff] = 0x00
+	machine.ram[0x3000] = 0x04
+	machine.ram[0x3100] = 0x05
+	run(machine, 1)
+
+	assert.strictEqual(machine.cpu.PC, 0x0400)
+})
+
+check('The 65C02 fixes JMP (indirect) at the end of a page, taking a cycle more', () => {
+	const machine = create_machine([0x6c, 0xff, 0x30], { variant: '65c02' }) // JMP ($30FF)
+	machine.ram[0x30ff] = 0x00
+	machine.ram[0x3000] = 0x04
+	machine.ram[0x3100] = 0x05
+
+	assert.strictEqual(machine.cpu.step(), 6)
+	assert.strictEqual(machine.cpu.PC, 0x0500)
+})
+
+check('ADC and SBC set carry and overflow', () => {
+	const machine = create_machine([
+		0x18, // CLC
+		0xa9, 0x50, // LDA #$50
+		0x69, 0x50, // ADC #$50
+		0x38, // SEC
+		0xa9, 0xd0, // LDA #$D0
+		0xe9, 0x70 // SBC #$70
+	])
+	run(machine, 3)
+	assert.strictEqual(machine.cpu.A, 0xa0)
+	assert.strictEqual(nvzc(machine.cpu), 'NVzc')
+
+	run(machine, 3)
+	assert.strictEqual(machine.cpu.A, 0x60)
+	assert.strictEqual(nvzc(machine.cpu), 'nVzC')
+})
+
+// Decimal mode sums and differences, three instructions each
+const DECIMAL = [
+	0xf8, // SED
+	0x38, // SEC
+	0xa9, 0x58, // LDA #$58
+	0x69, 0x46, // ADC #$46
+	0x18, // CLC
+	0xa9, 0x99, // LDA #$99
+	0x69, 0x01, // ADC #$01
+	0x38, // SEC
+	0xa9, 0x00, // LDA #$00
+	0xe9, 0x01, // SBC #$01
+	0x38, // SEC
+	0xa9, 0x32, // LDA #$32
+	0xe9, 0x17 // SBC #$17
+]
+
+check('Decimal mode ADC and SBC, with NMOS flags', () => {
+	const machine = create_machine(DECIMAL)
+	// N and V come from the sum before the high digit is adjusted, Z from the binary sum
+	run(machine, 4)
+	assert.strictEqual(machine.cpu.A, 0x05)
+	assert.strictEqual(nvzc(machine.cpu), 'NVzC')
+
+	run(machine, 3)
+	assert.strictEqual(machine.cpu.A, 0x00)
+	assert.strictEqual(nvzc(machine.cpu), 'NvzC')
+
+	// SBC takes all its flags from the binary difference
+	run(machine, 3)
+	assert.strictEqual(machine.cpu.A, 0x99)
+	assert.strictEqual(nvzc(machine.cpu), 'Nvzc')
+
+	run(machine, 3)
+	assert.strictEqual(machine.cpu.A, 0x15)
+	assert.strictEqual(nvzc(machine.cpu), 'nvzC')
+})
+
+check('Decimal mode on the 65C02 sets N and Z from the result, taking a cycle more', () => {
+	const machine = create_machine(DECIMAL, { variant: '65c02' })
+	run(machine, 4)
+	assert.strictEqual(machine.cpu.A, 0x05)
+	assert.strictEqual(nvzc(machine.cpu), 'nVzC')
+
+	run(machine, 2)
+	assert.strictEqual(machine.cpu.step(), 3)
+	assert.strictEqual(machine.cpu.A, 0x00)
+	assert.strictEqual(nvzc(machine.cpu), 'nvZC')
+
+	run(machine, 2)
+	assert.strictEqual(machine.cpu.step(), 3)
+	assert.strictEqual(machine.cpu.A, 0x99)
+	assert.strictEqual(nvzc(machine.cpu), 'Nvzc')
+
+	run(machine, 3)
+	assert.strictEqual(machine.cpu.A, 0x15)
+	assert.strictEqual(nvzc(machine.cpu), 'nvzC')
+})
+
+check('Compares set the flags the branches test', () => {
+	const machine = create_machine([
+		0xa2, 0x05, // LDX #5
+		0xe0, 0x05, // CPX #5
+		0xf0, 0x02, // BEQ $0208
+		0xa9, 0x01, // LDA #1
+		0xc0, 0x06, // CPY #6
+		0x70, 0x02, // BVS $020E
+		0x30, 0x02, // BMI $0210
+		0xa9, 0x02 // LDA #2
+	])
+	run(machine, 2)
+	assert.strictEqual(nvzc(machine.cpu), 'nvZC')
+
+	run(machine, 4)
+	assert.strictEqual(machine.cpu.PC, 0x0210)
+	assert.strictEqual(machine.cpu.A, 0)
+	assert.strictEqual(nvzc(machine.cpu), 'Nvzc')
+})
+
+check('Shifts and rotates go through carry, on A and on memory', () => {
+	const machine = create_machine([
+		0xa9, 0xc0, // LDA #$C0
+		0x38, // SEC
+		0x66, 0x10, // ROR $10
+		0x0a, // ASL A
+		0x2e, 0x00, 0x30, // ROL $3000
+		0x4e, 0x00, 0x30 // LSR $3000
+	])
+	machine.ram[0x10] = 0x02
+	machine.ram[0x3000] = 0x40
+	run(machine, 6)
+
+	assert.strictEqual(machine.ram[0x10], 0x81)
+	assert.strictEqual(machine.cpu.A, 0x80)
+	assert.strictEqual(machine.ram[0x3000], 0x40)
+	assert.strictEqual(nvzc(machine.cpu), 'nvzC')
+})
+
+check('JSR and RTS return after the call', () => {
+	const machine = create_machine([
+		0x20, 0x10, 0x02, // JSR $0210
+		0xe8 // INX
+	])
+	machine.ram.set([0xa0, 0x07, 0x60], 0x0210) // LDY #7; RTS
+	run(machine, 4)
+
+	assert.strictEqual(machine.cpu.PC, 0x0204)
+	assert.strictEqual(machine.cpu.X, 1)
+	assert.strictEqual(machine.cpu.Y, 7)
+})
+
+/**
+ * Cycles the first instruction of a program takes
+ * @param {Array} program Machine code
+ * @param {Function} setup Called with the machine before it runs (optional)
+ */
+function cycles(program, setup) {
+	const machine = create_machine(program)
+	if (setup) {
+		setup(machine)
+	}
+	const start = machine.cpu.cycles
+	run(machine, 1)
+	return machine.cpu.cycles - start
+}
+
+check('Indexed reads take a cycle more when they cross a page', () => {
+	const index = (x, y) => (machine) => {
+		machine.cpu.X = x
+		machine.cpu.Y = y
+	}
+
+	assert.strictEqual(cycles([0xbd, 0x10, 0x30], index(0x20, 0)), 4) // LDA $3010,X
+	assert.strictEqual(cycles([0xbd, 0x10, 0x30], index(0xf0, 0)), 5)
+	assert.strictEqual(cycles([0xb9, 0xff, 0x30], index(0, 0x01)), 5) // LDA $30FF,Y
+	assert.strictEqual(cycles([0xb1, 0x40], index(0, 0x01)), 5) // LDA ($40),Y
+	assert.strictEqual(cycles([0xb1, 0x40], (machine) => {
+		machine.ram[0x40] = 0xff
+		machine.cpu.Y = 0x01
+	}), 6)
+	// Stores and read-modify-write instructions always take the extra cycle
+	assert.strictEqual(cycles([0x9d, 0x10, 0x30], index(0x20, 0)), 5) // STA $3010,X
+	assert.strictEqual(cycles([0xfe, 0x10, 0x30], index(0x20, 0)), 7) // INC $3010,X
+})
+
+check('Branches take a cycle more when taken, and another to cross a page', () => {
+	const zero = (machine) => {
+		machine.cpu.flags.Z = true
+	}
+
+	assert.strictEqual(cycles([0xd0, 0x02], zero), 2) // BNE, not taken
+	assert.strictEqual(cycles([0xf0, 0x02], zero), 3) // BEQ $0204
+	assert.strictEqual(cycles([0xf0, 0xfd], zero), 4) // BEQ $01FF
+})
+
+check('Subroutine calls and the cycle counter', () => {
+	const machine = create_machine([
+		0x20, 0x10, 0x02, // JSR $0210: 6 cycles
+		0xea // NOP: 2
+	])
+	machine.ram[0x0210] = 0x60 // RTS: 6
+	run(machine, 3)
+
+	assert.strictEqual(machine.cpu.cycles, 14)
+	assert.strictEqual(machine.cpu.PC, 0x0204)
+})
+
+check('step() runs a whole instruction in as many cycles as tick() takes', () => {
+	const program = [
+		0xa0, 0x01, // LDY #1
+		0xb9, 0xff, 0x30, // LDA $30FF,Y
+		0xd0, 0xfb, // BNE $0202
+		0xfe, 0x00, 0x30 // INC $3000
+	]
+	const stepped = create_machine(program)
+	const ticked = create_machine(program)
+	stepped.ram[0x3100] = ticked.ram[0x3100] = 0x01
+
+	assert.deepStrictEqual([0, 1, 2].map(() => stepped.cpu.step()), [2, 5, 3])
+	while (ticked.cpu.cycles < stepped.cpu.cycles) {
+		ticked.cpu.tick()
+	}
+	assert.strictEqual(ticked.cpu.opcode_cycle, 0)
+	assert.strictEqual(ticked.cpu.PC, stepped.cpu.PC)
+	assert.strictEqual(ticked.cpu.A, stepped.cpu.A)
+
+	// step() also finishes an instruction tick() has started
+	ticked.cpu.tick()
+	assert.strictEqual(ticked.cpu.step(), 4)
+	assert.strictEqual(ticked.cpu.PC, 0x0205)
+})
+
+check('Opcodes outside the table are rejected', () => {
+	const machine = create_machine([0x02])
+	assert.throws(() => machine.cpu.step(), /Invalid opcode 2 at address 200/)
+})
+
+/**
+ * Machine running undocumented NMOS opcodes
+ */
+function create_nmos_machine(program, options) {
+	return create_machine(program, Object.assign({ undocumented: true }, options))
+}
+
+check('Undocumented read-modify-write and combined opcodes', () => {
+	const machine = create_nmos_machine([
+		0xa7, 0x10, // LAX $10
+		0xa9, 0x0f, // LDA #$0F
+		0x87, 0x11, // SAX $11
+		0xc7, 0x12, // DCP $12
+		0xe7, 0x13, // ISC $13
+		0x07, 0x14, // SLO $14
+		0x27, 0x15, // RLA $15
+		0x47, 0x16, // SRE $16
+		0x67, 0x17 // RRA $17
+	])
+	machine.ram.set([0x81, 0x00, 0x10, 0x04, 0x81, 0x40, 0x03, 0x02], 0x10)
+
+	run(machine, 4)
+	assert.strictEqual(machine.cpu.X, 0x81)
+	assert.strictEqual(nvzc(machine.cpu), 'nvZC')
+	run(machine, 5)
+	assert.deepStrictEqual(Array.from(machine.ram.subarray(0x11, 0x18)), [0x01, 0x0f, 0x05, 0x02, 0x81, 0x01, 0x81])
+	assert.strictEqual(machine.cpu.A, 0x82)
+	assert.strictEqual(nvzc(machine.cpu), 'Nvzc')
+	assert.strictEqual(machine.cpu.cycles, 3 + 2 + 3 + 6 * 5)
+})
+
+check('ANC copies N into C, ALR shifts the AND, SBX subtracts from A AND X', () => {
+	const machine = create_nmos_machine([
+		0xa9, 0xc3, // LDA #$C3
+		0x0b, 0x81, // ANC #$81
+		0x4b, 0x03, // ALR #$03
+		0xa9, 0xf0, // LDA #$F0
+		0xa2, 0x3c, // LDX #$3C
+		0xcb, 0x10 // SBX #$10
+	])
+	run(machine, 2)
+	assert.strictEqual(machine.cpu.A, 0x81)
+	assert.strictEqual(nvzc(machine.cpu), 'NvzC')
+	run(machine, 1)
+	assert.strictEqual(machine.cpu.A, 0x00)
+	assert.strictEqual(nvzc(machine.cpu), 'nvZC')
+	run(machine, 3)
+	assert.strictEqual(machine.cpu.X, 0x20)
+	assert.strictEqual(nvzc(machine.cpu), 'nvzC')
+})
+
+check('ARR takes C from bit 6 and V from bit 6 XOR bit 5, and adjusts decimal digits', () => {
+	const machine = create_nmos_machine([
+		0x38, // SEC
+		0xa9, 0xff, // LDA #$FF
+		0x6b, 0xc0, // ARR #$C0
+		0x18, // CLC
+		0xa9, 0xff, // LDA #$FF
+		0x6b, 0x40, // ARR #$40
+		0xf8, // SED
+		0x38, // SEC
+		0xa9, 0xff, // LDA #$FF
+		0x6b, 0xff // ARR #$FF
+	])
+	run(machine, 3)
+	assert.strictEqual(machine.cpu.A, 0xe0)
+	assert.strictEqual(nvzc(machine.cpu), 'NvzC')
+	run(machine, 3)
+	assert.strictEqual(machine.cpu.A, 0x20)
+	assert.strictEqual(nvzc(machine.cpu), 'nVzc')
+	run(machine, 4)
+	assert.strictEqual(machine.cpu.A, 0x55)
+	assert.strictEqual(nvzc(machine.cpu), 'NvzC')
+})
+
+check('SHX, SHY and TAS store the high byte of the address plus one, which replaces it on a page cross', () => {
+	const machine = create_nmos_machine([
+		0xa2, 0xff, // LDX #$FF
+		0xa0, 0x01, // LDY #$01
+		0x9e, 0x10, 0x30, // SHX $3010,Y
+		0xa2, 0x0f, // LDX #$0F
+		0xa0, 0x20, // LDY #$20
+		0x9e, 0xf0, 0x30, // SHX $30F0,Y
+		0xa0, 0xff, // LDY #$FF
+		0xa2, 0x01, // LDX #$01
+		0x9c, 0x20, 0x30, // SHY $3020,X
+		0xa9, 0xf3, // LDA #$F3
+		0xa2, 0x3e, // LDX #$3E
+		0xa0, 0x01, // LDY #$01
+		0x9b, 0x40, 0x30 // TAS $3040,Y
+	])
+	run(machine, 3)
+	assert.strictEqual(machine.ram[0x3011], 0x31)
+	run(machine, 3)
+	assert.strictEqual(machine.ram[0x0110], 0x01)
+	assert.strictEqual(machine.ram[0x3110], 0x00)
+	run(machine, 3)
+	assert.strictEqual(machine.ram[0x3021], 0x31)
+	run(machine, 4)
+	assert.strictEqual(machine.cpu.SP, 0x32)
+	assert.strictEqual(machine.ram[0x3041], 0x30)
+})
+
+check('SHA stores A and X masked by the high byte plus one, in both its addressing modes', () => {
+	const machine = create_nmos_machine([
+		0xa9, 0xf0, // LDA #$F0
+		0x85, 0x40, // STA $40
+		0xa9, 0x30, // LDA #$30
+		0x85, 0x41, // STA $41
+		0xa9, 0xf7, // LDA #$F7
+		0xa2, 0x3f, // LDX #$3F
+		0xa0, 0x01, // LDY #$01
+		0x9f, 0x50, 0x30, // SHA $3050,Y
+		0xa9, 0x0f, // LDA #$0F
+		0xa0, 0x20, // LDY #$20
+		0x93, 0x40 // SHA ($40),Y
+	])
+	run(machine, 8)
+	assert.strictEqual(machine.ram[0x3051], 0x31)
+	run(machine, 3)
+	assert.strictEqual(machine.ram[0x0110], 0x01)
+	assert.strictEqual(machine.ram[0x3110], 0x00)
+})
+
+check('Unstable opcodes can run as NOPs or be invalid, and ANE uses the magic constant', () => {
+	const program = [
+		0xa2, 0x5a, // LDX #$5A
+		0xa0, 0x01, // LDY #$01
+		0x9e, 0x10, 0x30, // SHX $3010,Y
+		0x8b, 0x0f // ANE #$0F
+	]
+	const nop = create_nmos_machine(program, { unstable: 'nop' })
+	run(nop, 2)
+	assert.strictEqual(nop.cpu.step(), 5)
+	assert.strictEqual(nop.ram[0x3011], 0x00)
+	assert.strictEqual(nop.cpu.PC, 0x0207)
+
+	const invalid = create_nmos_machine(program, { unstable: 'throw' })
+	run(invalid, 2)
+	assert.throws(() => invalid.cpu.step(), /Invalid opcode 9e at address 204/)
+
+	const emulated = create_nmos_machine(program, { magic: 0xff })
+	run(emulated, 4)
+	assert.strictEqual(emulated.ram[0x3011], 0x10)
+	assert.strictEqual(emulated.cpu.A, 0x0a)
+
+	assert.throws(() => create_nmos_machine(program, { unstable: 'random' }), /Invalid unstable opcode behaviour random/)
+	assert.throws(() => create_nmos_machine(program, { variant: '65c02' }), /only available on the NMOS 6502/)
+})
+
+check('JAM halts the CPU until reset, and is invalid unless enabled', () => {
+	const machine = create_nmos_machine([0x02, 0xea]) // JAM; NOP
+	const halts = []
+	machine.cpu.on('halt', (event) => halts.push(event))
+
+	run(machine, 3)
+	assert.deepStrictEqual(halts, [{ reason: 'jam', address: 0x0200, opcode: 0x02 }])
+	assert.strictEqual(machine.cpu.stopped, true)
+	assert.strictEqual(machine.cpu.PC, 0x0201)
+
+	assert.throws(() => run(create_machine([0x02]), 1), /Invalid opcode 2 at address 200/)
+})
+
+/**
+ * A machine with IRQ/BRK handler at $0300 and NMI handler at $0400, both RTI, which
+ * records the interrupts taken
+ * @param {Array|string} program Bytes or source of the program at $0200
+ * @param {Object} [options] CPU options
+ */
+function create_interrupt_machine(program, options) {
+	const machine = create_machine(program, options)
+	const taken = []
+
+	machine.ram.set([0x00, 0x04, 0x00, 0x06, 0x00, 0x03], 0xfffa)
+	machine.ram[0x0300] = machine.ram[0x0400] = 0x40 // RTI
+	machine.cpu.on('interrupt', (event) => taken.push(event))
+	return Object.assign(machine, { taken })
+}
+
+check('An IRQ is taken one instruction after CLI, and again straight after RTI while asserted', () => {
+	const machine = create_interrupt_machine([0x78, 0x58, 0xea, 0xea, 0xea]) // SEI; CLI; NOP; NOP; NOP
+	const { cpu, taken } = machine
+
+	run(machine, 1)
+	cpu.irq('via')
+	run(machine, 2)
+	assert.deepStrictEqual(taken, [])
+	assert.strictEqual(cpu.step(), 7)
+	assert.deepStrictEqual(taken, [{ type: 'irq', address: 0x0203, handler: 0x0300, vector: 0xfffe }])
+	assert.strictEqual(cpu.flags.I, true)
+
+	// RTI restores I in time for its own poll, so the line still asserted is taken again
+	run(machine, 2)
+	assert.strictEqual(taken.length, 2)
+	assert.strictEqual(taken[1].address, 0x0203)
+
+	cpu.irq('via', false)
+	run(machine, 1)
+	cpu.irq('via')
+	run(machine, 1)
+	assert.strictEqual(cpu.PC, 0x0204)
+	run(machine, 1)
+	assert.strictEqual(taken.length, 3)
+	assert.strictEqual(taken[2].address, 0x0204)
+	assert.strictEqual(cpu.irq_asserted(), true)
+})
+
+check('SEI lets an IRQ through after it, which then returns with I set', () => {
+	const machine = create_interrupt_machine([0x58, 0xea, 0x78, 0xea, 0xea]) // CLI; NOP; SEI; NOP; NOP
+	const { cpu, taken } = machine
+
+	run(machine, 2)
+	cpu.irq('via')
+	run(machine, 2)
+	assert.deepStrictEqual(taken.map((event) => event.address), [0x0203])
+	run(machine, 3)
+	assert.strictEqual(taken.length, 1)
+	assert.strictEqual(cpu.PC, 0x0205)
+})
+
+check('An IRQ without a source is taken once', () => {
+	const machine = create_interrupt_machine([0x78, 0x58, 0xea, 0xea, 0xea]) // SEI; CLI; NOP; NOP; NOP
+	const { cpu, taken } = machine
+
+	run(machine, 1)
+	cpu.irq()
+	run(machine, 5)
+	assert.deepStrictEqual(taken.map((event) => event.address), [0x0203])
+	assert.strictEqual(cpu.irq_asserted(), false)
+	assert.strictEqual(cpu.PC, 0x0204)
+})
+
+check('NMI is taken on each edge of the line, even with I set', () => {
+	const machine = create_interrupt_machine([0x78, 0xea, 0xea, 0xea, 0xea, 0xea]) // SEI; NOP...
+	const { cpu, taken } = machine
+
+	run(machine, 1)
+	cpu.nmi('via')
+	cpu.nmi('acia')
+	run(machine, 4)
+	assert.deepStrictEqual(taken, [{ type: 'nmi', address: 0x0202, handler: 0x0400, vector: 0xfffa }])
+	assert.strictEqual(cpu.PC, 0x0203)
+
+	cpu.nmi('via', false)
+	run(machine, 1)
+	cpu.nmi('acia', false)
+	cpu.nmi('via')
+	run(machine, 2)
+	assert.strictEqual(taken.length, 2)
+	assert.strictEqual(taken[1].address, 0x0205)
+})
+
+check('BRK pushes B and goes through the IRQ vector, unless an NMI hijacks it', () => {
+	const machine = create_interrupt_machine([0x00, 0xff, 0xea, 0x00, 0xff]) // BRK; NOP; BRK
+	const { cpu, taken } = machine
+
+	assert.strictEqual(cpu.step(), 7)
+	assert.strictEqual(cpu.PC, 0x0300)
+	assert.strictEqual(cpu.flags.I, true)
+	const status = cpu.pop_byte()
+	assert.strictEqual(status & 0x30, 0x30)
+	assert.strictEqual(cpu.pop_word(), 0x0202)
+
+	cpu.PC = 0x0203
+	cpu.nmi()
+	assert.strictEqual(cpu.step(), 7)
+	assert.strictEqual(cpu.PC, 0x0400)
+	assert.strictEqual(cpu.nmi_edge, false)
+	assert.strictEqual(cpu.pop_byte() & 0x10, 0x10)
+	assert.deepStrictEqual(taken, [])
+})
+
+check('An NMI during the IRQ sequence hijacks its vector', () => {
+	const machine = create_interrupt_machine([0x78, 0x58, 0xea, 0xea]) // SEI; CLI; NOP; NOP
+	const { cpu, taken } = machine
+
+	run(machine, 1)
+	cpu.irq('via')
+	run(machine, 2)
+	cpu.nmi()
+	run(machine, 1)
+	assert.deepStrictEqual(taken, [{ type: 'nmi', address: 0x0203, handler: 0x0400, vector: 0xfffa }])
+	assert.strictEqual(cpu.pop_byte() & 0x10, 0)
+})
+
+check('Reset takes 7 cycles, sets I and jumps through its vector', () => {
+	const machine = create_interrupt_machine([0x58, 0xf8]) // CLI; SED
+	const { cpu } = machine
+
+	machine.ram.set([0x00, 0x05], 0xfffc)
+	run(machine, 2)
+	const sp = cpu.SP
+	const cycles = cpu.cycles
+	cpu.irq('via')
+	cpu.reset()
+	assert.strictEqual(cpu.cycles - cycles, 7)
+	assert.strictEqual(cpu.PC, 0x0500)
+	assert.strictEqual(cpu.SP, (sp - 3) & 0xff)
+	assert.strictEqual(cpu.flags.I, true)
+	assert.strictEqual(cpu.flags.D, true)
+	assert.strictEqual(cpu.irq_pending, false)
+
+	const cmos = create_interrupt_machine([0xf8], { variant: '65c02' }) // SED
+	run(cmos, 1)
+	cmos.cpu.reset()
+	assert.strictEqual(cmos.cpu.flags.I, true)
+	assert.strictEqual(cmos.cpu.flags.D, false)
+})
+
+check('WAI waits for an IRQ, and does not wait when one is already asserted', () => {
+	for (const cycle_exact of [false, true]) {
+		// With I set, execution continues after WAI
+		const masked = create_interrupt_machine([0x78, 0xcb, 0xea], { variant: 'w65c02', cycle_exact: cycle_exact }) // SEI; WAI; NOP
+		run(masked, 1)
+		masked.cpu.irq('via')
+		run(masked, 2)
+		assert.strictEqual(masked.cpu.waiting, false)
+		assert.strictEqual(masked.cpu.PC, 0x0203)
+		assert.deepStrictEqual(masked.taken, [])
+
+		// With I clear, the IRQ is taken after WAI
+		const unmasked = create_interrupt_machine([0x58, 0xea, 0xcb, 0xea], { variant: 'w65c02', cycle_exact: cycle_exact }) // CLI; NOP; WAI; NOP
+		run(unmasked, 2)
+		unmasked.cpu.irq('via')
+		run(unmasked, 2)
+		assert.deepStrictEqual(unmasked.taken.map((event) => event.address), [0x0203])
+
+		// And without an IRQ, WAI waits until one arrives
+		const waiting = create_interrupt_machine([0x78, 0xcb, 0xea], { variant: 'w65c02', cycle_exact: cycle_exact }) // SEI; WAI; NOP
+		run(waiting, 5)
+		assert.strictEqual(waiting.cpu.waiting, true)
+		assert.strictEqual(waiting.cpu.PC, 0x0202)
+		waiting.cpu.irq('via')
+		run(waiting, 1)
+		assert.strictEqual(waiting.cpu.PC, 0x0203)
+	}
+})
+
+check('The flags read and write single bits of the status register', () => {
+	const { cpu } = create_machine([0xea])
+
+	cpu.setP(0x00)
+	cpu.flags.C = true
+	cpu.flags.N = true
+	assert.strictEqual(cpu.getP(), 0xa1)
+	assert.strictEqual(cpu.flags.C, true)
+	assert.strictEqual(cpu.flags.Z, false)
+
+	cpu.flags.N = false
+	assert.strictEqual(cpu.getP(), 0x21)
+	assert.deepStrictEqual(Object.keys(cpu.flags), ['N', 'V', 'D', 'I', 'Z', 'C'])
+})
+
+check('setP() and PLP ignore B and bit 5, which PHP pushes set', () => {
+	const machine = create_machine([
+		0xa9, 0x00, // LDA #$00
+		0x48, // PHA
+		0x28, // PLP
+		0x08 // PHP
+	])
+	const { cpu, ram } = machine
+
+	cpu.setP(0xff)
+	assert.strictEqual(cpu.getP(), 0xef)
+	assert.strictEqual(cpu.S, 0xef)
+	cpu.setP(0x10)
+	assert.strictEqual(cpu.getP(), 0x20)
+
+	cpu.reset()
+	cpu.PC = 0x0200
+	run(machine, 4)
+	assert.strictEqual(ram[0x01fd], 0x30)
+	assert.strictEqual(cpu.getP(), 0x20)
+})
+
+check('Reset leaves SP at $FD and the stack grows down from there', () => {
+	const machine = create_machine([
+		0x20, 0x07, 0x02, // JSR sub
+		0xba, // TSX
+		0x00, 0x00, 0x00,
+		0x48, // sub: PHA
+		0xba, // TSX
+		0x68, // PLA
+		0x60 // RTS
+	])
+	const { cpu, ram } = machine
+
+	cpu.A = 0x42
+	cpu.reset()
+	assert.strictEqual(cpu.SP, 0xfd)
+	cpu.PC = 0x0200
+	run(machine, 3)
+	assert.deepStrictEqual([...ram.subarray(0x01fb, 0x01fe)], [0x42, 0x02, 0x02])
+	assert.strictEqual(cpu.X, 0xfa)
+	run(machine, 3)
+	assert.strictEqual(cpu.PC, 0x0204)
+	assert.strictEqual(cpu.X, 0xfd)
+	assert.strictEqual(cpu.SP, 0xfd)
+})
@@ -0,0 +1,104 @@
+// @ts-check
+
+// Checks that cycle-exact mode agrees with instruction-stepping mode: for every
+// opcode of every CPU variant, from a number of pseudo-random starting states,
+// both modes must end with the same registers, memory and cycle count, and the
+// cycle-exact bus log must hold exactly one access per cycle.
+//
+// Usage: node test/cycle_exact.js
+
+const assert = require('assert')
+
+const CPU6502 = require('../src/CPU6502')
+const hex = require('../src/hex')
+const opcodes = require('../src/opcodes')
+const { check } = require('./check')
+
+const SAMPLES = 8
+
+/**
+ * Pseudo-random byte sequence from a seed
+ */
+function random(seed) {
+	return () => {
+		seed = (seed * 1103515245 + 12345) & 0x7fffffff
+		return (seed >> 8) & 0xff
+	}
+}
+
+// Memory contents to start from, one per sample
+const MEMORIES = Array.from({ length: SAMPLES }, (_, sample) => new Uint8Array(0x10000).map(random(sample + 1)))
+
+/**
+ * Execute one instruction from a state derived from the seed
+ * @return {Object} final registers, memory, cycles and bus log
+ */
+function run(variant, opcode, sample, seed, cycle_exact) {
+	const next = random(seed)
+	const memory = MEMORIES[sample].slice()
+	const pc = 0x1000 + next() * 16
+	memory[pc] = opcode
+
+	const cpu = new CPU6502(
+		(addr) => memory[addr],
+		(addr, value) => { memory[addr] = value },
+		() => undefined,
+		{ variant: variant, undocumented: variant === '6502', cycle_exact: cycle_exact, bus_log: true }
+	)
+	cpu.PC = pc
+	cpu.A = next()
+	cpu.X = next()
+	cpu.Y = next()
+	cpu.SP = next()
+	cpu.setP(next() | 0x04) // no interrupts
+
+	let error
+	try {
+		cpu.step()
+	} catch (e) {
+		error = e.message
+	}
+	return {
+		error: error,
+		registers: { A: cpu.A, X: cpu.X, Y: cpu.Y, SP: cpu.SP, PC: cpu.PC, P: cpu.getP() },
+		memory: memory,
+		cycles: cpu.cycles,
+		bus_log: cpu.bus_log
+	}
+}
+
+Object.keys(opcodes.VARIANTS).forEach((variant) => {
+	check(variant + ' cycle-exact mode matches stepping', () => {
+		for (let opcode = 0; opcode < 256; opcode++) {
+			for (let sample = 0; sample < SAMPLES; sample++) {
+				const seed = opcode * 7919 + sample * 104729 + variant.length
+				const stepped = run(variant, opcode, sample, seed, false)
+				const exact = run(variant, opcode, sample, seed, true)
+				const label = variant + ' $' + hex(opcode, 2) + ' sample ' + sample
+
+				assert.strictEqual(exact.error, stepped.error, label + ' error')
+				if (stepped.error) {
+					continue
+				}
+				assert.deepStrictEqual(exact.registers, stepped.registers, label + ' registers')
+				assert.ok(Buffer.from(exact.memory).equals(Buffer.from(stepped.memory)), label + ' memory')
+				assert.strictEqual(exact.cycles, stepped.cycles, label + ' cycles')
+				assert.strictEqual(exact.bus_log.length, exact.cycles, label + ' bus accesses')
+			}
+		}
+	})
+})
+
+check('65C02 $5C NOP reads $FFxx, then $FFFF, for 8 cycles', () => {
+	const memory = new Uint8Array(0x10000)
+	memory.set([0x5c, 0x34, 0x12], 0x0200)
+	const cpu = new CPU6502((addr) => memory[addr], () => {}, () => undefined,
+		{ variant: '65c02', cycle_exact: true, bus_log: true })
+	cpu.PC = 0x0200
+	cpu.step()
+
+	assert.strictEqual(cpu.cycles, 8)
+	assert.strictEqual(cpu.PC, 0x0203)
+	assert.deepStrictEqual(cpu.bus_log.map((access) => access.address),
+		[0x0200, 0x0201, 0x0202, 0xff34, 0xffff, 0xffff, 0xffff, 0xffff])
+})
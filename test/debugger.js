@@ -0,0 +1,111 @@
+// @ts-check
+
+// Checks the debugger's breakpoints, watchpoints, stepping commands, call stack
+// and halt reporting on a small assembled program.
+//
+// Usage: node test/debugger.js
+
+const assert = require('assert')
+
+const Debugger = require('../src/Debugger')
+const { check, create_machine } = require('./check')
+
+const SOURCE = [
+	'	.org $0200',
+	'start:	ldx #0',
+	'	jsr sub',
+	'	sta $40',
+	'	jsr outer',
+	'	.byte $02       ; JAM',
+	'	.org $0210',
+	'sub:	inx',
+	'	lda $30',
+	'	rts',
+	'	.org $0218',
+	'outer:	jsr sub',
+	'	rts'
+].join('\n')
+
+/**
+ * Debugger on a CPU with the program loaded, stopped at its start
+ */
+function create_debugger(options) {
+	const machine = create_machine(SOURCE, { undocumented: true })
+	return { debug: new Debugger(machine.cpu, options), cpu: machine.cpu, symbols: machine.symbols }
+}
+
+check('Breakpoints stop before the instruction, and execution resumes from one', () => {
+	const { debug, cpu, symbols } = create_debugger()
+	debug.add_breakpoint(symbols.sub)
+
+	assert.deepStrictEqual(debug.run(), { reason: 'breakpoint', address: symbols.sub })
+	assert.strictEqual(cpu.X, 0)
+	assert.deepStrictEqual(debug.run(), { reason: 'breakpoint', address: symbols.sub })
+	assert.strictEqual(cpu.X, 1)
+
+	debug.remove_breakpoint(symbols.sub)
+	assert.strictEqual(debug.run().reason, 'halt')
+	assert.strictEqual(cpu.X, 2)
+})
+
+check('Watchpoints report the access that hit them', () => {
+	const { debug, cpu } = create_debugger()
+	const read = debug.add_watchpoint(0x30, undefined, 'read')
+	debug.add_watchpoint(0x3f, 0x41, 'write')
+
+	let stop = debug.run()
+	assert.strictEqual(stop.reason, 'watchpoint')
+	assert.strictEqual(stop.watchpoint, read)
+	assert.strictEqual(stop.access.type, 'read')
+	assert.strictEqual(stop.access.address, 0x30)
+	assert.strictEqual(stop.address, 0x0213)
+
+	debug.remove_watchpoint(read.id)
+	stop = debug.run()
+	assert.strictEqual(stop.reason, 'watchpoint')
+	assert.strictEqual(stop.access.type, 'write')
+	assert.strictEqual(stop.access.address, 0x40)
+	assert.strictEqual(debug.watchpoints().length, 1)
+	assert.throws(() => debug.add_watchpoint(0, 0, 'execute'), /Invalid watchpoint type execute/)
+	assert.strictEqual(cpu.stopped, false)
+})
+
+check('Step into, over and out, following the call stack', () => {
+	const { debug, cpu, symbols } = create_debugger()
+
+	assert.deepStrictEqual(debug.step_into(), { reason: 'step', address: 0x0202 })
+	assert.deepStrictEqual(debug.step_over(), { reason: 'step', address: 0x0205 })
+	assert.strictEqual(cpu.X, 1)
+	assert.deepStrictEqual(debug.call_stack, [])
+
+	debug.step_into()
+	debug.step_into()
+	assert.strictEqual(cpu.PC, symbols.outer)
+	debug.step_into()
+	assert.strictEqual(cpu.PC, symbols.sub)
+	assert.deepStrictEqual(debug.call_stack.map((frame) => [frame.type, frame.call_site, frame.return_address]),
+		[['jsr', 0x0207, 0x020a], ['jsr', 0x0218, 0x021b]])
+
+	assert.deepStrictEqual(debug.step_out(), { reason: 'return', address: 0x021b })
+	assert.strictEqual(debug.call_stack.length, 1)
+	assert.deepStrictEqual(debug.step_out(), { reason: 'return', address: 0x020a })
+	assert.deepStrictEqual(debug.call_stack, [])
+})
+
+check('Run until an address, and a limit on instructions', () => {
+	const { debug, symbols } = create_debugger({ limit: 3 })
+
+	assert.deepStrictEqual(debug.run_until(symbols.sub + 1), { reason: 'until', address: 0x0211 })
+	assert.deepStrictEqual(debug.run(), { reason: 'limit', address: 0x0207 })
+	assert.throws(() => debug.add_breakpoint('sub'), /Unknown symbol sub/)
+})
+
+check('A JAM stops with the halt event', () => {
+	const { debug, cpu } = create_debugger()
+
+	const stop = debug.run()
+	assert.strictEqual(stop.reason, 'halt')
+	assert.deepStrictEqual(stop.halt, { reason: 'jam', address: 0x020a, opcode: 0x02 })
+	assert.deepStrictEqual(debug.step_into(), stop)
+	assert.strictEqual(cpu.stopped, true)
+})
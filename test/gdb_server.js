@@ -0,0 +1,155 @@
+// @ts-check
+
+// Checks the GDB remote protocol server over TCP: packet framing, registers,
+// memory, breakpoints and stop replies, and failing to listen.
+//
+// Usage: node test/gdb_server.js
+
+const assert = require('assert')
+const net = require('net')
+
+const GdbServer = require('../src/GdbServer')
+const { check, create_machine } = require('./check')
+
+/**
+ * Modulo 256 sum of a packet's characters
+ */
+function checksum(data) {
+	let sum = 0
+	for (let i = 0; i < data.length; i++) {
+		sum = (sum + data.charCodeAt(i)) & 0xff
+	}
+	return sum
+}
+
+/**
+ * Frame a packet with its checksum
+ */
+function frame(data) {
+	return '$' + data + '#' + checksum(data).toString(16).padStart(2, '0')
+}
+
+/**
+ * Connect to the server; the client's request(packet) resolves with the
+ * acknowledgement and the reply, whose checksum it verifies
+ */
+function connect(port) {
+	return new Promise((resolve, reject) => {
+		const socket = net.connect(port, '127.0.0.1')
+		let received = ''
+		let waiting = null
+
+		function deliver() {
+			const match = /^([+-]*)\$([^#]*)#([0-9a-f]{2})/i.exec(received)
+			if (!waiting || !match) {
+				return
+			}
+			received = received.substr(match[0].length)
+			assert.strictEqual(parseInt(match[3], 16), checksum(match[2]), 'reply checksum')
+			const done = waiting
+			waiting = null
+			done({ ack: match[1], reply: match[2] })
+		}
+
+		socket.setEncoding('latin1')
+		socket.on('data', (data) => {
+			received += data
+			deliver()
+		})
+		socket.on('error', reject)
+		socket.on('connect', () => resolve({
+			socket: socket,
+			raw: (text) => new Promise((done) => {
+				waiting = done
+				socket.write(text, 'latin1')
+			}),
+			request: (packet) => new Promise((done) => {
+				waiting = (result) => done(result.reply)
+				socket.write(frame(packet), 'latin1')
+			}),
+			received: () => received
+		}))
+	})
+}
+
+/**
+ * Listen on a free port, resolving with the server and its port
+ */
+function listen(cpu, options) {
+	const server = new GdbServer(cpu, Object.assign({ port: 0 }, options))
+	return new Promise((resolve, reject) => {
+		server.listen((err, address) => err ? reject(err) : resolve({ server: server, port: address.port }))
+	})
+}
+
+/**
+ * CPU running NOPs and a loop at $0200
+ */
+function create_cpu() {
+	const cpu = create_machine(new Array(16).fill(0xea).concat([0x4c, 0x00, 0x02])).cpu // NOPs; JMP $0200
+	cpu.A = 0x12
+	cpu.X = 0x34
+	return cpu
+}
+
+async function main() {
+	const cpu = create_cpu()
+	const { server, port } = await listen(cpu)
+	const client = await connect(port)
+
+	await check('Packets are acknowledged and replies framed', async () => {
+		assert.deepStrictEqual(await client.raw(frame('?')), { ack: '+', reply: 'S05' })
+		client.socket.write('$?#00', 'latin1')
+		assert.deepStrictEqual(await client.raw(frame('qAttached')), { ack: '-+', reply: '1' })
+		assert.match(await client.request('qSupported:swbreak+'), /swbreak\+/)
+	})
+
+	await check('Registers are read and written little-endian', async () => {
+		cpu.SP = 0xfd
+		cpu.setP(0x34)
+		assert.strictEqual(await client.request('g'), '1234' + '00' + 'FD' + '0002' + '24')
+		assert.strictEqual(await client.request('P4=1002'), 'OK')
+		assert.strictEqual(cpu.PC, 0x0210)
+		assert.strictEqual(await client.request('p4'), '1002')
+		assert.strictEqual(await client.request('P4=0002'), 'OK')
+		assert.strictEqual(await client.request('P5=ff'), 'OK')
+		assert.strictEqual(cpu.getP(), 0xef)
+		assert.strictEqual(await client.request('p9'), 'E01')
+	})
+
+	await check('Memory is read and written through the bus', async () => {
+		assert.strictEqual(await client.request('m210,3'), '4C0002')
+		assert.strictEqual(await client.request('M300,2:a9ff'), 'OK')
+		assert.strictEqual(cpu.bus.read_byte(0x0301), 0xff)
+		assert.strictEqual(await client.request('M300,2:a9'), 'E01')
+	})
+
+	await check('Continuing to a software breakpoint replies with swbreak', async () => {
+		assert.strictEqual(await client.request('Z0,205,1'), 'OK')
+		assert.strictEqual(await client.request('c'), 'T05swbreak:;')
+		assert.strictEqual(cpu.PC, 0x0205)
+		assert.strictEqual(await client.request('z0,205,1'), 'OK')
+		assert.strictEqual(await client.request('s'), 'S05')
+		assert.strictEqual(cpu.PC, 0x0206)
+	})
+
+	await check('Ctrl-C interrupts a running target', async () => {
+		const stopped = client.request('c')
+		client.socket.write('\x03', 'latin1')
+		assert.strictEqual(await stopped, 'S02')
+	})
+
+	await check('A second server on the same port reports the error', async () => {
+		const other = new GdbServer(cpu, { port: port })
+		const err = await new Promise((resolve) => other.listen(resolve))
+		assert.strictEqual(err && err.code, 'EADDRINUSE')
+	})
+
+	client.socket.destroy()
+	await new Promise((resolve) => server.close(resolve))
+}
+
+main().catch((e) => {
+	console.log('gdb_server: FAILED, ' + e.message)
+	process.exitCode = 1
+})
@@ -0,0 +1,135 @@
+// @ts-check
+
+// Checks the Intel HEX, S-record, PRG and raw loaders, including the rejection of
+// corrupt and truncated files, and storing images into memory.
+//
+// Usage: node test/loaders.js
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const Bus = require('../src/Bus')
+const CPU6502 = require('../src/CPU6502')
+const loaders = require('../src/loaders')
+const { check } = require('./check')
+
+const INTEL_HEX = [
+	':10010000214601360121470136007EFE09D2190140',
+	':100110002146017E17C20001FF5F16002148011928',
+	':10012000194E79234623965778239EDA3F01B2CAA7',
+	':100130003F0156702B5E712B722B732146013421C7',
+	':00000001FF'
+]
+
+const SREC = [
+	'S00F000068656C6C6F202020202000003C',
+	'S11F00007C0802A6900100049421FFF07C6C1B787C8C23783C6000003863000026',
+	'S11F001C4BFFFFE5398000007D83637880010014382100107C0803A64E800020E9',
+	'S111003848656C6C6F20776F726C642E0A0042',
+	'S5030003F9',
+	'S9030000FC'
+]
+
+check('Intel HEX records join into one segment', () => {
+	const image = loaders.parse_intel_hex(INTEL_HEX.join('\r\n'))
+
+	assert.strictEqual(image.segments.length, 1)
+	assert.strictEqual(image.segments[0].address, 0x0100)
+	assert.strictEqual(image.segments[0].bytes.length, 64)
+	assert.deepStrictEqual(Array.from(image.segments[0].bytes.subarray(0, 3)), [0x21, 0x46, 0x01])
+	assert.strictEqual(image.entry, undefined)
+
+	// Start linear address
+	assert.strictEqual(loaders.parse_intel_hex(':0400000500001234B1\n:00000001FF\n').entry, 0x1234)
+})
+
+check('Intel HEX with a bad checksum, a short address record or no end of file record is rejected', () => {
+	const corrupt = INTEL_HEX.slice()
+	corrupt[1] = corrupt[1].slice(0, -2) + '29'
+	assert.throws(() => loaders.parse_intel_hex(corrupt.join('\n')),
+		/^Error: Intel HEX line 2: checksum mismatch \(record has \$29, expected \$28\)$/)
+
+	assert.throws(() => loaders.parse_intel_hex(INTEL_HEX.slice(0, -1).join('\n')), /no end of file record/)
+	assert.throws(() => loaders.parse_intel_hex(':0201000021'), /record length 2 does not match its 0 data bytes/)
+	assert.throws(() => loaders.parse_intel_hex('0000000'), /record does not start with ":"/)
+	assert.throws(() => loaders.parse_intel_hex(':0100000412E9\n:00000001FF\n'),
+		/^Error: Intel HEX line 1: record type \$04 needs 2 data bytes, not 1$/)
+	assert.throws(() => loaders.parse_intel_hex(':03000005000012E6\n:00000001FF\n'), /record type \$05 needs 4 data bytes, not 3/)
+})
+
+check('S-records give segments and the entry point', () => {
+	const image = loaders.parse_srec(SREC.join('\n'))
+
+	assert.strictEqual(image.segments.length, 1)
+	assert.strictEqual(image.segments[0].address, 0x0000)
+	assert.strictEqual(image.segments[0].bytes.length, 0x46)
+	assert.strictEqual(Buffer.from(image.segments[0].bytes.subarray(0x38, 0x43)).toString(), 'Hello world')
+	assert.strictEqual(image.entry, 0x0000)
+})
+
+check('S-records with a bad checksum, missing records or no end record are rejected', () => {
+	const corrupt = SREC.slice()
+	corrupt[3] = corrupt[3].slice(0, -2) + '43'
+	assert.throws(() => loaders.parse_srec(corrupt.join('\n')),
+		/^Error: S-record line 4: checksum mismatch \(record has \$43, expected \$42\)$/)
+
+	const truncated = SREC.filter((line, index) => index !== 2)
+	assert.throws(() => loaders.parse_srec(truncated.join('\n')), /record count 3 does not match the 2 data records read/)
+	assert.throws(() => loaders.parse_srec('S4030000FC'), /unknown record type S4/)
+	assert.throws(() => loaders.parse_srec(SREC.slice(0, -1).join('\n')), /no S7, S8 or S9 end record/)
+})
+
+check('PRG files start with their load address, raw binaries load at an offset', () => {
+	const prg = loaders.parse_prg(Uint8Array.from([0x01, 0x08, 0x0b, 0x08, 0x0a]))
+	assert.strictEqual(prg.segments[0].address, 0x0801)
+	assert.deepStrictEqual(Array.from(prg.segments[0].bytes), [0x0b, 0x08, 0x0a])
+	assert.throws(() => loaders.parse_prg(Uint8Array.from([0x01])), /too short/)
+
+	const raw = loaders.parse_raw(Uint8Array.from([1, 2, 3]), 0xfffd)
+	assert.deepStrictEqual(raw.segments, [{ address: 0xfffd, bytes: Uint8Array.from([1, 2, 3]) }])
+	assert.throws(() => loaders.parse_raw(Uint8Array.from([1, 2, 3, 4]), 0xfffd), /Data at \$FFFD extends beyond the 64K address space/)
+})
+
+check('Loading into a bus writes ROM and sets the reset vector and PC', () => {
+	const bus = new Bus()
+	bus.map_ram(0, 0x8000)
+	const rom = bus.map_rom(0xf000, new Uint8Array(0x1000))
+	const cpu = new CPU6502(bus)
+	const image = { segments: [{ address: 0xf000, bytes: Uint8Array.from([0xa9, 0x01]) }], entry: undefined }
+
+	assert.throws(() => loaders.load(image, bus, { reset_vector: true }), /no entry point/)
+	assert.strictEqual(loaders.load(image, bus, { entry: 0xf000, reset_vector: true, cpu: cpu }), 0xf000)
+	assert.deepStrictEqual(Array.from(rom.data.subarray(0, 2)), [0xa9, 0x01])
+	assert.strictEqual(bus.read_byte(0xfffc) + bus.read_byte(0xfffd) * 256, 0xf000)
+	assert.strictEqual(cpu.PC, 0xf000)
+
+	const memory = new Uint8Array(0x10000)
+	loaders.load(loaders.parse_intel_hex(INTEL_HEX.join('\n')), memory)
+	assert.strictEqual(memory[0x013f], 0x21)
+	const written = []
+	loaders.load(image, (addr, value) => written.push([addr, value]))
+	assert.deepStrictEqual(written, [[0xf000, 0xa9], [0xf001, 0x01]])
+})
+
+check('Files are read in the format their extension names', () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loaders-'))
+	try {
+		fs.writeFileSync(path.join(dir, 'program.hex'), INTEL_HEX.join('\n'))
+		fs.writeFileSync(path.join(dir, 'program.s19'), SREC.join('\n'))
+		fs.writeFileSync(path.join(dir, 'program.prg'), Uint8Array.from([0x00, 0xc0, 0x60]))
+		fs.writeFileSync(path.join(dir, 'program.bin'), Uint8Array.from([0x60]))
+
+		assert.strictEqual(loaders.read_file(path.join(dir, 'program.hex')).segments[0].address, 0x0100)
+		assert.strictEqual(loaders.read_file(path.join(dir, 'program.s19')).segments[0].bytes.length, 0x46)
+		assert.strictEqual(loaders.read_file(path.join(dir, 'program.prg')).segments[0].address, 0xc000)
+		assert.strictEqual(loaders.read_file(path.join(dir, 'program.bin'), { offset: 0x0300 }).segments[0].address, 0x0300)
+
+		const memory = new Uint8Array(0x10000)
+		assert.strictEqual(loaders.load_file(path.join(dir, 'program.bin'), memory, { offset: 0x0300, entry: 0x0300 }), 0x0300)
+		assert.strictEqual(memory[0x0300], 0x60)
+	} finally {
+		fs.rmSync(dir, { recursive: true })
+	}
+})
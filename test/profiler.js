@@ -0,0 +1,101 @@
+// @ts-check
+
+// Checks the profiler's per-address counts and the cycles it accounts to
+// subroutines and interrupt handlers.
+//
+// Usage: node test/profiler.js
+
+const assert = require('assert')
+
+const Profiler = require('../src/Profiler')
+const { check, create_machine } = require('./check')
+
+const SOURCE = [
+	'	.org $0200',
+	'start:	ldx #3          ; 2 cycles',
+	'loop:	jsr sub         ; 6',
+	'	dex             ; 2',
+	'	bne loop        ; 3 taken, 2 not',
+	'done:	jmp done',
+	'	.org $0210',
+	'sub:	nop             ; 2',
+	'	rts             ; 6',
+	'	.org $0220',
+	'irq:	rti             ; 6',
+	'	.org $fffe',
+	'	.word irq'
+].join('\n')
+
+/**
+ * Machine running the program with a profiler, with routines named by the
+ * assembler's symbols
+ */
+function create_profiled_machine() {
+	const machine = create_machine(SOURCE)
+	return Object.assign(machine, { profiler: new Profiler(machine.cpu) })
+}
+
+/**
+ * Step until PC reaches an address
+ */
+function run_to(machine, addr) {
+	for (let i = 0; i < 1000 && machine.cpu.PC !== addr; i++) {
+		machine.cpu.step()
+	}
+	assert.strictEqual(machine.cpu.PC, addr)
+}
+
+/**
+ * A routine's entry in the report, by name
+ */
+function routine(report, name) {
+	return report.routines.find((entry) => entry.name === name)
+}
+
+check('Subroutine cycles are inclusive and exclusive of the caller', () => {
+	const machine = create_profiled_machine()
+	run_to(machine, machine.symbols.done)
+
+	const report = machine.profiler.report()
+	// 2 + 3 * (6 + 8 + 2) + 3 + 3 + 2
+	assert.strictEqual(report.cycles, 58)
+	assert.deepStrictEqual(routine(report, 'sub'), { address: 0x0210, name: 'sub', calls: 3, inclusive: 24, exclusive: 24 })
+	assert.deepStrictEqual(routine(report, '<root>'), { address: undefined, name: '<root>', calls: 0, inclusive: 58, exclusive: 34 })
+	assert.deepStrictEqual(report.addresses[0], { address: 0x0202, name: 'loop', count: 3, cycles: 18 })
+	assert.deepStrictEqual(report.addresses.find((entry) => entry.address === 0x0206), { address: 0x0206, name: '$0206', count: 3, cycles: 8 })
+	assert.strictEqual(machine.profiler.folded(), '<root> 34\n<root>;sub 24\n')
+})
+
+check('A routine still running counts up to the current cycle', () => {
+	const machine = create_profiled_machine()
+	run_to(machine, machine.symbols.sub + 1)
+
+	assert.deepStrictEqual(routine(machine.profiler.report(), 'sub'), { address: 0x0210, name: 'sub', calls: 1, inclusive: 2, exclusive: 2 })
+})
+
+check('The interrupt sequence counts towards the handler', () => {
+	const machine = create_profiled_machine()
+	run_to(machine, machine.symbols.done)
+	machine.profiler.reset()
+	machine.cpu.flags.I = false
+	machine.cpu.irq('test', true)
+	run_to(machine, machine.symbols.irq)
+	machine.cpu.irq('test', false)
+	run_to(machine, machine.symbols.done)
+
+	const report = machine.profiler.report()
+	assert.deepStrictEqual(routine(report, 'irq'), { address: 0x0220, name: 'irq', calls: 1, inclusive: 13, exclusive: 13 })
+	assert.ok(machine.profiler.folded().split('\n').indexOf('<root>;irq 13') !== -1)
+})
+
+check('The text report lists routines and addresses', () => {
+	const machine = create_profiled_machine()
+	run_to(machine, machine.symbols.done)
+
+	const lines = machine.profiler.format_report(1).split('\n')
+	assert.strictEqual(lines[0], 'Total cycles: 58')
+	assert.strictEqual(lines[2], 'Routine                        Calls   Inclusive           %   Exclusive           %')
+	assert.strictEqual(lines[3], '<root>                             0          58      100.0%          34       58.6%')
+	assert.strictEqual(lines[6], 'loop                               3          18       31.0%')
+	assert.strictEqual(lines.length, 8)
+})
@@ -0,0 +1,126 @@
+// @ts-check
+
+// Checks that CPU and bus save states round trip, and that a bad one is
+// rejected without changing anything.
+//
+// Usage: node test/save_state.js
+
+const assert = require('assert')
+
+const Bus = require('../src/Bus')
+const PIA6821 = require('../src/PIA6821')
+const { check, create_machine, run } = require('./check')
+
+/**
+ * CPU counting in a loop from $0200, with a bank of RAM at $8000
+ */
+function create_banked_machine(cpu_options) {
+	const machine = create_machine([
+		0xe8, // INX
+		0x86, 0x10, // STX $10
+		0x4c, 0x00, 0x02 // JMP $0200
+	], cpu_options)
+	machine.banks = machine.bus.map_banked(0x8000, [new Uint8Array(0x100), new Uint8Array(0x100)], { writable: true })
+	return machine
+}
+
+/**
+ * Registers and memory the checks compare
+ */
+function snapshot(machine) {
+	return {
+		A: machine.cpu.A, X: machine.cpu.X, PC: machine.cpu.PC, cycles: machine.cpu.cycles,
+		counter: machine.ram[0x10], bank: machine.banks.bank, banked: machine.bus.read_byte(0x8000)
+	}
+}
+
+for (const cycle_exact of [false, true]) {
+	check('CPU and bus round trip through JSON, ' + (cycle_exact ? 'cycle-exact' : 'stepping'), () => {
+		const machine = create_banked_machine({ cycle_exact: cycle_exact })
+		run(machine, 30)
+		machine.bus.write_byte(0x8000, 0x11)
+		machine.banks.select(1)
+		machine.bus.write_byte(0x8000, 0x22)
+		const saved = snapshot(machine)
+		const state = JSON.stringify(machine.cpu.saveState())
+
+		run(machine, 30)
+		machine.banks.select(0)
+		assert.notDeepStrictEqual(snapshot(machine), saved)
+		machine.cpu.loadState(state)
+		assert.deepStrictEqual(snapshot(machine), saved)
+		assert.strictEqual(machine.banks.banks[0][0], 0x11)
+
+		// And carries on from there as the original did
+		run(machine, 30)
+		const restored = snapshot(machine)
+		const other = create_banked_machine({ cycle_exact: cycle_exact })
+		other.cpu.loadState(state)
+		run(other, 30)
+		assert.deepStrictEqual(snapshot(other), restored)
+	})
+}
+
+check('A truncated CPU state changes neither the CPU nor the bus', () => {
+	const machine = create_banked_machine()
+	const state = machine.cpu.saveState()
+	delete state.cpu.irq_sources
+	run(machine, 30)
+	const before = snapshot(machine)
+
+	assert.throws(() => machine.cpu.loadState(state), /Save state is missing irq_sources/)
+	assert.deepStrictEqual(snapshot(machine), before)
+})
+
+check('A bus state that does not fit the mappings changes nothing', () => {
+	const machine = create_banked_machine()
+	const state = machine.cpu.saveState()
+	state.bus.regions[2].banks[1] = Buffer.alloc(0x80).toString('base64')
+	run(machine, 30)
+	const before = snapshot(machine)
+
+	assert.throws(() => machine.cpu.loadState(state), /Save state holds 128 bytes for a 256 byte region/)
+	assert.deepStrictEqual(snapshot(machine), before)
+
+	const other = new Bus()
+	other.map_ram(0, 0x8000)
+	assert.throws(() => other.loadState(state.bus), /Save state has 2 regions, bus has 1/)
+})
+
+check('A bank out of range or a bad device state is rejected before any memory is restored', () => {
+	const machine = create_banked_machine()
+	const pia = new PIA6821()
+	machine.bus.map_device(0x9000, 0x9003, pia, 'pia')
+	const state = machine.cpu.saveState()
+	run(machine, 30)
+	const before = snapshot(machine)
+
+	const bank = JSON.parse(JSON.stringify(state))
+	bank.bus.regions[2].bank = 2
+	assert.throws(() => machine.cpu.loadState(bank), /Save state region 2 selects bank 2 of 2/)
+	assert.deepStrictEqual(snapshot(machine), before)
+
+	const banks = JSON.parse(JSON.stringify(state))
+	banks.bus.regions[2].banks.push(banks.bus.regions[2].banks[0])
+	assert.throws(() => machine.cpu.loadState(banks), /Save state region 2 has 3 banks, bus has 2/)
+	assert.deepStrictEqual(snapshot(machine), before)
+
+	const device = JSON.parse(JSON.stringify(state))
+	delete device.bus.regions[3].state[0].ddr
+	assert.throws(() => machine.cpu.loadState(device), /PIA save state lacks ddr/)
+	assert.deepStrictEqual(snapshot(machine), before)
+})
+
+check('Unknown versions are rejected', () => {
+	const machine = create_banked_machine()
+	const state = machine.cpu.saveState()
+	state.version = 999
+	assert.throws(() => machine.cpu.loadState(state), /Unsupported save state version 999/)
+	assert.throws(() => machine.cpu.loadState('{}'), /Unsupported save state version undefined/)
+})
+
+check('A cycle-exact CPU cannot be saved in the middle of an instruction', () => {
+	const machine = create_banked_machine({ cycle_exact: true })
+	machine.cpu.tick()
+	assert.throws(() => machine.cpu.saveState(), /in the middle of an instruction/)
+})
@@ -0,0 +1,197 @@
+// @ts-check
+
+// Runs per-opcode single-step test vectors in the SingleStepTests/ProcessorTests
+// JSON format: one file per opcode (e.g. a9.json) holding an array of tests of the
+// form
+//
+//   { name, initial: { pc, s, a, x, y, p, ram: [[address, value], ...] },
+//     final: { same fields }, cycles: [[address, value, 'read' | 'write'], ...] }
+//
+// Each test sets up the initial state, executes one instruction on a cycle-exact CPU
+// and compares the registers, the listed memory and the bus accesses, cycle by cycle,
+// with the final state. B and bit 5 of P are not compared, as they are not part of the register.
+//
+// Usage: node test/single_step.js [--variant name] [--no-bus] [--details n] directory [opcode...]
+//
+//   --variant  CPU variant the vectors are for (default 6502, which runs with the
+//              undocumented opcodes enabled)
+//   --no-bus   only compare registers, memory and the number of cycles
+//   --details  number of failing tests to describe per opcode (default 1)
+//   opcode     hex opcodes to run, all files in the directory by default
+
+const fs = require('fs')
+const path = require('path')
+
+const CPU6502 = require('../src/CPU6502')
+const hex = require('../src/hex')
+
+/**
+ * Describe a bus access, as a cycles entry
+ */
+function format_access(access) {
+	return access ? access[2] + ' $' + hex(access[0], 4) + ' = $' + hex(access[1], 2) : 'nothing'
+}
+
+/**
+ * Parse the command line
+ */
+function parse_args(args) {
+	const settings = { variant: '6502', bus: true, details: 1, directory: undefined, opcodes: [] }
+
+	for (let i = 0; i < args.length; i++) {
+		switch (args[i]) {
+			case '--variant':
+				settings.variant = args[++i]
+				break
+			case '--no-bus':
+				settings.bus = false
+				break
+			case '--details':
+				settings.details = parseInt(args[++i], 10)
+				break
+			default:
+				if (undefined === settings.directory) {
+					settings.directory = args[i]
+				} else {
+					settings.opcodes.push(parseInt(args[i], 16))
+				}
+		}
+	}
+	return settings
+}
+
+/**
+ * CPU on a flat 64K memory that records its bus accesses
+ */
+function create_machine(variant) {
+	const memory = new Uint8Array(0x10000)
+	const accesses = []
+	const cpu = new CPU6502(
+		(addr) => memory[addr],
+		(addr, value) => { memory[addr] = value },
+		() => undefined,
+		{ variant: variant, undocumented: variant === '6502', cycle_exact: true }
+	)
+
+	cpu.on('access', (event) => {
+		accesses.push([event.address, event.value, event.type])
+	})
+
+	return { cpu: cpu, memory: memory, accesses: accesses }
+}
+
+/**
+ * Run one test
+ * @return {Array} descriptions of the mismatches, empty if the test passed
+ */
+function run_test(machine, test, compare_bus) {
+	const cpu = machine.cpu
+	const memory = machine.memory
+	const initial = test.initial
+	const expected = test.final
+	const errors = []
+	let cycles
+
+	initial.ram.forEach(([addr, value]) => { memory[addr] = value })
+	cpu.PC = initial.pc
+	cpu.SP = initial.s
+	cpu.A = initial.a
+	cpu.X = initial.x
+	cpu.Y = initial.y
+	cpu.setP(initial.p)
+	cpu.waiting = cpu.stopped = false
+	machine.accesses.length = 0
+
+	try {
+		cycles = cpu.step()
+	} catch (e) {
+		errors.push(e.message)
+	}
+
+	const registers = { pc: cpu.PC, s: cpu.SP, a: cpu.A, x: cpu.X, y: cpu.Y, p: cpu.getP() }
+	Object.keys(registers).forEach((name) => {
+		const mask = (name === 'p') ? 0xcf : 0xffff
+		if ((registers[name] & mask) !== (expected[name] & mask)) {
+			errors.push(name + ' is $' + hex(registers[name], name === 'pc' ? 4 : 2) +
+				', expected $' + hex(expected[name], name === 'pc' ? 4 : 2))
+		}
+	})
+
+	expected.ram.forEach(([addr, value]) => {
+		if (memory[addr] !== value) {
+			errors.push('memory $' + hex(addr, 4) + ' is $' + hex(memory[addr], 2) + ', expected $' + hex(value, 2))
+		}
+	})
+
+	if (undefined !== cycles && cycles !== test.cycles.length) {
+		errors.push('took ' + cycles + ' cycles, expected ' + test.cycles.length)
+	}
+
+	if (compare_bus) {
+		const count = Math.max(test.cycles.length, machine.accesses.length)
+		for (let i = 0; i < count; i++) {
+			const want = test.cycles[i]
+			const got = machine.accesses[i]
+			if (!want || !got || want[0] !== got[0] || want[1] !== got[1] || want[2] !== got[2]) {
+				errors.push('cycle ' + (i + 1) + ': ' + format_access(got) + ', expected ' + format_access(want))
+				break // later cycles are usually off by the same access
+			}
+		}
+	}
+
+	// Clear what the test touched, so that the next one starts from zeroed memory
+	initial.ram.forEach(([addr]) => { memory[addr] = 0 })
+	expected.ram.forEach(([addr]) => { memory[addr] = 0 })
+	machine.accesses.forEach(([addr]) => { memory[addr] = 0 })
+
+	return errors
+}
+
+/**
+ * Run every test in one opcode file
+ * @return {boolean} whether every test passed
+ */
+function run_file(machine, file, settings) {
+	const tests = JSON.parse(fs.readFileSync(file, 'utf8'))
+	const opcode = parseInt(path.basename(file, '.json'), 16)
+	const entry = machine.cpu.opcode_table[opcode]
+	const label = '$' + hex(opcode, 2) + ' ' + (entry ? entry.mnemonic + ' ' + entry.mode : '(invalid)')
+	let failed = 0
+
+	tests.forEach((test) => {
+		const errors = run_test(machine, test, settings.bus)
+		if (errors.length) {
+			if (failed < settings.details) {
+				console.log(label + ': ' + test.name)
+				errors.forEach((error) => console.log('    ' + error))
+			}
+			failed++
+		}
+	})
+
+	console.log(label + ': ' + (failed ? failed + ' of ' + tests.length + ' FAILED' : tests.length + ' passed'))
+	return failed === 0
+}
+
+const settings = parse_args(process.argv.slice(2))
+
+if (undefined === settings.directory) {
+	console.log('Usage: node test/single_step.js [--variant name] [--no-bus] [--details n] directory [opcode...]')
+	process.exitCode = 2
+} else {
+	const machine = create_machine(settings.variant)
+	const files = fs.readdirSync(settings.directory)
+		.filter((name) => /^[0-9a-f]{2}\.json$/i.test(name))
+		.filter((name) => settings.opcodes.length === 0 || settings.opcodes.indexOf(parseInt(name, 16)) !== -1)
+		.sort()
+	let failed = 0
+
+	files.forEach((name) => {
+		if (!run_file(machine, path.join(settings.directory, name), settings)) {
+			failed++
+		}
+	})
+
+	console.log(files.length + ' opcodes, ' + failed + ' with failures')
+	process.exitCode = failed ? 1 : 0
+}
@@ -0,0 +1,113 @@
+// @ts-check
+
+// Checks the symbol table and its loaders against small symbol files of each
+// format, and the Debugger's use of symbol names.
+//
+// Usage: node test/symbols.js
+
+const assert = require('assert')
+
+const Debugger = require('../src/Debugger')
+const SymbolTable = require('../src/SymbolTable')
+const { check, create_machine } = require('./check')
+
+// ld65 --mapfile: _unused is exported but not imported anywhere, so its flags start with a space
+const CC65_MAP = [
+	'Modules list:',
+	'-------------',
+	'',
+	'Exports list by name:',
+	'---------------------',
+	'__BSS_SIZE__              000000 REA    __MAIN_START__            000800 RLA    ',
+	'_main                     000812 RLA    _unused                   000300  LA    ',
+	'_zp_ptr                   000010 RLZ    ',
+	'',
+	'Imports list:',
+	''
+].join('\n')
+
+const CA65_DBG = [
+	'version\tmajor=2,minor=0',
+	'scope\tid=0,name="",mod=0,size=32,span=0',
+	'scope\tid=1,name="main",mod=0,type=scope,size=10,parent=0,sym=0,span=1',
+	'sym\tid=0,name="main",addrsize=absolute,scope=0,def=1,ref=2,val=0x800,seg=0,type=lab',
+	'sym\tid=1,name="@loop",addrsize=absolute,scope=1,def=1,val=0x804,seg=0,type=lab',
+	'sym\tid=2,name="COUNT",addrsize=zeropage,scope=0,def=1,val=0x10,type=equ',
+	'sym\tid=3,name="data",addrsize=absolute,scope=0,def=1,val=0x810,seg=0,type=lab,size=4',
+	'sym\tid=4,name="putc",addrsize=absolute,scope=0,type=imp'
+].join('\n')
+
+check('cc65 map exports, including unreferenced ones', () => {
+	const table = new SymbolTable()
+	table.load_cc65_map(CC65_MAP)
+
+	assert.strictEqual(table.lookup(0x0812), '_main')
+	assert.strictEqual(table.lookup(0x0300), '_unused')
+	assert.strictEqual(table.lookup(0x0010), '_zp_ptr')
+	// Equates resolve by name only
+	assert.strictEqual(table.address_of('__BSS_SIZE__'), 0)
+	assert.strictEqual(table.lookup(0), undefined)
+})
+
+check('ld65 debug file symbols and scope sizes', () => {
+	const table = new SymbolTable()
+	table.load_ca65_dbg(CA65_DBG)
+
+	assert.strictEqual(table.lookup(0x0800), 'main')
+	assert.strictEqual(table.lookup(0x0804), '@loop')
+	assert.strictEqual(table.lookup(0x0806), 'main+6')
+	assert.strictEqual(table.lookup(0x0812), 'data+2')
+	assert.strictEqual(table.lookup(0x080a), undefined)
+	assert.strictEqual(table.address_of('COUNT'), 0x10)
+	assert.strictEqual(table.address_of('putc'), undefined)
+})
+
+check('VICE labels and name lists', () => {
+	const table = new SymbolTable()
+	table.load_vice('al C:080d .start\nal 0900 .irq\n')
+	table.load_list('; screen\nSCREEN = $0400\nROW2 := SCREEN + 40   ; second row\n')
+
+	assert.strictEqual(table.lookup(0x080d), 'start')
+	assert.strictEqual(table.lookup(0x0900), 'irq')
+	assert.strictEqual(table.address_of('ROW2'), 0x0428)
+	assert.strictEqual(table.address_of('start+$10'), 0x081d)
+	assert.strictEqual(table.address_of('irq-1'), 0x08ff)
+	assert.throws(() => table.load_vice('al nonsense'), /line 1/)
+})
+
+check('global labels win over local ones at the same address', () => {
+	const table = new SymbolTable()
+	table.add('@here', 0x1000)
+	table.add('there', 0x1000)
+	table.add('elsewhere', 0x1000)
+
+	assert.strictEqual(table.lookup(0x1000), 'there')
+})
+
+check('Sized symbols added in any order name the innermost one', () => {
+	const table = new SymbolTable()
+	table.add('inner', 0x1010, 0x10)
+	table.add('outer', 0x1000, 0x100)
+
+	assert.strictEqual(table.lookup(0x1012), 'inner+2')
+	assert.strictEqual(table.lookup(0x1020), 'outer+32')
+
+	// Symbols added after a lookup still count
+	table.add('innermost', 0x1011, 2)
+	table.add('before', 0x0f00, 0x20)
+	assert.strictEqual(table.lookup(0x1012), 'innermost+1')
+	assert.strictEqual(table.lookup(0x1013), 'inner+3')
+	assert.strictEqual(table.lookup(0x0f10), 'before+16')
+})
+
+check('Debugger breakpoints by symbol name', () => {
+	const { cpu } = create_machine([0xea, 0xea, 0xea, 0x4c, 0x00, 0x02]) // NOP x3, JMP $0200
+	const table = new SymbolTable()
+	table.add('third', 0x0202)
+
+	const debug = new Debugger(cpu, { symbols: table })
+	debug.add_breakpoint('third')
+
+	assert.deepStrictEqual(debug.run(), { reason: 'breakpoint', address: 0x0202 })
+	assert.throws(() => debug.add_breakpoint('nowhere'), /Unknown symbol nowhere/)
+})
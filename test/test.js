@@ -1,57 +1,172 @@
 // @ts-check
 
+// Runs Klaus Dormann's 6502 test suites from the test/6502_65C02_functional_tests
+// submodule. Each test ends in a trap: a jump or branch to itself. A trap at the
+// documented success address is a pass; anywhere else is a failure, reported with
+// the number of the test case that was running. The 65C02 tests run on the
+// matching CPU variant. A test whose binary is missing counts as not run and
+// fails the run, unless it is skipped with --skip.
+//
+// The decimal and interrupt tests have no binary upstream, so they are optional:
+// they are reported as skipped unless named on the command line or run with --all.
+//
+// Usage: node test/test.js [--trace] [--all] [--skip test name]... [test name...]
+
 const fs = require('fs')
+const path = require('path')
 
+const Bus = require('../src/Bus')
 const CPU6502 = require('../src/CPU6502')
-const memory = fs.readFileSync('./test/6502_65C02_functional_tests/bin_files/6502_functional_test.bin')
+const hex = require('../src/hex')
+const loaders = require('../src/loaders')
+const tracers = require('../src/tracers')
 
-const read_byte = (function (memory) {
-	return function (addr) {
+const BIN_DIR = path.join(__dirname, '6502_65C02_functional_tests', 'bin_files')
+const MAX_CYCLES = 200000000
 
-		addr = Math.floor(addr);
+const TESTS = [
+	{
+		name: '6502_functional_test',
+		load: 0x0000,
+		start: 0x0400,
+		success: 0x3469,
+		test_case: 0x0200 // test_case, first byte of the data segment
+	},
+	{
+		// Not in bin_files upstream: assemble 6502_decimal_test.a65 with as65 (cputype = 0)
+		name: '6502_decimal_test',
+		optional: true,
+		load: 0x0200,
+		start: 0x0200,
+		error: 0x000b // ERROR, 0 when every result matched
+	},
+	{
+		// Not in bin_files upstream: assemble 6502_interrupt_test.a65 with as65
+		name: '6502_interrupt_test',
+		optional: true,
+		load: 0x000a,
+		start: 0x0400,
+		success: 0x06f5,
+		test_case: 0x0200,
+		feedback: 0xbffc // I_port: bit 0 drives IRQ, bit 1 NMI
+	},
+	{
+		// Assembled with the Rockwell and WDC instructions enabled (rkwl_wdc_op = 1)
+		name: '65C02_extended_opcodes_test',
+		variant: 'w65c02',
+		load: 0x0000,
+		start: 0x0400,
+		success: 0x24f1,
+		test_case: 0x0200
+	}
+]
 
-		if (addr > 65535 || addr < 0) {
-			throw new Error('Invalid read address ' + addr);
-		}
+/**
+ * Feedback register the interrupt test writes to drive the IRQ and NMI lines
+ */
+function feedback_port(cpu) {
+	const port = { value: 0 }
 
-		return memory[addr]
+	port.read = function () {
+		return port.value
 	}
-}(memory))
+	port.write = function (offset, value) {
+		cpu.irq('feedback', !!(value & 1))
+		cpu.nmi('feedback', !!(value & 2))
+		port.value = value
+	}
+	return port
+}
+
+/**
+ * Run one test image until it traps
+ * @return {boolean} whether the test ran and passed
+ */
+function run(test, trace) {
+	const file = path.join(BIN_DIR, test.name + '.bin')
 
-const write_byte = (function (memory) {
-	return function (addr, value) {
+	if (!fs.existsSync(file)) {
+		console.log(test.name + ': NOT RUN, ' + path.relative(process.cwd(), file) + ' not found')
+		return false
+	}
+
+	const image = fs.readFileSync(file)
+	const memory = new Uint8Array(0x10000)
+	// as65 full images cover the whole address space, others start at the load address
+	loaders.load(loaders.parse_raw(image, image.length === 0x10000 ? 0 : test.load), memory)
+
+	const bus = new Bus({ unmapped: 'throw' })
+	bus.map_ram(0, 0x10000, memory)
+
+	const cpu = new CPU6502(bus, undefined, { variant: test.variant, tracer: trace ? tracers.text() : undefined })
+	if (test.feedback) {
+		bus.map_device(test.feedback, test.feedback, feedback_port(cpu), 'feedback')
+	}
 
-		addr = Math.floor(addr);
+	cpu.reset()
+	cpu.PC = test.start
 
-		if (addr > 65535 || addr < 0) {
-			throw new Error('Invalid write address ' + addr);
+	while (cpu.cycles < MAX_CYCLES) {
+		cpu.step()
+
+		if (cpu.PC !== cpu.instruction_addr && !cpu.stopped) {
+			continue
 		}
 
-		memory[addr] = value
+		// Trapped, or halted by STP
+		let passed, detail
+		if (undefined !== test.success) {
+			passed = (cpu.PC === test.success)
+			detail = passed ? '' : ', test case $' + hex(memory[test.test_case], 2)
+		} else {
+			passed = (memory[test.error] === 0)
+			detail = passed ? '' : ', ERROR = $' + hex(memory[test.error], 2)
+		}
+		console.log(test.name + ': ' + (passed ? 'passed' : 'FAILED') +
+			', trapped at $' + hex(cpu.PC, 4) + detail + ' after ' + cpu.cycles + ' cycles')
+		return passed
 	}
-}(memory))
 
-function symbol_table_lookup(addr) {
-	return undefined;
+	console.log(test.name + ': FAILED, no trap after ' + cpu.cycles + ' cycles (PC $' + hex(cpu.PC, 4) + ')')
+	return false
 }
 
-async function load_unified_rom(url) {
-	return new Promise((resolve, reject) => {
-		var req = new XMLHttpRequest();
-
-		req.open("GET", url, true);
-		req.responseType = "arraybuffer";
-		req.onload = function (e) {
-			resolve(req.response)
-		};
-		req.send();
-	})
-}
+const args = process.argv.slice(2)
+const names = []
+const skip = []
+let trace = false
+let all = false
+let failed = 0
 
-const cpu = new CPU6502(read_byte, write_byte, symbol_table_lookup)
-cpu.reset()
-cpu.PC = 0x400
-const recentAddresses = []
-while (true) {
-	cpu.tick()
+for (let i = 0; i < args.length; i++) {
+	if (args[i] === '--trace') {
+		trace = true
+	} else if (args[i] === '--all') {
+		all = true
+	} else if (args[i] === '--skip') {
+		skip.push(args[++i])
+	} else {
+		names.push(args[i])
+	}
 }
+
+TESTS.filter((test) => names.length === 0 || names.indexOf(test.name) !== -1).forEach((test) => {
+	if (skip.indexOf(test.name) !== -1) {
+		console.log(test.name + ': skipped')
+		return
+	}
+	if (test.optional && !all && names.indexOf(test.name) === -1) {
+		console.log(test.name + ': skipped, optional (name it or pass --all to run it)')
+		return
+	}
+	try {
+		if (!run(test, trace)) {
+			failed++
+		}
+	} catch (e) {
+		console.log(test.name + ': FAILED, ' + e.message)
+		failed++
+	}
+})
+
+process.exitCode = failed ? 1 : 0
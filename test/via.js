@@ -0,0 +1,180 @@
+// @ts-check
+
+// Checks the 6522 VIA's timers, shift register and interrupts against a CPU
+// running NOPs, in both stepping and cycle-exact mode.
+//
+// Usage: node test/via.js
+
+const assert = require('assert')
+
+const Bus = require('../src/Bus')
+const CPU6502 = require('../src/CPU6502')
+const VIA6522 = require('../src/VIA6522')
+const { check } = require('./check')
+
+const VIA = 0x8000
+const HANDLER = 0x0400
+
+/**
+ * CPU running NOPs from $0200 with the VIA at $8000 and an IRQ handler of NOPs,
+ * recording the cycle the VIA first asserts IRQ
+ */
+function create_machine(cpu_options, via_options) {
+	const bus = new Bus()
+	const ram = bus.map_ram(0, 0x8000).data
+	const rom = new Uint8Array(0x100)
+	ram.fill(0xea, 0x0200, 0x0500)
+	rom.set([0x00, 0x02, 0x00, HANDLER >> 8], 0xfc) // reset and IRQ vectors
+	bus.map_rom(0xff00, rom)
+
+	const cpu = new CPU6502(bus, undefined, cpu_options)
+	const via = new VIA6522(cpu, via_options)
+	bus.map_device(VIA, VIA + 15, via, 'via')
+
+	const machine = { bus: bus, ram: ram, cpu: cpu, via: via, asserted: undefined }
+	const irq = cpu.irq.bind(cpu)
+	Object.assign(cpu, {
+		irq: (source, asserted) => {
+			if (asserted && undefined === machine.asserted) {
+				machine.asserted = cpu.cycles
+			}
+			irq(source, asserted)
+		}
+	})
+
+	cpu.reset()
+	cpu.flags.I = false
+	return machine
+}
+
+/**
+ * Step until the IRQ handler is entered
+ */
+function run_to_handler(machine) {
+	for (let i = 0; i < 1000; i++) {
+		machine.cpu.step()
+		if (machine.cpu.PC === HANDLER) {
+			return machine.cpu.cycles
+		}
+	}
+	throw new Error('No interrupt taken')
+}
+
+for (const cycle_exact of [false, true]) {
+	const mode = cycle_exact ? 'cycle-exact' : 'stepping'
+
+	check('T1 one-shot interrupt timing, ' + mode, () => {
+		const machine = create_machine({ cycle_exact: cycle_exact })
+		machine.via.write(14, 0xc0) // enable T1 interrupts
+		machine.via.write(4, 20)
+		const start = machine.cpu.cycles
+		machine.via.write(5, 0) // start counting from 20
+
+		const entered = run_to_handler(machine)
+		// The counter is loaded a cycle after the write and underflows after counting
+		// through 0; the IRQ arrives after the last cycle of a NOP, so the next NOP
+		// runs before the 7-cycle interrupt sequence
+		assert.strictEqual(machine.asserted - start, 22)
+		assert.strictEqual(entered - start, 22 + 2 + 7)
+	})
+
+	check('WAI is woken by a T1 interrupt, ' + mode, () => {
+		const machine = create_machine({ variant: 'w65c02', cycle_exact: cycle_exact })
+		machine.ram[0x0200] = 0xcb // WAI
+		machine.via.write(14, 0xc0)
+		machine.via.write(4, 100)
+		machine.via.write(5, 0)
+		const start = machine.cpu.cycles
+
+		const entered = run_to_handler(machine)
+		assert.strictEqual(machine.asserted - start, 102)
+		assert.ok(entered - start < 102 + 7 + 3, 'handler entered at +' + (entered - start))
+	})
+}
+
+check('T1 free-running interrupts every N + 2 cycles', () => {
+	const machine = create_machine({})
+	const times = []
+	machine.cpu.on('interrupt', () => {
+		times.push(machine.cpu.cycles)
+		machine.via.read(4) // acknowledge
+	})
+	machine.ram.set([0xea, 0x4c, 0x00, 0x02], 0x0200) // NOP; JMP $0200
+	machine.ram[HANDLER] = 0x40 // RTI
+	machine.via.write(11, 0x40) // free-running
+	machine.via.write(14, 0xc0)
+	machine.via.write(4, 0xe6) // 998
+	machine.via.write(5, 0x03)
+
+	while (machine.cpu.cycles < 20000) {
+		machine.cpu.step()
+	}
+	assert.strictEqual(times.length, 19)
+	// Each interrupt is taken within an instruction of the period of 1000 cycles
+	times.slice(1).forEach((time, i) => {
+		assert.ok(Math.abs(time - times[i] - 1000) <= 3, 'interval ' + (time - times[i]))
+	})
+	assert.ok(Math.abs(times[times.length - 1] - times[0] - 18 * 1000) <= 3)
+})
+
+check('T2 counts PB6 pulses', () => {
+	const machine = create_machine({})
+	machine.via.write(11, 0x20) // count pulses
+	machine.via.write(14, 0xa0)
+	machine.via.write(8, 3)
+	machine.via.write(9, 0)
+
+	for (let i = 0; i < 3; i++) {
+		assert.strictEqual(machine.via.read(13) & 0x20, 0)
+		machine.via.pb6(true)
+		machine.via.pb6(false)
+	}
+	assert.strictEqual(machine.via.read(13) & 0x20, 0x20)
+	assert.strictEqual(machine.asserted, machine.cpu.cycles)
+})
+
+check('Shift register shifts out under the system clock', () => {
+	const bytes = []
+	const machine = create_machine({}, { shift_out: (value) => bytes.push(value) })
+	machine.via.write(11, 0x18) // shift out under phi2
+	machine.via.write(10, 0xa5)
+
+	while (machine.cpu.cycles < 100) {
+		machine.cpu.step()
+	}
+	assert.deepStrictEqual(bytes, [0xa5])
+	assert.strictEqual(machine.via.read(13) & 0x04, 0x04)
+})
+
+check('CA1 edge latches port A and interrupts', () => {
+	let pins = 0x3c
+	const machine = create_machine({}, { read_a: () => pins })
+	machine.via.write(11, 0x01) // latch port A
+	machine.via.write(12, 0x01) // CA1 rising edge
+	machine.via.write(14, 0x82)
+
+	machine.via.ca1(true)
+	pins = 0
+	assert.strictEqual(machine.via.read(13), 0x82)
+	assert.strictEqual(machine.via.read(1), 0x3c)
+	assert.strictEqual(machine.via.read(13), 0x00)
+})
+
+check('VIA save state round trip', () => {
+	const machine = create_machine({})
+	machine.via.write(14, 0xc0)
+	machine.via.write(4, 0x00)
+	machine.via.write(5, 0x10)
+	const state = JSON.stringify(machine.cpu.saveState())
+
+	machine.via.write(5, 0x20)
+	machine.via.write(14, 0x40)
+	machine.cpu.loadState(state)
+	assert.strictEqual(machine.via.read(14), 0xc0)
+	assert.strictEqual(machine.via.read(5), 0x10)
+
+	const incomplete = machine.via.saveState()
+	delete incomplete.ier
+	assert.throws(() => machine.via.loadState(incomplete), /VIA save state lacks ier/)
+	assert.strictEqual(machine.via.read(14), 0xc0)
+})